@@ -0,0 +1,128 @@
+import { createAgent } from 'momento-a2a-agent';
+import { converse, convertToBedrockTools } from '../utils/agents.mjs';
+import { resolveAgentTenantId, UNKNOWN_TENANT_MESSAGE } from '../utils/tenants.mjs';
+import { authenticateAgentRequest, getAgentCaller, runAsAgentCaller } from '../utils/agent-auth.mjs';
+import { sendCustomerEmailTool } from '../tools/send-email.mjs';
+import { buildRequest } from '../utils/api.mjs';
+
+let agent;
+
+const getAgent = async (baseUrl) => {
+  if (!agent) {
+    const agentParams = {
+      agentCard: {
+        name: 'Customer Notification Agent',
+        description: 'Sends templated, localized customer notifications about delivery exceptions, refunds and replacements',
+        url: baseUrl,
+        capabilities: {
+          streaming: false,
+          pushNotifications: false
+        }
+      },
+      skills: [
+        {
+          id: 'send-customer-notification',
+          name: 'Send Customer Notification',
+          description: 'Notifies the customer on an order using a named template: delivery_rescheduled, refund_issued, replacement_shipped, access_info_needed or final_undeliverable',
+          examples: [
+            'Tell the customer on ORD-12345 their delivery is rescheduled for tomorrow',
+            'Notify the customer on ORD-12345 that their refund was issued',
+            'Ask the customer on ORD-12345 for a gate code',
+            'Send the final undeliverable notice for ORD-12345'
+          ],
+          tags: ['notification', 'email', 'customer-service']
+        }
+      ],
+      options: {
+        defaultTtlSeconds: 3600,
+        registerAgent: true
+      },
+      handler: agentHandler,
+      ...process.env.MOMENTO_API_KEY && {
+        cacheName: 'mcp',
+        apiKey: process.env.MOMENTO_API_KEY,
+      }
+    };
+
+    agent = await createAgent(agentParams);
+  }
+
+  return agent;
+};
+
+export const handler = async (event) => {
+  try {
+    const { request, baseUrl } = buildRequest(event);
+    const { caller, statusCode, message } = authenticateAgentRequest(request, 'notification');
+    if (statusCode) {
+      return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      };
+    }
+
+    const agentInstance = await getAgent(baseUrl);
+    const response = await runAsAgentCaller(caller, () => agentInstance.fetch(request));
+
+    const body = await response.text();
+    const headers = Object.fromEntries(response.headers.entries());
+    return {
+      statusCode: response.status,
+      headers,
+      body,
+    };
+  } catch (error) {
+    console.error('Notification agent error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Something went wrong' }),
+    };
+  }
+};
+
+export const agentHandler = async (message, { task } = {}) => {
+  const caller = getAgentCaller();
+  const tenantId = await resolveAgentTenantId(message, task, caller);
+  if (!tenantId) {
+    return { message: UNKNOWN_TENANT_MESSAGE };
+  }
+
+  const systemPrompt = `## Role
+You are the Customer Notification Agent for SwiftShip Logistics, responsible for keeping customers informed about delivery exceptions and how they are being resolved.
+
+## Instructions
+Send notifications with the sendCustomerEmail tool. Pick the template that matches the request:
+- delivery_rescheduled: A new delivery attempt has been scheduled (requires deliveryDate)
+- refund_issued: A refund was processed for the order
+- replacement_shipped: A replacement order was created
+- access_info_needed: The driver needs a gate code or other access details
+- final_undeliverable: Delivery was abandoned, the order was cancelled and refunded
+
+## Steps
+1. Identify the order ID and the template that fits the request
+2. Send the notification; the tool finds the customer, their language and the order details itself
+3. If the tool reports missing values (for example no refund or replacement exists yet), report that back instead of sending a different template
+4. Confirm which notification was sent and for which order
+
+## End Goal
+Customers receive accurate, consistent messages about their orders in their preferred language.
+
+## Narrowing
+- Only send the templates listed above; never compose free-form emails
+- Never ask for or use an email address; notifications always go to the customer on file for the order
+- Send each notification once per request`;
+
+  const tools = convertToBedrockTools([sendCustomerEmailTool]);
+
+  const context = {
+    tenantId,
+    scopes: caller?.scopes,
+    contextId: task?.contextId,
+    sessionId: 'session-' + Date.now()
+  };
+
+  const response = await converse(process.env.MODEL_ID, systemPrompt, message, tools, context);
+  return { message: response };
+};
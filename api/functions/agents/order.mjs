@@ -1,8 +1,12 @@
 import { createAgent } from 'momento-a2a-agent';
 import { buildRequest } from '../utils/api.mjs';
+import { ORDER_LIFECYCLE } from '../utils/order-lifecycle.mjs';
 import { converse, convertToBedrockTools } from '../utils/agents.mjs';
+import { resolveAgentTenantId, UNKNOWN_TENANT_MESSAGE } from '../utils/tenants.mjs';
+import { authenticateAgentRequest, getAgentCaller, runAsAgentCaller } from '../utils/agent-auth.mjs';
 import { changeOrderStatus } from '../tools/change-order-status.mjs';
 import { duplicateOrder } from '../tools/duplicate-order.mjs';
+import { getOrderLineage } from '../tools/get-order-lineage.mjs';
 
 let agent;
 
@@ -33,13 +37,24 @@ const getAgent = async (baseUrl) => {
         {
           id: 'duplicate-order',
           name: 'Duplicate Order',
-          description: 'Create replacement orders for failed deliveries with optional customer and address overrides',
+          description: 'Create replacement orders for failed deliveries with optional customer, address, shipping method and line item overrides',
           examples: [
             'Duplicate order ORD-12345 for redelivery',
             'Create a replacement order with new address',
+            'Replace only the damaged SKU-DEMO-002 from ORD-12345 at no charge with priority shipping',
             'Duplicate order with updated customer information'
           ],
           tags: ['order-management', 'redelivery', 'replacement']
+        },
+        {
+          id: 'order-lineage',
+          name: 'Order Lineage',
+          description: 'Show the chain of replacement orders for an order along with the refunds and allocations behind each replacement',
+          examples: [
+            'Show the replacement history for ORD-12345',
+            'Which order did ORD-12345-R1 replace?'
+          ],
+          tags: ['order-management', 'replacement', 'support']
         }
       ],
       options: {
@@ -62,8 +77,17 @@ const getAgent = async (baseUrl) => {
 export const handler = async (event) => {
   try {
     const { request, baseUrl } = buildRequest(event);
+    const { caller, statusCode, message } = authenticateAgentRequest(request, 'order');
+    if (statusCode) {
+      return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      };
+    }
+
     const agentInstance = await getAgent(baseUrl);
-    const response = await agentInstance.fetch(request);
+    const response = await runAsAgentCaller(caller, () => agentInstance.fetch(request));
 
     const body = await response.text();
     const headers = Object.fromEntries(response.headers.entries());
@@ -82,38 +106,56 @@ export const handler = async (event) => {
   }
 };
 
-const agentHandler = async (message) => {
+export const agentHandler = async (message, { task } = {}) => {
+  const caller = getAgentCaller();
+  const tenantId = await resolveAgentTenantId(message, task, caller);
+  if (!tenantId) {
+    return { message: UNKNOWN_TENANT_MESSAGE };
+  }
+
   const systemPrompt = `## Role
 You are the Order Management Agent for SwiftShip Logistics, specializing in order status updates and order duplication for redelivery scenarios.
 
 ## Instructions
-Manage shipping orders using two core tools:
+Manage shipping orders using these tools:
 - changeOrderStatus: Update order status including delivery_failed states
-- duplicateOrder: Create replacement orders with optional customer/address overrides
+- duplicateOrder: Create replacement orders with optional customer, address, shipping method and line item overrides. The original order is marked replacement_created and linked to its replacement
+- getOrderLineage: Show the chain of replacements an order belongs to
 
 ## Steps
 1. Validate the requested operation and required parameters
 2. For status changes:
    - Verify order exists
    - Update status with appropriate reason
+   - If the change is rejected, pick one of the allowed next statuses listed in the rejection instead of retrying the same status
 3. For order duplication:
    - Retrieve original order details
-   - Apply any customer or address overrides
+   - Apply any customer, address or shipping method overrides (use priority shipping when asked for priority or expedited replacements)
+   - When only some items were damaged or lost, replace just those line items, and mark replacement lines noCharge when the customer should not pay again
+   - Pass the refund and allocation IDs that motivated the replacement when they are known
    - Create new order with updated information
+   - If the replacement limit is reached, stop and report that the order needs a support agent
 4. Provide clear confirmation with order details
 
+## Order Lifecycle
+Orders may only move to the statuses listed for their current status:
+${Object.entries(ORDER_LIFECYCLE).map(([status, { nextStatuses }]) => `- ${status} → ${nextStatuses.join(', ') || 'final status'}`).join('\n')}
+
 ## End Goal
 Execute order operations reliably while maintaining data integrity and providing clear confirmation of all changes.
 
 ## Narrowing
 - Only modify orders that exist in the system
-- Status changes must use valid status values
-- Order duplication requires a valid source order`;
+- Status changes must follow the order lifecycle
+- Order duplication requires a valid source order
+- When a tool returns VALIDATION_FAILED, nothing was written; report the listed issues instead of retrying the same request`;
 
-  const tools = convertToBedrockTools([changeOrderStatus, duplicateOrder]);
+  const tools = convertToBedrockTools([changeOrderStatus, duplicateOrder, getOrderLineage]);
 
   const context = {
-    tenantId: 'example-tenant',
+    tenantId,
+    scopes: caller?.scopes,
+    contextId: task?.contextId,
     sessionId: 'session-' + Date.now()
   };
 
@@ -1,5 +1,7 @@
 import { createAgent } from 'momento-a2a-agent';
 import { converse, convertToBedrockTools } from '../utils/agents.mjs';
+import { resolveAgentTenantId, UNKNOWN_TENANT_MESSAGE } from '../utils/tenants.mjs';
+import { authenticateAgentRequest, getAgentCaller, runAsAgentCaller } from '../utils/agent-auth.mjs';
 import { processRefundTool } from '../tools/process-refund.mjs';
 import { buildRequest } from '../utils/api.mjs';
 
@@ -50,8 +52,17 @@ const getAgent = async (baseUrl) => {
 export const handler = async (event) => {
   try {
     const { request, baseUrl } = buildRequest(event);
+    const { caller, statusCode, message } = authenticateAgentRequest(request, 'payment');
+    if (statusCode) {
+      return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      };
+    }
+
     const agentInstance = await getAgent(baseUrl);
-    const response = await agentInstance.fetch(request);
+    const response = await runAsAgentCaller(caller, () => agentInstance.fetch(request));
 
     const body = await response.text();
     const headers = Object.fromEntries(response.headers.entries());
@@ -70,7 +81,13 @@ export const handler = async (event) => {
   }
 };
 
-const agentHandler = async (message) => {
+export const agentHandler = async (message, { task } = {}) => {
+  const caller = getAgentCaller();
+  const tenantId = await resolveAgentTenantId(message, task, caller);
+  if (!tenantId) {
+    return { message: UNKNOWN_TENANT_MESSAGE };
+  }
+
   const systemPrompt = `## Role
 You are the Payment Management Agent for SwiftShip Logistics, responsible for processing refunds for delivery failures and customer requests.
 
@@ -83,8 +100,9 @@ Process refunds using the processRefund tool for three primary scenarios:
 ## Steps
 1. Validate refund request parameters (orderId, reason, amount)
 2. Verify the refund reason is valid
-3. Process the refund transaction
-4. Provide confirmation with refund amount and expected timeline
+3. Process the refund transaction; the tool checks the amount against the original payment and any earlier refunds
+4. If the refund is rejected, report the reason and the remaining refundable amount instead of retrying with a different amount
+5. Provide confirmation with refund amount, payment status and expected timeline
 
 ## End Goal
 Process refunds accurately and efficiently while maintaining transaction integrity and providing clear confirmation to requesting agents.
@@ -92,12 +110,16 @@ Process refunds accurately and efficiently while maintaining transaction integri
 ## Narrowing
 - Only process refunds for valid orders
 - Refund reasons must be one of: delivery_failed, damaged_package, customer_request
-- Refund amounts must not exceed original order value`;
+- Refund amounts must not exceed original order value, including refunds already issued for the order
+- Never refund payments that failed
+- When processRefund returns VALIDATION_FAILED, nothing was written; report the listed issues instead of retrying`;
 
   const tools = convertToBedrockTools([processRefundTool]);
 
   const context = {
-    tenantId: 'example-tenant',
+    tenantId,
+    scopes: caller?.scopes,
+    contextId: task?.contextId,
     sessionId: 'session-' + Date.now()
   };
 
@@ -1,20 +1,34 @@
 import { AmazonBedrockOrchestrator } from 'momento-a2a-agent';
+import { withSignedAgentCalls } from '../utils/agent-auth.mjs';
+import { claimOutboxEvent, completeOutboxEvent, releaseOutboxEvent } from '../utils/outbox.mjs';
+import { saveResolution } from '../utils/resolutions.mjs';
+import { markTriageFailureReplayed, recordTriageFailure } from '../utils/triage-failures.mjs';
+
+// Longer than the function's 300 second timeout, so a run is only taken over once it cannot still be going.
+// Lambda retries a timed-out invocation a minute or more after it failed, by which time the lease has lapsed.
+const CLAIM_LEASE_SECONDS = 330;
+
 export const handler = async (event) => {
-  let detail;
+  const { detail } = event;
 
   try {
-    const { detail } = event;
+    // Status events are delivered at least once; a redelivery must not refund or replace a second time
+    if (detail.eventId && !await claimOutboxEvent('triage', detail.eventId, { leaseSeconds: CLAIM_LEASE_SECONDS })) {
+      console.log(`Skipping duplicate delivery status event ${detail.eventId}`);
+      return { statusCode: 200, body: JSON.stringify({ success: true, duplicate: true }) };
+    }
 
     const systemPrompt = `## Role
 You are the Triage Agent for SwiftShip Logistics, responsible for analyzing delivery exceptions and orchestrating specialized agents to resolve customer issues efficiently.
 
 ## Instructions
-Analyze delivery exceptions and determine the appropriate resolution strategy by coordinating with Order, Payment, and Warehouse agents. You have access to the sendCustomerEmail tool for direct customer communication.
+Analyze delivery exceptions and determine the appropriate resolution strategy by coordinating with Order, Payment, Warehouse, and Notification agents. All customer communication goes through the NotificationAgent, which looks up the customer from the order.
 
 Available agents:
 - OrderAgent: Manages order status updates and creates replacement orders
 - PaymentAgent: Processes refunds and handles payment operations
 - WarehouseAgent: Allocates inventory for replacements
+- NotificationAgent: Sends templated customer notifications (delivery_rescheduled, refund_issued, replacement_shipped, access_info_needed, final_undeliverable)
 
 ## Steps
 1. Classify the exception type based on status and driver notes:
@@ -27,36 +41,36 @@ Available agents:
 
    Simple Retry (Customer Not Home - first attempt):
    - Invoke OrderAgent to recreate order for next delivery attempt
-   - Notify customer of rescheduled delivery via sendCustomerEmail tool
+   - Invoke NotificationAgent to send delivery_rescheduled with the next delivery date
 
    Simple Retry (Access Issue / Gate Code Needed):
-   - Contact customer for access information via sendCustomerEmail tool
-   - Invoke OrderAgent to update order status as "pending customer response"
+   - Invoke NotificationAgent to send access_info_needed
+   - Invoke OrderAgent to update order status to "pending_customer_response"
 
    Damaged/Lost Package:
    - Invoke PaymentAgent to process refund for delivery ${detail.deliveryId}
    - Invoke WarehouseAgent to allocate inventory for replacement
    - Invoke OrderAgent to recreate order with allocated inventory
-   - Notify customer of refund and replacement via sendCustomerEmail tool
+   - Invoke NotificationAgent to send refund_issued and replacement_shipped
 
    High-Value Orders (over $200) if damaged or lost:
    - Invoke PaymentAgent with priority flag for expedited refund
    - Invoke WarehouseAgent to verify and allocate replacement inventory
-   - Invoke OrderAgent to recreate order with priority shipping
-   - Send apology and expedited tracking info via sendCustomerEmail tool
+   - Invoke OrderAgent to recreate order with priority shipping, replacing only the affected items at no charge
+   - Invoke NotificationAgent to send refund_issued and replacement_shipped
 
    Multiple Failed Attempts (3 or more):
-   - Notify customer to arrange alternative delivery or pickup via sendCustomerEmail tool
+   - Invoke NotificationAgent to send access_info_needed so the customer can arrange alternative delivery or pickup
    - If customer unreachable after 24 hours:
      * Invoke PaymentAgent to process refund
-     * Invoke OrderAgent to update status as "cancelled - undeliverable"
-     * Send final notification via sendCustomerEmail tool
+     * Invoke OrderAgent to update status to "cancelled_undeliverable"
+     * Invoke NotificationAgent to send final_undeliverable
 
    Complete Loss or Theft:
    - Invoke PaymentAgent to process full refund immediately
    - Invoke WarehouseAgent to allocate replacement inventory
    - Invoke OrderAgent to recreate order if inventory available
-   - Notify customer and provide options via sendCustomerEmail tool
+   - Invoke NotificationAgent to send refund_issued, plus replacement_shipped if a replacement was created
 
 3. Provide resolution summary with:
    - Exception Classification
@@ -65,6 +79,10 @@ Available agents:
    - Current Status (resolved/pending/requires follow-up)
    - Customer Impact (what they should expect next)
 
+   End the summary with the same resolution as a JSON object in a \`\`\`json code block, exactly in this shape:
+   {"classification": "simple_retry | access_issue | damaged_or_lost | loss_or_theft | multiple_failures | high_value | unclassified", "agentsInvoked": ["OrderAgent", ...], "actionsCompleted": ["..."], "currentStatus": "resolved | pending | requires_follow_up", "customerImpact": "..."}
+   Use "unclassified" with "requires_follow_up" when escalating for human review.
+
 ## End Goal
 Successfully resolve delivery exceptions by coordinating agent actions and ensuring customers receive clear communication about next steps.
 
@@ -72,11 +90,12 @@ Successfully resolve delivery exceptions by coordinating agent actions and ensur
 - Only handle delivery exceptions, not general customer inquiries
 - Always invoke agents in the correct order (Payment → Warehouse → Order for replacements)
 - Never process refunds without confirming the exception type
-- If exception doesn't match known patterns, notify customer via sendCustomerEmail tool`;
+- Always notify the customer last, after the refund and replacement they are told about exist
+- If exception doesn't match known patterns, escalate for human review instead of notifying the customer`;
 
     const message = `DELIVERY EXCEPTION DETAILS:
 - Delivery ID: ${detail.deliveryId}
-- Exception Type: ${detail.status.status}
+${detail.orderId ? `- Order ID: ${detail.orderId}\n` : ''}- Exception Type: ${detail.status.status}
 - Driver Notes: "${detail.status.reason}"
 ${detail.orderValue ? `- Order Value: $${detail.orderValue}` : ''}
 `;
@@ -95,21 +114,49 @@ ${detail.orderValue ? `- Order Value: $${detail.orderValue}` : ''}
       }
     };
     console.log(JSON.stringify(params));
-    const agent = new AmazonBedrockOrchestrator(params);
-    console.log('init');
-    agent.registerAgents([
-      process.env.ORDER_AGENT_URL,
-      process.env.PAYMENT_AGENT_URL,
-      process.env.WAREHOUSE_AGENT_URL
-    ]);
-    console.log('registered');
-    const response = await agent.sendMessage({
-      contextId: detail.contextId,
-      message
+    const agentUrls = {
+      order: process.env.ORDER_AGENT_URL,
+      payment: process.env.PAYMENT_AGENT_URL,
+      warehouse: process.env.WAREHOUSE_AGENT_URL,
+      notification: process.env.NOTIFICATION_AGENT_URL
+    };
+    const signing = {
+      callerId: 'triage',
+      secret: process.env.AGENT_SIGNING_SECRET,
+      agentUrls,
+      tenantId: detail.tenantId
+    };
+
+    // Every call to an agent carries a short-lived token scoped to what triage may do with that agent
+    const response = await withSignedAgentCalls(signing, async () => {
+      const agent = new AmazonBedrockOrchestrator(params);
+      console.log('init');
+      agent.registerAgents(Object.values(agentUrls));
+      console.log('registered');
+      // Agents resolve the tenant from the context the status update bound; the metadata lets them cross-check it
+      return agent.sendMessage({
+        contextId: detail.contextId,
+        message,
+        metadata: { tenantId: detail.tenantId }
+      });
     });
 
     console.log(response);
 
+    // The agents' work is done at this point; losing the record must not turn the run into a replayable failure
+    await saveResolution(detail, response)
+      .catch(resolutionError => console.error('Failed to save resolution:', resolutionError));
+
+    if (detail.replayOf) {
+      await markTriageFailureReplayed(detail.tenantId, detail.replayOf)
+        .catch(markError => console.error('Failed to mark triage failure replayed:', markError));
+    }
+
+    if (detail.eventId) {
+      await completeOutboxEvent('triage', detail.eventId)
+        .catch(completeError => console.error('Failed to complete triage claim:', completeError));
+    }
+
     return {
       statusCode: 200,
       body: JSON.stringify({
@@ -124,5 +171,29 @@ ${detail.orderValue ? `- Order Value: $${detail.orderValue}` : ''}
       eventId: detail?.eventId,
       tenantId: detail?.tenantId
     });
+
+    // Keep the failed run so it can be replayed. A replay sends a new event, so this one is then done.
+    let failureId;
+    try {
+      failureId = await recordTriageFailure(detail, error);
+    } catch (recordError) {
+      console.error('Failed to record triage failure:', recordError);
+      // Fail the invocation so Lambda retries it; once the retries are used up the OnFailure destination records it
+      if (detail?.eventId) await releaseOutboxEvent('triage', detail.eventId).catch(() => {});
+      throw error;
+    }
+
+    if (detail?.eventId) {
+      await completeOutboxEvent('triage', detail.eventId)
+        .catch(completeError => console.error('Failed to complete triage claim:', completeError));
+    }
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        success: false,
+        failureId
+      })
+    };
   }
 };
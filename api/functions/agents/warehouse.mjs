@@ -1,7 +1,11 @@
 import { createAgent } from 'momento-a2a-agent';
 import { buildRequest } from '../utils/api.mjs';
 import { converse, convertToBedrockTools } from '../utils/agents.mjs';
+import { resolveAgentTenantId, UNKNOWN_TENANT_MESSAGE } from '../utils/tenants.mjs';
+import { authenticateAgentRequest, getAgentCaller, runAsAgentCaller } from '../utils/agent-auth.mjs';
 import { allocateInventory } from '../tools/allocate-inventory.mjs';
+import { releaseAllocation } from '../tools/release-allocation.mjs';
+import { fulfillAllocation } from '../tools/fulfill-allocation.mjs';
 
 let agent;
 
@@ -28,6 +32,26 @@ const getAgent = async (baseUrl) => {
             'Check and allocate available stock for redelivery'
           ],
           tags: ['inventory', 'warehouse', 'allocation', 'stock-management']
+        },
+        {
+          id: 'release-allocation',
+          name: 'Release Allocation',
+          description: 'Return allocated inventory to available stock when a replacement order is cancelled or no longer needed',
+          examples: [
+            'Release the allocation of PRD-789 for cancelled order ORD-12345',
+            'Return reserved stock for a replacement that is no longer needed'
+          ],
+          tags: ['inventory', 'warehouse', 'allocation', 'release']
+        },
+        {
+          id: 'fulfill-allocation',
+          name: 'Fulfill Allocation',
+          description: 'Mark allocated inventory as picked or shipped as the replacement order leaves the warehouse',
+          examples: [
+            'Mark PRD-789 for order ORD-12345 as picked',
+            'Mark the allocation for ORD-12345 as shipped with tracking number TRK-98765'
+          ],
+          tags: ['inventory', 'warehouse', 'fulfillment', 'shipping']
         }
       ],
       options: {
@@ -50,8 +74,17 @@ const getAgent = async (baseUrl) => {
 export const handler = async (event) => {
   try {
     const { request, baseUrl } = buildRequest(event);
+    const { caller, statusCode, message } = authenticateAgentRequest(request, 'warehouse');
+    if (statusCode) {
+      return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      };
+    }
+
     const agentInstance = await getAgent(baseUrl);
-    const response = await agentInstance.fetch(request);
+    const response = await runAsAgentCaller(caller, () => agentInstance.fetch(request));
 
     const body = await response.text();
     const headers = Object.fromEntries(response.headers.entries());
@@ -72,12 +105,19 @@ export const handler = async (event) => {
   }
 };
 
-const agentHandler = async (message, { task, publishUpdate }) => {
+export const agentHandler = async (message, { task, publishUpdate } = {}) => {
+  const caller = getAgentCaller();
+  const tenantId = await resolveAgentTenantId(message, task, caller);
+  if (!tenantId) {
+    return UNKNOWN_TENANT_MESSAGE;
+  }
+
   const systemPrompt = `## Role
 You are the Warehouse Management Agent for SwiftShip Logistics, responsible for inventory allocation and stock management for replacement orders.
 
 ## Instructions
 Manage inventory using the allocateInventory tool to reserve stock for replacement orders. Validate quantities and check availability before allocation.
+Use releaseAllocation to return stock when a replacement order is cancelled or no longer needed, and fulfillAllocation to mark allocations as picked or shipped.
 
 ## Steps
 1. Validate allocation request (productId, quantity, orderId)
@@ -91,14 +131,18 @@ Allocate inventory accurately while preventing over-allocation and maintaining r
 
 ## Narrowing
 - Only allocate inventory for products that exist in the system
-- Prevent allocation when insufficient quantity is available
-- Allocation quantities must be positive integers`;
+- Prevent allocation when insufficient quantity is available; when allocateInventory returns INSUFFICIENT_STOCK, report the available quantity instead of retrying
+- Allocation quantities must be positive integers
+- Only release or fulfill allocations that exist for the given order and product
+- When allocateInventory returns VALIDATION_FAILED, nothing was reserved; report the listed issues instead of retrying`;
 
-  const tools = convertToBedrockTools([allocateInventory]);
+  const tools = convertToBedrockTools([allocateInventory, releaseAllocation, fulfillAllocation]);
 
   const context = {
-    taskId: task.id,
-    tenantId: 'example-tenant',
+    taskId: task?.id,
+    tenantId,
+    scopes: caller?.scopes,
+    contextId: task?.contextId,
     sessionId: 'session-' + Date.now(),
     publishUpdate
   };
@@ -0,0 +1,24 @@
+import { resolveCallerTenant } from '../utils/tenants.mjs';
+
+// API Gateway REQUEST authorizer: the resolved tenant is handed to every route as requestContext.authorizer.tenantId
+export const handler = async (event) => {
+  const tenantId = await resolveCallerTenant(event.headers);
+  if (!tenantId) {
+    // API Gateway turns this exact message into a 401
+    throw new Error('Unauthorized');
+  }
+
+  const [apiArn, stage] = event.methodArn.split('/');
+  return {
+    principalId: tenantId,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [{
+        Action: 'execute-api:Invoke',
+        Effect: 'Allow',
+        Resource: `${apiArn}/${stage}/*`
+      }]
+    },
+    context: { tenantId }
+  };
+};
@@ -0,0 +1,23 @@
+import { formatError, formatResponse } from '../utils/api.mjs';
+import { buildDeliveryTimeline, getDeliveryStatuses } from '../utils/deliveries.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { deliveryId } = event.pathParameters ?? {};
+    const statuses = await getDeliveryStatuses(tenantId, deliveryId);
+    if (!statuses.length) {
+      return formatError(404, 'NOT_FOUND', `No status updates recorded for delivery ${deliveryId}`);
+    }
+
+    return formatResponse(200, buildDeliveryTimeline(deliveryId, statuses));
+  } catch (error) {
+    console.error('Get delivery error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
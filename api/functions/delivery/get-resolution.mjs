@@ -0,0 +1,23 @@
+import { formatError, formatResponse, toResource } from '../utils/api.mjs';
+import { getLatestResolution } from '../utils/resolutions.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { deliveryId } = event.pathParameters ?? {};
+    const resolution = await getLatestResolution(tenantId, deliveryId);
+    if (!resolution) {
+      return formatError(404, 'NOT_FOUND', `No resolution recorded for delivery ${deliveryId}`);
+    }
+
+    return formatResponse(200, toResource(resolution));
+  } catch (error) {
+    console.error('Get delivery resolution error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
@@ -0,0 +1,26 @@
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { isOutboxPartition, publishOutboxEvent } from '../utils/outbox.mjs';
+
+// DynamoDB stream consumer: publishes outbox events as soon as the transaction that wrote them commits.
+// Failed records are reported back so Lambda retries them; anything still unpublished after the retries
+// is picked up by the outbox sweeper.
+export const handler = async (event) => {
+  const batchItemFailures = [];
+
+  for (const record of event.Records ?? []) {
+    const image = record.dynamodb?.NewImage;
+    if (!['INSERT', 'MODIFY'].includes(record.eventName) || !image) continue;
+
+    const outboxEvent = unmarshall(image);
+    if (!isOutboxPartition(outboxEvent.pk)) continue;
+
+    try {
+      await publishOutboxEvent(outboxEvent);
+    } catch (error) {
+      console.error('Failed to publish outbox event from stream:', { sk: outboxEvent.sk, error: error.message });
+      batchItemFailures.push({ itemIdentifier: record.dynamodb.SequenceNumber });
+    }
+  }
+
+  return { batchItemFailures };
+};
@@ -0,0 +1,32 @@
+import { publishPendingOutboxEvents } from '../utils/outbox.mjs';
+
+// Events the stream publisher has not delivered after this long count as stuck
+const OUTBOX_STUCK_AFTER_SECONDS = Number(process.env.OUTBOX_STUCK_AFTER_SECONDS || 120);
+
+// Scheduled sweeper: republishes outbox events the stream publisher gave up on and reports how many were
+// stuck. Metrics are written in CloudWatch embedded metric format, so they need no extra permissions.
+export const handler = async () => {
+  const summary = await publishPendingOutboxEvents({ olderThanSeconds: OUTBOX_STUCK_AFTER_SECONDS });
+
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: 'SwiftShip/Outbox',
+        Dimensions: [[]],
+        Metrics: [
+          { Name: 'StuckOutboxEvents', Unit: 'Count' },
+          { Name: 'OutboxEventsRepublished', Unit: 'Count' },
+          { Name: 'OldestOutboxEventAgeSeconds', Unit: 'Seconds' }
+        ]
+      }]
+    },
+    StuckOutboxEvents: summary.pending,
+    OutboxEventsRepublished: summary.published,
+    OldestOutboxEventAgeSeconds: summary.oldestAgeSeconds,
+    message: 'Swept delivery event outbox',
+    failed: summary.failed
+  }));
+
+  return summary;
+};
@@ -1,98 +1,175 @@
-import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
-import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { DynamoDBClient, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
 import { AuthClient, CredentialProvider, ExpiresIn, TopicRole } from '@gomomento/sdk';
-import { formatResponse } from '../utils/api.mjs';
+import { formatError, formatResponse, getHeader, parseBody } from '../utils/api.mjs';
+import { getDeliveryStatuses, parseDeliveryStatusUpdate } from '../utils/deliveries.mjs';
+import { parseEntity } from '../utils/entity-schemas.mjs';
+import { IDEMPOTENCY_KEY_PATTERN, claimIdempotencyKey, completeIdempotencyKey, hashRequest, releaseIdempotencyKey } from '../utils/idempotency.mjs';
+import { getOrder } from '../utils/order-lineage.mjs';
+import { buildOutboxItem } from '../utils/outbox.mjs';
+import { bindContextToTenant, getRequestTenantId } from '../utils/tenants.mjs';
 import { randomUUID } from 'crypto';
 
 const ddb = new DynamoDBClient();
-const eventBridge = new EventBridgeClient();
-const authClient = new AuthClient({ credentialProvider: CredentialProvider.fromEnvironmentVariable('MOMENTO_API_KEY') });
+let authClient;
 
 export const handler = async (event) => {
   try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
     const { deliveryId } = event.pathParameters;
-    const body = JSON.parse(event.body);
-    const contextId = event.headers?.['x-context-id'] || event.headers?.['X-Context-Id'] || randomUUID();
-    const timestamp = new Date().toISOString();
+    const idempotencyKey = getHeader(event, 'Idempotency-Key');
+    const { update, issues } = parseDeliveryStatusUpdate(parseBody(event));
+    const requestIssues = [
+      ...(idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)
+        ? [{ path: 'headers.Idempotency-Key', message: 'Must be 1 to 255 printable ASCII characters' }]
+        : []),
+      ...(issues ?? [])
+    ];
+    if (requestIssues.length) {
+      return formatError(400, 'VALIDATION_FAILED', `Invalid delivery status update: ${requestIssues.map(issue => `${issue.path || 'body'} ${issue.message}`).join('; ')}`, { issues: requestIssues });
+    }
 
-    const statusRecord = {
-      deliveryId,
-      status: body.status,
-      timestamp,
-      location: body.location,
-      driverId: body.driverId,
-      reason: body.reason
-    };
+    const unknownDelivery = await findUnknownDelivery(tenantId, deliveryId, update.orderId);
+    if (unknownDelivery) {
+      return formatError(404, 'UNKNOWN_DELIVERY', unknownDelivery);
+    }
 
-    await storeDeliveryStatus(deliveryId, statusRecord);
-    await publishDeliveryEvent(deliveryId, statusRecord, contextId);
+    let contextId = getHeader(event, 'X-Context-Id') || randomUUID();
 
-    const momentoToken = await generateMomentoToken(contextId);
+    // Updates are keyed by when they were received; the driver's own clock is kept as reportedAt
+    let receivedAt = new Date().toISOString();
 
-    return formatResponse(202, {
-      accepted: true,
-      orderId: body.orderId,
-      message: 'Delivery status update accepted for processing',
-      notifications: {
-        authToken: momentoToken,
-        contextId
+    // A retry with the same Idempotency-Key reuses the first attempt's context and receipt time, so it
+    // overwrites the same status record and the client keeps listening on the same topic
+    const idempotencyScope = `delivery-status#${deliveryId}`;
+    if (idempotencyKey) {
+      const { outcome, record } = await claimIdempotencyKey(tenantId, idempotencyScope, idempotencyKey, hashRequest(update), { contextId, receivedAt });
+      if (outcome === 'mismatch') {
+        return formatError(422, 'IDEMPOTENCY_KEY_REUSED', `Idempotency key ${idempotencyKey} was already used for a different status update`);
       }
-    });
+      if (outcome === 'in_progress') {
+        return formatError(409, 'IDEMPOTENCY_KEY_IN_USE', `A status update with idempotency key ${idempotencyKey} is still being processed`);
+      }
+      if (outcome === 'completed') {
+        return acceptedResponse(record.response.body, record.contextId);
+      }
+      ({ contextId, receivedAt } = record);
+    }
+
+    // Agents look the tenant up by context id, so a context can never be reused across tenants.
+    // Only bound once the update is going to be written, so a replayed retry binds nothing.
+    if (!await bindContextToTenant(contextId, tenantId)) {
+      if (idempotencyKey) await releaseIdempotencyKey(tenantId, idempotencyScope, idempotencyKey).catch(() => {});
+      return formatError(409, 'CONTEXT_CONFLICT', `Context ${contextId} is already in use`);
+    }
+
+    try {
+      const statusRecord = {
+        deliveryId,
+        orderId: update.orderId,
+        status: update.status,
+        timestamp: receivedAt,
+        reportedAt: update.timestamp,
+        location: update.location,
+        driverId: update.driverId,
+        reason: update.reason
+      };
+
+      await recordDeliveryStatus(tenantId, deliveryId, statusRecord, contextId);
+    } catch (error) {
+      if (idempotencyKey) await releaseIdempotencyKey(tenantId, idempotencyScope, idempotencyKey).catch(() => {});
+      throw error;
+    }
+
+    const accepted = {
+      accepted: true,
+      orderId: update.orderId,
+      message: 'Delivery status update accepted for processing'
+    };
+    if (idempotencyKey) {
+      // The update is already stored and announced, so the client must not see a failure it would retry.
+      // A retry once the claim's lock lapses rewrites the same status and outbox event.
+      await completeIdempotencyKey(tenantId, idempotencyScope, idempotencyKey, { statusCode: 202, body: accepted })
+        .catch(error => console.warn('Failed to complete idempotency key after storing the update:', { deliveryId, idempotencyKey, error: error.message }));
+    }
+
+    return acceptedResponse(accepted, contextId);
 
   } catch (error) {
     console.error('Delivery status update error:', error);
-    return formatResponse(500, {
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'An unexpected error occurred'
-      }
-    });
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
   }
 };
 
-const storeDeliveryStatus = async (deliveryId, statusRecord) => {
-  const tenantId = 'example-tenant';
-  const pk = `${tenantId}#delivery#${deliveryId}`;
-  const sk = `status#${statusRecord.timestamp}`;
-
-  await ddb.send(new PutItemCommand({
-    TableName: process.env.TABLE_NAME,
-    Item: marshall({
-      pk,
-      sk,
-      ...statusRecord,
-      tenantId
-    })
-  }));
+// Momento tokens are short-lived, so a replayed response gets a fresh one for the original context
+const acceptedResponse = async (accepted, contextId) => formatResponse(202, {
+  ...accepted,
+  notifications: {
+    authToken: await generateMomentoToken(contextId),
+    contextId
+  }
+});
+
+// A delivery belongs to one of the tenant's orders, and keeps that order for all of its updates
+const findUnknownDelivery = async (tenantId, deliveryId, orderId) => {
+  if (!await getOrder(tenantId, orderId)) {
+    return `Order ${orderId} not found`;
+  }
+
+  const recorded = (await getDeliveryStatuses(tenantId, deliveryId)).find(status => status.orderId);
+  if (recorded && recorded.orderId !== orderId) {
+    return `Delivery ${deliveryId} belongs to order ${recorded.orderId}, not ${orderId}`;
+  }
+
+  return null;
 };
 
-const publishDeliveryEvent = async (deliveryId, statusRecord, contextId) => {
-  const result = await eventBridge.send(new PutEventsCommand({
-    Entries: [
-      {
-        Source: 'swiftship.delivery',
-        DetailType: 'Delivery Status Update',
-        Detail: JSON.stringify({
-          deliveryId,
-          tenantId: 'example-tenant',
-          contextId,
-          status: statusRecord
-        }),
-        Time: new Date()
-      }
+// The status and the event announcing it are written in one transaction; the outbox publisher sends the
+// event to EventBridge, so a stored status is never left without the triage it should trigger
+const recordDeliveryStatus = async (tenantId, deliveryId, statusRecord, contextId) => {
+  const item = parseEntity('deliveryStatus', {
+    pk: `${tenantId}#delivery#${deliveryId}`,
+    sk: `status#${statusRecord.timestamp}`,
+    ...statusRecord,
+    tenantId
+  });
+  const outboxItem = buildOutboxItem({
+    tenantId,
+    source: 'swiftship.delivery',
+    detailType: 'Delivery Status Update',
+    detail: {
+      deliveryId,
+      orderId: statusRecord.orderId,
+      tenantId,
+      contextId,
+      status: statusRecord
+    },
+    createdAt: statusRecord.timestamp,
+    dedupeKey: `${tenantId}#${deliveryId}`
+  });
+
+  await ddb.send(new TransactWriteItemsCommand({
+    TransactItems: [
+      { Put: { TableName: process.env.TABLE_NAME, Item: marshall(item, { removeUndefinedValues: true }) } },
+      { Put: { TableName: process.env.TABLE_NAME, Item: marshall(outboxItem) } }
     ]
   }));
-
-  if (result.FailedEntryCount > 0) {
-    const error = new Error('Failed to publish event to EventBridge');
-    error.code = 'EVENT_PUBLISHING_FAILED';
-    throw error;
-  }
 };
 
 const generateMomentoToken = async (contextId) => {
+  // Momento is optional; without a key the client simply gets no subscription token
+  if (!process.env.MOMENTO_API_KEY) {
+    return undefined;
+  }
+
+  if (!authClient) {
+    authClient = new AuthClient({ credentialProvider: CredentialProvider.fromEnvironmentVariable('MOMENTO_API_KEY') });
+  }
+
   const tokenResponse = await authClient.generateDisposableToken({
     permissions: [{
       role: TopicRole.SubscribeOnly,
@@ -1,4 +1,6 @@
-import { z } from 'zod';
+import { getAllowedNextStatuses } from '../utils/order-lifecycle.mjs';
+import { getOnHandQuantity, withStockLevels } from '../utils/inventory.mjs';
+import { parseEntity } from '../utils/entity-schemas.mjs';
 
 // Customer persona definitions
 const CUSTOMER_PERSONAS = {
@@ -8,7 +10,7 @@ const CUSTOMER_PERSONAS = {
     averageOrderValue: 500,
     registrationDaysAgo: 365,
     totalOrdersRange: [8, 15],
-entRange: [2000, 5000]
+    totalSpentRange: [2000, 5000]
   },
   standard: {
     type: 'standard',
@@ -34,21 +36,32 @@ const CUSTOMER_NAMES = [
 ];
 
 const CITIES = [
-  { name: 'New York', state: 'NY', zipBase: 10000 },
-  { name: 'Los Angeles', state: 'CA', zipBase: 90000 },
-  { name: 'Chicago', state: 'IL', zipBase: 60000 },
-  { name: 'Houston', state: 'TX', zipBase: 77000 },
-  { name: 'Phoenix', state: 'AZ', zipBase: 85000 }
+  { name: 'New York', state: 'NY', zipBase: 10000, latitude: 40.7128, longitude: -74.006 },
+  { name: 'Los Angeles', state: 'CA', zipBase: 90000, latitude: 34.0522, longitude: -118.2437 },
+  { name: 'Chicago', state: 'IL', zipBase: 60000, latitude: 41.8781, longitude: -87.6298 },
+  { name: 'Houston', state: 'TX', zipBase: 77000, latitude: 29.7604, longitude: -95.3698 },
+  { name: 'Phoenix', state: 'AZ', zipBase: 85000, latitude: 33.4484, longitude: -112.074 }
 ];
 
+/**
+ * Look up the coordinates of a city customers are generated in
+ * @param {string} cityName - City name as it appears in generated addresses
+ * @returns {{ latitude: number, longitude: number }|null} City center, or null for an unknown city
+ */
+export const getCityCoordinates = (cityName) => {
+  const city = CITIES.find(candidate => candidate.name === cityName);
+  return city ? { latitude: city.latitude, longitude: city.longitude } : null;
+};
+
 /**
  * Generate realistic customer profiles with proper DynamoDB structure
  * @param {string} tenantId - The tenant identifier
  * @param {number} count - Number of customers to generate
  * @param {string} scenarioType - Type of scenario (full, minimal)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of customer objects
  */
-export const generateCustomers = (tenantId, count = 5, scenarioType = 'full') => {
+export const generateCustomers = (tenantId, count = 5, scenarioType = 'full', random = Math.random) => {
   const customers = [];
   const personaTypes = Object.keys(CUSTOMER_PERSONAS);
 
@@ -73,8 +86,8 @@ export const generateCustomers = (tenantId, count = 5, scenarioType = 'full') =>
     const registrationDate = new Date(Date.now() - persona.registrationDaysAgo * 24 * 60 * 60 * 1000);
 
     // Generate order history based on persona
-    const totalOrders = Math.floor(Math.random() * (persona.totalOrdersRange[1] - persona.totalOrdersRange[0] + 1)) + persona.totalOrdersRange[0];
-    const totalSpent = Math.floor(Math.random() * (persona.totalSpentRange[1] - persona.totalSpentRange[0] + 1)) + persona.totalSpentRange[0];
+    const totalOrders = Math.floor(random() * (persona.totalOrdersRange[1] - persona.totalOrdersRange[0] + 1)) + persona.totalOrdersRange[0];
+    const totalSpent = Math.floor(random() * (persona.totalSpentRange[1] - persona.totalSpentRange[0] + 1)) + persona.totalSpentRange[0];
 
     const ttl = Math.floor((Date.now() + 365 * 24 * 60 * 60 * 1000) / 1000);
 
@@ -116,10 +129,11 @@ export const generateCustomers = (tenantId, count = 5, scenarioType = 'full') =>
  * @param {string} tenantId - The tenant identifier
  * @param {number} index - Customer index for unique IDs
  * @param {string} personaType - Type of customer persona (premium, standard, new)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Object} Customer object
  */
-export const generateCustomerWithPersona = (tenantId, index, personaType = 'standard') => {
-  const customers = generateCustomers(tenantId, 1, 'custom');
+export const generateCustomerWithPersona = (tenantId, index, personaType = 'standard', random = Math.random) => {
+  const customers = generateCustomers(tenantId, 1, 'custom', random);
   const customer = customers[0];
 
   // Override with specific persona
@@ -134,8 +148,8 @@ export const generateCustomerWithPersona = (tenantId, index, personaType = 'stan
     GSI1SK: `${registrationDate.toISOString()}#${customerId}`,
     customerType: persona.type,
     registrationDate: registrationDate.toISOString(),
-    totalOrders: Math.floor(Math.random() * (persona.totalOrdersRange[1] - persona.totalOrdersRange[0] + 1)) + persona.totalOrdersRange[0],
-    totalSpent: Math.floor(Math.random() * (persona.totalSpentRange[1] - persona.totalSpentRange[0] + 1)) + persona.totalSpentRange[0]
+    totalOrders: Math.floor(random() * (persona.totalOrdersRange[1] - persona.totalOrdersRange[0] + 1)) + persona.totalOrdersRange[0],
+    totalSpent: Math.floor(random() * (persona.totalSpentRange[1] - persona.totalSpentRange[0] + 1)) + persona.totalSpentRange[0]
   };
 };
 
@@ -143,67 +157,40 @@ export const generateCustomerWithPersona = (tenantId, index, personaType = 'stan
  * Validate customer data structure
  * @param {Object} customer - Customer object to validate
  * @returns {Object} Validated customer object
+ * @throws {Error} VALIDATION_FAILED when the customer does not match the shared entity schema
  */
-export const validateCustomerData = (customer) => {
-  const customerSchema = z.object({
-    pk: z.string(),
-    sk: z.string(),
-    GSI1PK: z.string(),
-    GSI1SK: z.string(),
-    customerId: z.string(),
-    name: z.string(),
-    email: z.string().email(),
-    phone: z.string(),
-    address: z.object({
-      street: z.string(),
-      city: z.string(),
-      state: z.string(),
-      zipCode: z.string(),
-      country: z.string()
-    }),
-    customerType: z.enum(['premium', 'standard', 'new']),
-    registrationDate: z.string(),
-    totalOrders: z.number().min(0),
-    totalSpent: z.number().min(0),
-    preferences: z.object({
-      communicationMethod: z.enum(['email', 'phone']),
-      deliveryInstructions: z.string()
-    }),
-    ttl: z.number()
-  });
-
-  return customerSchema.parse(customer);
-};
+export const validateCustomerData = (customer) => parseEntity('customer', customer);
 // Order status definitions with realistic progression
+// Weighted starting statuses for generated orders; transitions come from the shared order lifecycle
 const ORDER_STATUSES = {
   pending: {
     name: 'pending',
     weight: 0.15,
-    nextStatuses: ['processing', 'cancelled'],
+    nextStatuses: getAllowedNextStatuses('pending'),
     daysFromOrder: 0
   },
   processing: {
-    name: 'proc
-  weight: 0.20,
-    nextStatuses: ['shipped', 'cancelled'],
+    name: 'processing',
+    weight: 0.20,
+    nextStatuses: getAllowedNextStatuses('processing'),
     daysFromOrder: 1
   },
   shipped: {
     name: 'shipped',
     weight: 0.25,
-    nextStatuses: ['delivered', 'exception'],
+    nextStatuses: getAllowedNextStatuses('shipped'),
     daysFromOrder: 3
   },
   delivered: {
     name: 'delivered',
     weight: 0.35,
-    nextStatuses: [],
+    nextStatuses: getAllowedNextStatuses('delivered'),
     daysFromOrder: 5
   },
   cancelled: {
     name: 'cancelled',
     weight: 0.05,
-    nextStatuses: [],
+    nextStatuses: getAllowedNextStatuses('cancelled'),
     daysFromOrder: 1
   }
 };
@@ -227,9 +214,10 @@ const PRODUCT_CATALOG = [
  * @param {Array} customers - Array of customer objects to link orders to
  * @param {number} count - Number of orders to generate
  * @param {string} scenarioType - Type of scenario (full, minimal)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of order objects
  */
-export const generateOrders = (tenantId, customers, count = 15, scenarioType = 'full') => {
+export const generateOrders = (tenantId, customers, count = 15, scenarioType = 'full', random = Math.random) => {
   const orders = [];
   const statusKeys = Object.keys(ORDER_STATUSES);
 
@@ -244,11 +232,11 @@ export const generateOrders = (tenantId, customers, count = 15, scenarioType = '
     if (scenarioType === 'minimal') {
       selectedStatus = i === 0 ? 'delivered' : 'pending';
     } else {
-      const random = Math.random();
+      const roll = random();
       let cumulativeWeight = 0;
       for (const status of statusKeys) {
         cumulativeWeight += ORDER_STATUSES[status].weight;
-        if (random <= cumulativeWeight) {
+        if (roll <= cumulativeWeight) {
           selectedStatus = status;
           break;
         }
@@ -258,16 +246,16 @@ export const generateOrders = (tenantId, customers, count = 15, scenarioType = '
     const statusInfo = ORDER_STATUSES[selectedStatus];
 
     // Generate order date based on status progression
-    const orderDate = new Date(Date.now() - (statusInfo.daysFromOrder + Math.random() * 10) * 24 * 60 * 60 * 1000);
+    const orderDate = new Date(Date.now() - (statusInfo.daysFromOrder + random() * 10) * 24 * 60 * 60 * 1000);
 
     // Generate items based on customer type
-    const itemCount = customer.customerType === 'premium' ? Math.floor(Math.random() * 3) + 1 : Math.floor(Math.random() * 2) + 1;
+    const itemCount = customer.customerType === 'premium' ? Math.floor(random() * 3) + 1 : Math.floor(random() * 2) + 1;
     const items = [];
     let totalAmount = 0;
 
     for (let j = 0; j < itemCount; j++) {
-      const product = PRODUCT_CATALOG[Math.floor(Math.random() * PRODUCT_CATALOG.length)];
-      const quantity = Math.floor(Math.random() * 2) + 1;
+      const product = PRODUCT_CATALOG[Math.floor(random() * PRODUCT_CATALOG.length)];
+      const quantity = Math.floor(random() * 2) + 1;
       const itemTotal = product.price * quantity;
 
       items.push({
@@ -284,7 +272,7 @@ export const generateOrders = (tenantId, customers, count = 15, scenarioType = '
     totalAmount = Math.round(totalAmount * 100) / 100;
 
     // Generate status history
-    const statusHistory = generateOrderStatusHistory(orderDate, selectedStatus);
+    const statusHistory = generateOrderStatusHistory(orderDate, selectedStatus, random);
 
     // Calculate delivery date if delivered
     let deliveryDate = null;
@@ -326,9 +314,10 @@ export const generateOrders = (tenantId, customers, count = 15, scenarioType = '
  * Generate realistic status history for an order
  * @param {Date} orderDate - The original order date
  * @param {string} finalStatus - The final status of the order
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of status history entries
  */
-const generateOrderStatusHistory = (orderDate, finalStatus) => {
+const generateOrderStatusHistory = (orderDate, finalStatus, random) => {
   const history = [];
   let currentDate = new Date(orderDate);
 
@@ -342,7 +331,7 @@ const generateOrderStatusHistory = (orderDate, finalStatus) => {
   // Progress through statuses based on final status
   if (finalStatus === 'cancelled') {
     // Cancelled orders might skip processing
-    if (Math.random() > 0.5) {
+    if (random() > 0.5) {
       currentDate = new Date(currentDate.getTime() + 2 * 60 * 60 * 1000); // 2 hours later
       history.push({
         status: 'processing',
@@ -413,9 +402,10 @@ const generateOrderNotes = (status, customerType) => {
  * @param {string} tenantId - The tenant identifier
  * @param {Array} customers - Array of customer objects
  * @param {string} scenarioType - Type of scenario (simple_delivery, complex_delivery, mixed)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of scenario-specific orders
  */
-export const generateScenarioOrders = (tenantId, customers, scenarioType) => {
+export const generateScenarioOrders = (tenantId, customers, scenarioType, random = Math.random) => {
   switch (scenarioType) {
     case 'simple_delivery':
       return [generateSimpleDeliveryOrder(tenantId, customers[0])];
@@ -424,10 +414,10 @@ export const generateScenarioOrders = (tenantId, customers, scenarioType) => {
       return [generateComplexDeliveryOrder(tenantId, customers[0])];
 
     case 'mixed':
-      return generateOrders(tenantId, customers, 15, 'full');
+      return generateOrders(tenantId, customers, 15, 'full', random);
 
     default:
-      return generateOrders(tenantId, customers, 5, 'minimal');
+      return generateOrders(tenantId, customers, 5, 'minimal', random);
   }
 };
 
@@ -496,11 +486,11 @@ const generateComplexDeliveryOrder = (tenantId, customer) => {
   return {
     pk: `${tenantId}#orders`,
     sk: `order#${orderId}`,
-    GSI1PK: `${tenantId}#orders#exception`,
+    GSI1PK: `${tenantId}#orders#delivery_failed`,
     GSI1SK: `${orderDate.toISOString()}#${orderId}`,
     orderId,
     customerId: customer.customerId,
-    status: 'exception',
+    status: 'delivery_failed',
     items: [
       {
         sku: 'SKU-DEMO-002',
@@ -536,7 +526,7 @@ const generateComplexDeliveryOrder = (tenantId, customer) => {
         notes: 'Package shipped'
       },
       {
-        status: 'exception',
+        status: 'delivery_failed',
         timestamp: new Date(orderDate.getTime() + 48 * 60 * 60 * 1000).toISOString(),
         notes: 'Package damaged during transit - requires replacement'
       }
@@ -553,51 +543,12 @@ const generateComplexDeliveryOrder = (tenantId, customer) => {
  * Validate order data structure
  * @param {Object} order - Order object to validate
  * @returns {Object} Validated order object
+ * @throws {Error} VALIDATION_FAILED when the order does not match the shared entity schema
  */
-export const validateOrderData = (order) => {
-  const orderSchema = z.object({
-    pk: z.string(),
-    sk: z.string(),
-    GSI1PK: z.string(),
-    GSI1SK: z.string(),
-    orderId: z.string(),
-    customerId: z.string(),
-    status: z.enum(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'out_for_delivery', 'exception']),
-    items: z.array(z.object({
-      sku: z.string(),
-      name: z.string(),
-      quantity: z.number().min(1),
-      price: z.number().min(0),
-      total: z.number().min(0)
-    })),
-    totalAmount: z.number().min(0),
-    currency: z.string(),
-    shippingAddress: z.object({
-      street: z.string(),
-      city: z.string(),
-      state: z.string(),
-      zipCode: z.string(),
-      country: z.string()
-    }),
-    orderDate: z.string(),
-    deliveryDate: z.string().nullable(),
-    trackingNumber: z.string(),
-    paymentId: z.string(),
-    statusHistory: z.array(z.object({
-      status: z.string(),
-      timestamp: z.string(),
-      notes: z.string()
-    })),
-    shippingMethod: z.enum(['standard', 'express']),
-    notes: z.string(),
-    ttl: z.number()
-  });
-
-  return orderSchema.parse(order);
-};
+export const validateOrderData = (order) => parseEntity('order', order);
 // Warehouse and supplier definitions
 const WAREHOUSES = [
-  { id: 'WH-NYC-001', name: 'New York Distriter', location: 'New York, NY' },
+  { id: 'WH-NYC-001', name: 'New York Distribution Center', location: 'New York, NY' },
   { id: 'WH-LAX-001', name: 'Los Angeles Fulfillment Center', location: 'Los Angeles, CA' },
   { id: 'WH-CHI-001', name: 'Chicago Logistics Hub', location: 'Chicago, IL' },
   { id: 'WH-DFW-001', name: 'Dallas Distribution Center', location: 'Dallas, TX' }
@@ -625,9 +576,10 @@ const STOCK_SCENARIOS = {
  * @param {string} tenantId - The tenant identifier
  * @param {number} count - Number of products to generate
  * @param {string} scenarioType - Type of scenario (full, minimal)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of product/inventory objects
  */
-export const generateProducts = (tenantId, count = 10, scenarioType = 'full') => {
+export const generateProducts = (tenantId, count = 10, scenarioType = 'full', random = Math.random) => {
   const products = [];
   const stockScenarioKeys = Object.keys(STOCK_SCENARIOS);
 
@@ -642,37 +594,33 @@ export const generateProducts = (tenantId, count = 10, scenarioType = 'full') =>
       stockScenario = 'medium_stock';
     } else {
       // 40% high stock, 30% medium, 20% low, 8% critical, 2% out of stock
-      const random = Math.random();
-      if (random < 0.40) stockScenario = 'high_stock';
-      else if (random < 0.70) stockScenario = 'medium_stock';
-      else if (random < 0.90) stockScenario = 'low_stock';
-      else if (random < 0.98) stockScenario = 'critical_stock';
+      const roll = random();
+      if (roll < 0.40) stockScenario = 'high_stock';
+      else if (roll < 0.70) stockScenario = 'medium_stock';
+      else if (roll < 0.90) stockScenario = 'low_stock';
+      else if (roll < 0.98) stockScenario = 'critical_stock';
       else stockScenario = 'out_of_stock';
     }
 
     const stockInfo = STOCK_SCENARIOS[stockScenario];
-    const stockLevel = Math.floor(Math.random() * (stockInfo.max - stockInfo.min + 1)) + stockInfo.min;
+    const stockLevel = Math.floor(random() * (stockInfo.max - stockInfo.min + 1)) + stockInfo.min;
     const reservedStock = Math.floor(stockLevel * stockInfo.reserved);
-    const availableStock = Math.max(0, stockLevel - reservedStock);
 
     // Generate last restock date (within last 30 days for active products)
-    const lastRestocked = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000);
+    const lastRestocked = new Date(Date.now() - random() * 30 * 24 * 60 * 60 * 1000);
 
     const ttl = Math.floor((Date.now() + 365 * 24 * 60 * 60 * 1000) / 1000);
 
-    const productRecord = {
+    const productRecord = withStockLevels({
       pk: `${tenantId}#inventory`,
       sk: `product#${product.sku}`,
-      GSI1PK: `${tenantId}#inventory#${availableStock > 0 ? 'available' : 'unavailable'}`,
+      GSI1PK: `${tenantId}#inventory`,
       GSI1SK: `${product.category}#${product.sku}`,
       sku: product.sku,
       name: product.name,
       category: product.category,
       price: product.price,
       currency: 'USD',
-      stockLevel,
-      reservedStock,
-      availableStock,
       warehouse: warehouse.id,
       warehouseName: warehouse.name,
       warehouseLocation: warehouse.location,
@@ -681,12 +629,12 @@ export const generateProducts = (tenantId, count = 10, scenarioType = 'full') =>
       reorderPoint: Math.max(5, Math.floor(stockLevel * 0.2)),
       reorderQuantity: Math.floor(stockLevel * 1.5),
       unitCost: Math.round(product.price * 0.6 * 100) / 100, // 40% markup
-      weight: generateProductWeight(product.category),
-      dimensions: generateProductDimensions(product.category),
+      weight: generateProductWeight(product.category, random),
+      dimensions: generateProductDimensions(product.category, random),
       description: generateProductDescription(product.name, product.category),
-      tags: generateProductTags(product.category),
+      tags: generateProductTags(product.category, random),
       ttl
-    };
+    }, stockLevel, reservedStock);
 
     products.push(productRecord);
   }
@@ -697,9 +645,10 @@ export const generateProducts = (tenantId, count = 10, scenarioType = 'full') =>
 /**
  * Generate realistic product weight based on category
  * @param {string} category - Product category
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Object} Weight object with value and unit
  */
-const generateProductWeight = (category) => {
+const generateProductWeight = (category, random) => {
   const weightRanges = {
     electronics: { min: 0.2, max: 2.5 },
     clothing: { min: 0.1, max: 1.0 },
@@ -710,7 +659,7 @@ const generateProductWeight = (category) => {
   };
 
   const range = weightRanges[category] || { min: 0.5, max: 2.0 };
-  const weight = Math.random() * (range.max - range.min) + range.min;
+  const weight = random() * (range.max - range.min) + range.min;
 
   return {
     value: Math.round(weight * 100) / 100,
@@ -721,9 +670,10 @@ const generateProductWeight = (category) => {
 /**
  * Generate realistic product dimensions based on category
  * @param {string} category - Product category
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Object} Dimensions object with length, width, height
  */
-const generateProductDimensions = (category) => {
+const generateProductDimensions = (category, random) => {
   const dimensionRanges = {
     electronics: { l: [10, 30], w: [8, 25], h: [3, 15] },
     clothing: { l: [25, 40], w: [20, 35], h: [2, 5] },
@@ -736,9 +686,9 @@ const generateProductDimensions = (category) => {
   const ranges = dimensionRanges[category] || { l: [20, 40], w: [15, 30], h: [5, 15] };
 
   return {
-    length: Math.floor(Math.random() * (ranges.l[1] - ranges.l[0] + 1)) + ranges.l[0],
-    width: Math.floor(Math.random() * (ranges.w[1] - ranges.w[0] + 1)) + ranges.w[0],
-    height: Math.floor(Math.random() * (ranges.h[1] - ranges.h[0] + 1)) + ranges.h[0],
+    length: Math.floor(random() * (ranges.l[1] - ranges.l[0] + 1)) + ranges.l[0],
+    width: Math.floor(random() * (ranges.w[1] - ranges.w[0] + 1)) + ranges.w[0],
+    height: Math.floor(random() * (ranges.h[1] - ranges.h[0] + 1)) + ranges.h[0],
     unit: 'cm'
   };
 };
@@ -765,9 +715,10 @@ const generateProductDescription = (name, category) => {
 /**
  * Generate product tags based on category
  * @param {string} category - Product category
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of product tags
  */
-const generateProductTags = (category) => {
+const generateProductTags = (category, random) => {
   const tagsByCategory = {
     electronics: ['tech', 'gadget', 'wireless', 'premium'],
     clothing: ['fashion', 'comfortable', 'casual', 'organic'],
@@ -782,8 +733,8 @@ const generateProductTags = (category) => {
 
   // Randomly select 2-4 tags
   const selectedTags = [...baseTags];
-  if (Math.random() > 0.5) {
-    selectedTags.push(commonTags[Math.floor(Math.random() * commonTags.length)]);
+  if (random() > 0.5) {
+    selectedTags.push(commonTags[Math.floor(random() * commonTags.length)]);
   }
 
   return selectedTags.slice(0, 4);
@@ -793,65 +744,56 @@ const generateProductTags = (category) => {
  * Generate inventory for specific demo scenarios
  * @param {string} tenantId - The tenant identifier
  * @param {string} scenarioType - Type of scenario
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of scenario-specific inventory
  */
-export const generateScenarioInventory = (tenantId, scenarioType) => {
+export const generateScenarioInventory = (tenantId, scenarioType, random = Math.random) => {
   switch (scenarioType) {
     case 'low_stock_alert':
-      return generateLowStockScenario(tenantId);
+      return generateLowStockScenario(tenantId, random);
 
     case 'out_of_stock':
-      return generateOutOfStockScenario(tenantId);
+      return generateOutOfStockScenario(tenantId, random);
 
     case 'restock_needed':
-      return generateRestockScenario(tenantId);
+      return generateRestockScenario(tenantId, random);
 
     default:
-      return generateProducts(tenantId, 10, 'full');
+      return generateProducts(tenantId, 10, 'full', random);
   }
 };
 
 /**
  * Generate low stock scenario inventory
  * @param {string} tenantId - The tenant identifier
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of low stock products
  */
-const generateLowStockScenario = (tenantId) => {
-  const products = generateProducts(tenantId, 5, 'minimal');
+const generateLowStockScenario = (tenantId, random) => {
+  const products = generateProducts(tenantId, 5, 'minimal', random);
 
   // Force low stock levels
-  return products.map((product, index) => {
-    const stockLevel = Math.floor(Math.random() * 5) + 1; // 1-5 items
-    const reservedStock = Math.floor(stockLevel * 0.5);
-    const availableStock = stockLevel - reservedStock;
+  return products.map((product) => {
+    const stockLevel = Math.floor(random() * 5) + 1; // 1-5 items
 
-    return {
+    return withStockLevels({
       ...product,
-      stockLevel,
-      reservedStock,
-      availableStock,
-      GSI1PK: `${tenantId}#inventory#${availableStock > 0 ? 'low_stock' : 'unavailable'}`,
       reorderPoint: stockLevel + 5 // Trigger reorder alert
-    };
+    }, stockLevel, Math.floor(stockLevel * 0.5));
   });
 };
 
 /**
  * Generate out of stock scenario inventory
  * @param {string} tenantId - The tenant identifier
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array with some out of stock products
  */
-const generateOutOfStockScenario = (tenantId) => {
-  const products = generateProducts(tenantId, 3, 'minimal');
+const generateOutOfStockScenario = (tenantId, random) => {
+  const products = generateProducts(tenantId, 3, 'minimal', random);
 
   // Force out of stock for first product
-  products[0] = {
-    ...products[0],
-    stockLevel: 0,
-    reservedStock: 0,
-    availableStock: 0,
-    GSI1PK: `${tenantId}#inventory#unavailable`
-  };
+  products[0] = withStockLevels(products[0], 0, 0);
 
   return products;
 };
@@ -859,26 +801,17 @@ const generateOutOfStockScenario = (tenantId) => {
 /**
  * Generate restock scenario inventory
  * @param {string} tenantId - The tenant identifier
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of products needing restock
  */
-const generateRestockScenario = (tenantId) => {
-  const products = generateProducts(tenantId, 4, 'minimal');
+const generateRestockScenario = (tenantId, random) => {
+  const products = generateProducts(tenantId, 4, 'minimal', random);
 
   // Set stock levels below reorder points
   return products.map(product => {
-    const reorderPoint = 10;
-    const stockLevel = Math.floor(Math.random() * 5) + 2; // 2-6 items (below reorder point)
-    const reservedStock = Math.floor(stockLevel * 0.3);
-    const availableStock = stockLevel - reservedStock;
+    const stockLevel = Math.floor(random() * 5) + 2; // 2-6 items (below reorder point)
 
-    return {
-      ...product,
-      stockLevel,
-      reservedStock,
-      availableStock,
-      reorderPoint,
-      GSI1PK: `${tenantId}#inventory#restock_needed`
-    };
+    return withStockLevels({ ...product, reorderPoint: 10 }, stockLevel, Math.floor(stockLevel * 0.3));
   });
 };
 
@@ -897,24 +830,21 @@ export const updateInventoryFromOrders = (products, orders) => {
       order.items.forEach(item => {
         const product = productMap.get(item.sku);
         if (product) {
+          let onHand = getOnHandQuantity(product);
+          let allocated = product.allocatedQuantity;
+
           // Reserve stock for non-delivered orders
           if (['pending', 'processing', 'shipped'].includes(order.status)) {
-            product.reservedStock = Math.min(
-              product.stockLevel,
-              product.reservedStock + item.quantity
-            );
+            allocated = Math.min(onHand, allocated + item.quantity);
           }
 
-          // Reduce available stock for shipped/delivered orders
+          // Reduce on-hand stock for shipped/delivered orders
           if (['shipped', 'delivered'].includes(order.status)) {
-            product.stockLevel = Math.max(0, product.stockLevel - item.quantity);
-            product.reservedStock = Math.max(0, product.reservedStock - item.quantity);
+            onHand = Math.max(0, onHand - item.quantity);
+            allocated = Math.max(0, allocated - item.quantity);
           }
 
-          product.availableStock = Math.max(0, product.stockLevel - product.reservedStock);
-
-          // Update GSI1PK based on availability
-          product.GSI1PK = `${product.pk.split('#')[0]}#inventory#${product.availableStock > 0 ? 'available' : 'unavailable'}`;
+          productMap.set(item.sku, withStockLevels(product, onHand, allocated));
         }
       });
     }
@@ -927,50 +857,13 @@ export const updateInventoryFromOrders = (products, orders) => {
  * Validate product/inventory data structure
  * @param {Object} product - Product object to validate
  * @returns {Object} Validated product object
+ * @throws {Error} VALIDATION_FAILED when the product does not match the shared entity schema
  */
-export const validateProductData = (product) => {
-  const productSchema = z.object({
-    pk: z.string(),
-    sk: z.string(),
-    GSI1PK: z.string(),
-    GSI1SK: z.string(),
-    sku: z.string(),
-    name: z.string(),
-    category: z.string(),
-    price: z.number().min(0),
-    currency: z.string(),
-    stockLevel: z.number().min(0),
-    reservedStock: z.number().min(0),
-    availableStock: z.number().min(0),
-    warehouse: z.string(),
-    warehouseName: z.string(),
-    warehouseLocation: z.string(),
-    supplier: z.string(),
-    lastRestocked: z.string(),
-    reorderPoint: z.number().min(0),
-    reorderQuantity: z.number().min(0),
-    unitCost: z.number().min(0),
-    weight: z.object({
-      value: z.number().min(0),
-      unit: z.string()
-    }),
-    dimensions: z.object({
-      length: z.number().min(0),
-      width: z.number().min(0),
-      height: z.number().min(0),
-      unit: z.string()
-    }),
-    description: z.string(),
-    tags: z.array(z.string()),
-    ttl: z.number()
-  });
-
-  return productSchema.parse(product);
-};
+export const validateProductData = (product) => parseEntity('product', product);
 // Payment method definitions
 const PAYMENT_METHODS = {
   credit_card: {
-    name:t_card',
+    name: 'credit_card',
     displayName: 'Credit Card',
     processingTime: 0, // Instant
     failureRate: 0.02,
@@ -1044,9 +937,10 @@ const PAYMENT_STATUSES = {
  * @param {string} tenantId - The tenant identifier
  * @param {Array} orders - Array of order objects to link payments to
  * @param {string} scenarioType - Type of scenario (full, minimal)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of payment objects
  */
-export const generatePayments = (tenantId, orders, scenarioType = 'full') => {
+export const generatePayments = (tenantId, orders, scenarioType = 'full', random = Math.random) => {
   const payments = [];
   const paymentMethodKeys = Object.keys(PAYMENT_METHODS);
   const statusKeys = Object.keys(PAYMENT_STATUSES);
@@ -1058,9 +952,9 @@ export const generatePayments = (tenantId, orders, scenarioType = 'full') => {
     let paymentMethod;
     if (order.totalAmount > 300) {
       // High-value orders prefer credit cards
-      paymentMethod = Math.random() > 0.3 ? 'credit_card' : paymentMethodKeys[Math.floor(Math.random() * paymentMethodKeys.length)];
+      paymentMethod = random() > 0.3 ? 'credit_card' : paymentMethodKeys[Math.floor(random() * paymentMethodKeys.length)];
     } else {
-      paymentMethod = paymentMethodKeys[Math.floor(Math.random() * paymentMethodKeys.length)];
+      paymentMethod = paymentMethodKeys[Math.floor(random() * paymentMethodKeys.length)];
     }
 
     const methodInfo = PAYMENT_METHODS[paymentMethod];
@@ -1068,16 +962,16 @@ export const generatePayments = (tenantId, orders, scenarioType = 'full') => {
     // Determine payment status based on order status and weights
     let paymentStatus;
     if (order.status === 'cancelled') {
-      paymentStatus = Math.random() > 0.5 ? 'refunded' : 'failed';
+      paymentStatus = random() > 0.5 ? 'refunded' : 'failed';
     } else if (order.status === 'pending') {
       paymentStatus = 'pending';
     } else {
       // Use weighted selection for other statuses
-      const random = Math.random();
+      const roll = random();
       let cumulativeWeight = 0;
       for (const status of statusKeys) {
         cumulativeWeight += PAYMENT_STATUSES[status].weight;
-        if (random <= cumulativeWeight) {
+        if (roll <= cumulativeWeight) {
           paymentStatus = status;
           break;
         }
@@ -1096,7 +990,7 @@ export const generatePayments = (tenantId, orders, scenarioType = 'full') => {
     if (paymentStatus === 'refunded') {
       refundAmount = order.totalAmount;
     } else if (paymentStatus === 'partially_refunded') {
-      refundAmount = Math.round((order.totalAmount * (0.1 + Math.random() * 0.4)) * 100) / 100; // 10-50% refund
+      refundAmount = Math.round((order.totalAmount * (0.1 + random() * 0.4)) * 100) / 100; // 10-50% refund
     }
 
     const ttl = Math.floor((Date.now() + 365 * 24 * 60 * 60 * 1000) / 1000);
@@ -1119,14 +1013,14 @@ export const generatePayments = (tenantId, orders, scenarioType = 'full') => {
       refundAmount,
       fees: calculatePaymentFees(order.totalAmount, paymentMethod),
       gateway: generatePaymentGateway(paymentMethod),
-      authorizationCode: generateAuthCode(),
-      billingAddress: generateBillingAddress(order.shippingAddress),
+      authorizationCode: generateAuthCode(random),
+      billingAddress: generateBillingAddress(order.shippingAddress, random),
       paymentHistory: generatePaymentHistory(orderDate, paymentStatus, methodInfo),
-      riskScore: generateRiskScore(order.totalAmount, paymentMethod),
+      riskScore: generateRiskScore(order.totalAmount, paymentMethod, random),
       metadata: {
-        ipAddress: generateRandomIP(),
+        ipAddress: generateRandomIP(random),
         userAgent: 'SwiftShip-Demo-Client/1.0',
-        deviceFingerprint: generateDeviceFingerprint()
+        deviceFingerprint: generateDeviceFingerprint(random)
       },
       ttl
     };
@@ -1180,33 +1074,35 @@ const generatePaymentGateway = (paymentMethod) => {
 
 /**
  * Generate authorization code
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {string} Authorization code
  */
-const generateAuthCode = () => {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
+const generateAuthCode = (random) => {
+  return randomString(random, 8).toUpperCase();
 };
 
 /**
  * Generate billing address (usually same as shipping)
  * @param {Object} shippingAddress - Shipping address object
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Object} Billing address object
  */
-const generateBillingAddress = (shippingAddress) => {
+const generateBillingAddress = (shippingAddress, random) => {
   // 80% of the time, billing address matches shipping address
-  if (Math.random() < 0.8) {
+  if (random() < 0.8) {
     return { ...shippingAddress };
   }
 
   // 20% of the time, generate different billing address
   const cities = ['New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix'];
   const states = ['NY', 'CA', 'IL', 'TX', 'AZ'];
-  const cityIndex = Math.floor(Math.random() * cities.length);
+  const cityIndex = Math.floor(random() * cities.length);
 
   return {
-    street: `${Math.floor(Math.random() * 9999) + 1} Billing Street`,
+    street: `${Math.floor(random() * 9999) + 1} Billing Street`,
     city: cities[cityIndex],
     state: states[cityIndex],
-    zipCode: String(10000 + Math.floor(Math.random() * 89999)),
+    zipCode: String(10000 + Math.floor(random() * 89999)),
     country: 'USA'
   };
 };
@@ -1279,10 +1175,11 @@ const generatePaymentHistory = (orderDate, finalStatus, methodInfo) => {
  * Generate risk score for fraud detection
  * @param {number} amount - Payment amount
  * @param {string} paymentMethod - Payment method
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Object} Risk assessment
  */
-const generateRiskScore = (amount, paymentMethod) => {
-  let baseScore = Math.random() * 30; // Base score 0-30
+const generateRiskScore = (amount, paymentMethod, random) => {
+  let baseScore = random() * 30; // Base score 0-30
 
   // Adjust based on amount
   if (amount > 500) baseScore += 10;
@@ -1326,18 +1223,30 @@ const generateRiskFactors = (score) => {
 
 /**
  * Generate random IP address
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {string} IP address
  */
-const generateRandomIP = () => {
-  return `${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`;
+const generateRandomIP = (random) => {
+  return `${Math.floor(random() * 255)}.${Math.floor(random() * 255)}.${Math.floor(random() * 255)}.${Math.floor(random() * 255)}`;
 };
 
 /**
  * Generate device fingerprint
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {string} Device fingerprint
  */
-const generateDeviceFingerprint = () => {
-  return Math.random().toString(36).substr(2, 16);
+const generateDeviceFingerprint = (random) => {
+  return randomString(random, 16);
+};
+
+/**
+ * Generate a random lowercase base-36 string
+ * @param {Function} random - Random number source returning values in [0, 1)
+ * @param {number} length - Number of characters
+ * @returns {string} Random string
+ */
+const randomString = (random, length) => {
+  return Array.from({ length }, () => Math.floor(random() * 36).toString(36)).join('');
 };
 
 /**
@@ -1345,21 +1254,22 @@ const generateDeviceFingerprint = () => {
  * @param {string} tenantId - The tenant identifier
  * @param {Array} orders - Array of order objects
  * @param {string} scenarioType - Type of scenario
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
  * @returns {Array} Array of scenario-specific payments
  */
-export const generateScenarioPayments = (tenantId, orders, scenarioType) => {
+export const generateScenarioPayments = (tenantId, orders, scenarioType, random = Math.random) => {
   switch (scenarioType) {
     case 'failed_payments':
-      return generateFailedPaymentScenario(tenantId, orders);
+      return generateFailedPaymentScenario(tenantId, orders, random);
 
     case 'refund_processing':
-      return generateRefundScenario(tenantId, orders);
+      return generateRefundScenario(tenantId, orders, random);
 
     case 'high_risk':
-      return generateHighRiskScenario(tenantId, orders);
+      return generateHighRiskScenario(tenantId, orders, random);
 
     default:
-      return generatePayments(tenantId, orders, 'full');
+      return generatePayments(tenantId, orders, 'full', random);
   }
 };
 
@@ -1367,10 +1277,11 @@ export const generateScenarioPayments = (tenantId, orders, scenarioType) => {
  * Generate failed payment scenario
  * @param {string} tenantId - The tenant identifier
  * @param {Array} orders - Array of order objects
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of payments with failures
  */
-const generateFailedPaymentScenario = (tenantId, orders) => {
-  const payments = generatePayments(tenantId, orders, 'full');
+const generateFailedPaymentScenario = (tenantId, orders, random) => {
+  const payments = generatePayments(tenantId, orders, 'full', random);
 
   // Force first payment to fail
   if (payments.length > 0) {
@@ -1402,10 +1313,11 @@ const generateFailedPaymentScenario = (tenantId, orders) => {
  * Generate refund processing scenario
  * @param {string} tenantId - The tenant identifier
  * @param {Array} orders - Array of order objects
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of payments with refunds
  */
-const generateRefundScenario = (tenantId, orders) => {
-  const payments = generatePayments(tenantId, orders, 'full');
+const generateRefundScenario = (tenantId, orders, random) => {
+  const payments = generatePayments(tenantId, orders, 'full', random);
 
   // Force first payment to be refunded
   if (payments.length > 0) {
@@ -1425,16 +1337,17 @@ const generateRefundScenario = (tenantId, orders) => {
  * Generate high risk payment scenario
  * @param {string} tenantId - The tenant identifier
  * @param {Array} orders - Array of order objects
+ * @param {Function} random - Random number source returning values in [0, 1)
  * @returns {Array} Array of high-risk payments
  */
-const generateHighRiskScenario = (tenantId, orders) => {
-  const payments = generatePayments(tenantId, orders, 'full');
+const generateHighRiskScenario = (tenantId, orders, random) => {
+  const payments = generatePayments(tenantId, orders, 'full', random);
 
   // Force high risk scores
   return payments.map(payment => ({
     ...payment,
     riskScore: {
-      score: 75 + Math.floor(Math.random() * 25), // 75-100
+      score: 75 + Math.floor(random() * 25), // 75-100
       level: 'high',
       factors: ['High transaction amount', 'Unusual payment pattern', 'New customer']
     }
@@ -1445,59 +1358,199 @@ const generateHighRiskScenario = (tenantId, orders) => {
  * Validate payment data structure
  * @param {Object} payment - Payment object to validate
  * @returns {Object} Validated payment object
+ * @throws {Error} VALIDATION_FAILED when the payment does not match the shared entity schema
  */
-export const validatePaymentData = (payment) => {
-  const paymentSchema = z.object({
-    pk: z.string(),
-    sk: z.string(),
-    GSI1PK: z.string(),
-    GSI1SK: z.string(),
-    paymentId: z.string(),
-    orderId: z.string(),
-    customerId: z.string(),
-    amount: z.number().min(0),
-    currency: z.string(),
-    paymentMethod: z.enum(['credit_card', 'debit_card', 'paypal', 'bank_transfer']),
-    paymentMethodDisplay: z.string(),
-    status: z.enum(['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded']),
-    transactionId: z.string(),
-    processedAt: z.string(),
-    refundAmount: z.number().min(0),
-    fees: z.object({
-      processingFee: z.number().min(0),
-      fixedFee: z.number().min(0),
-      totalFees: z.number().min(0)
-    }),
-    gateway: z.object({
-      name: z.string(),
-      processor: z.string()
-    }),
-    authorizationCode: z.string(),
-    billingAddress: z.object({
-      street: z.string(),
-      city: z.string(),
-      state: z.string(),
-      zipCode: z.string(),
-      country: z.string()
-    }),
-    paymentHistory: z.array(z.object({
-      status: z.string(),
-      timestamp: z.string(),
-      notes: z.string(),
-      amount: z.union([z.string(), z.null()])
-    })),
-    riskScore: z.object({
-      score: z.number().min(0).max(100),
-      level: z.enum(['low', 'medium', 'high']),
-      factors: z.array(z.string())
-    }),
-    metadata: z.object({
-      ipAddress: z.string(),
-      userAgent: z.string(),
-      deviceFingerprint: z.string()
-    }),
-    ttl: z.number()
-  });
+export const validatePaymentData = (payment) => parseEntity('payment', payment);
+// Delivery exception definitions, from routine failed attempts to cases that need refunds and replacements
+const SIMPLE_EXCEPTIONS = [
+  {
+    type: 'delivery_failed',
+    reason: 'Customer not available',
+    severity: 'medium',
+    description: 'Customer was not available at delivery address during attempted delivery',
+    actionRequired: 'reschedule_delivery',
+    estimatedResolution: '1-2 business days'
+  },
+  {
+    type: 'address_issue',
+    reason: 'Incorrect address',
+    severity: 'medium',
+    description: 'Delivery address provided is incomplete or incorrect',
+    actionRequired: 'contact_customer',
+    estimatedResolution: '1 business day'
+  },
+  {
+    type: 'weather_delay',
+    reason: 'Severe weather conditions',
+    severity: 'low',
+    description: 'Delivery delayed due to severe weather in delivery area',
+    actionRequired: 'monitor_weather',
+    estimatedResolution: '2-3 business days'
+  }
+];
+
+const COMPLEX_EXCEPTIONS = [
+  {
+    type: 'package_damaged',
+    reason: 'Package damaged during transit',
+    severity: 'high',
+    description: 'Package sustained significant damage during shipping, contents may be compromised',
+    actionRequired: 'replacement_required',
+    estimatedResolution: '3-5 business days',
+    requiresInventoryCheck: true,
+    requiresRefund: false,
+    affectedItems: ['primary_item'],
+    replacementEligible: true
+  },
+  {
+    type: 'lost_package',
+    reason: 'Package lost in transit',
+    severity: 'high',
+    description: 'Package cannot be located in shipping network, presumed lost',
+    actionRequired: 'investigate_and_replace',
+    estimatedResolution: '5-7 business days',
+    requiresInventoryCheck: true,
+    requiresRefund: true,
+    affectedItems: ['all_items'],
+    replacementEligible: true,
+    investigationRequired: true
+  },
+  {
+    type: 'delivery_theft',
+    reason: 'Package stolen after delivery',
+    severity: 'high',
+    description: 'Package was delivered but subsequently stolen from delivery location',
+    actionRequired: 'file_claim_and_replace',
+    estimatedResolution: '7-10 business days',
+    requiresInventoryCheck: true,
+    requiresRefund: true,
+    affectedItems: ['all_items'],
+    replacementEligible: true,
+    investigationRequired: true,
+    requiresPoliceReport: true
+  }
+];
+
+/**
+ * Generate open delivery exceptions for the first orders in a scenario
+ * @param {string} tenantId - The tenant identifier
+ * @param {Array} orders - Array of order objects the exceptions are raised against
+ * @param {number} count - Number of exceptions to generate
+ * @param {string} scenarioType - Type of scenario (full, minimal)
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
+ * @returns {Array} Array of delivery exception objects
+ */
+export const generateDeliveryExceptions = (tenantId, orders, count = 5, scenarioType = 'full', random = Math.random) => {
+  const exceptions = [];
+
+  for (let i = 0; i < Math.min(count, orders.length); i++) {
+    // Minimal scenarios only get routine exceptions; full scenarios escalate the last two
+    const exceptionType = scenarioType === 'minimal' || i < 3 ? 'simple' : 'complex';
+    const templates = exceptionType === 'simple' ? SIMPLE_EXCEPTIONS : COMPLEX_EXCEPTIONS;
+    const template = templates[Math.floor(random() * templates.length)];
+
+    exceptions.push(generateDeliveryException(tenantId, i + 1, orders[i], template, exceptionType, random));
+  }
+
+  return exceptions;
+};
+
+/**
+ * Generate a single delivery exception from a template
+ * @param {string} tenantId - The tenant identifier
+ * @param {number} index - Exception index for unique IDs
+ * @param {Object} order - Order the exception is raised against
+ * @param {Object} template - Exception template (type, reason, severity, ...)
+ * @param {string} exceptionType - simple or complex
+ * @param {Function} [random] - Random number source returning values in [0, 1), defaults to Math.random
+ * @returns {Object} Delivery exception object
+ */
+export const generateDeliveryException = (tenantId, index, order, template, exceptionType = 'simple', random = Math.random) => {
+  const exceptionId = `EXC-DEMO-${String(index).padStart(3, '0')}`;
+  const ttl = Math.floor((Date.now() + 365 * 24 * 60 * 60 * 1000) / 1000);
+
+  const exception = {
+    pk: `${tenantId}#delivery-exceptions`,
+    sk: `exception#${exceptionId}`,
+    GSI1PK: `${tenantId}#delivery-exceptions#${template.severity}`,
+    GSI1SK: `${new Date().toISOString()}#${exceptionId}`,
+    exceptionId,
+    orderId: order.orderId,
+    customerId: order.customerId,
+    trackingNumber: order.trackingNumber,
+    status: 'open',
+    type: template.type,
+    severity: template.severity,
+    reason: template.reason,
+    description: template.description,
+    actionRequired: template.actionRequired,
+    estimatedResolution: template.estimatedResolution,
+    reportedAt: new Date(Date.now() - random() * 24 * 60 * 60 * 1000).toISOString(),
+    lastUpdated: new Date().toISOString(),
+    assignedAgent: null,
+    resolutionNotes: null,
+    customerNotified: false,
+    ttl
+  };
+
+  if (exceptionType === 'complex') {
+    exception.requiresInventoryCheck = template.requiresInventoryCheck || false;
+    exception.requiresRefund = template.requiresRefund || false;
+    exception.affectedItems = template.affectedItems || [];
+    exception.replacementEligible = template.replacementEligible || false;
+    exception.investigationRequired = template.investigationRequired || false;
+    exception.requiresPoliceReport = template.requiresPoliceReport || false;
+    exception.escalationLevel = 'high';
+    exception.approvalRequired = true;
+  } else {
+    exception.escalationLevel = 'standard';
+    exception.approvalRequired = false;
+  }
+
+  // Add delivery attempt history for failed delivery scenarios
+  if (template.type === 'delivery_failed') {
+    exception.deliveryAttempts = [
+      {
+        attemptNumber: 1,
+        attemptDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+        status: 'failed',
+        reason: 'Customer not available',
+        driverNotes: 'No answer at door, left delivery notice'
+      },
+      {
+        attemptNumber: 2,
+        attemptDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
+        status: 'failed',
+        reason: 'Customer not available',
+        driverNotes: 'Customer not home during delivery window'
+      }
+    ];
+    exception.nextAttemptScheduled = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  // Add location data for address issues
+  if (template.type === 'address_issue') {
+    exception.addressIssues = {
+      originalAddress: {
+        street: order.shippingAddress.street,
+        city: order.shippingAddress.city,
+        state: order.shippingAddress.state,
+        zipCode: order.shippingAddress.zipCode
+      },
+      issueDetails: 'Apartment number missing, building not found at specified address',
+      suggestedCorrection: null
+    };
+  }
+
+  // Add weather data for weather delays
+  if (template.type === 'weather_delay') {
+    exception.weatherInfo = {
+      condition: 'severe_storm',
+      affectedArea: 'Metro delivery zone',
+      expectedClearance: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+      alternativeRoutes: false
+    };
+  }
 
-  return paymentSchema.parse(payment);
+  return exception;
 };
@@ -0,0 +1,289 @@
+import {
+  generateCustomers,
+  generateOrders,
+  generateProducts,
+  updateInventoryFromOrders,
+  generatePayments,
+  generateDeliveryExceptions,
+  generateDeliveryException,
+  getCityCoordinates
+} from './scenario-generators.mjs';
+import { withStockLevels } from '../utils/inventory.mjs';
+
+const HOUR = 60 * 60 * 1000;
+
+// Named scenarios stage ORD-DEMO-001, the order the Driver Portal reports against, on top of the full data set
+const FOCUS_ORDER_ID = 'ORD-DEMO-001';
+const FOCUS_DELIVERY_ID = 'DEL-DEMO-001';
+const FOCUS_DRIVER_ID = 'DRV-DEMO-001';
+
+// Every scenario exposes generate(tenantId, random); all randomness comes from `random` so a seed recreates the data set
+
+const generateBaseData = (tenantId, scenarioType, random) => {
+  const size = scenarioType === 'minimal'
+    ? { customers: 1, orders: 1, products: 1, exceptions: 1 }
+    : { customers: 5, orders: 15, products: 10, exceptions: 5 };
+
+  const customers = generateCustomers(tenantId, size.customers, scenarioType, random);
+  const orders = generateOrders(tenantId, customers, size.orders, scenarioType, random);
+  const products = updateInventoryFromOrders(generateProducts(tenantId, size.products, scenarioType, random), orders);
+  const payments = generatePayments(tenantId, orders, scenarioType, random);
+  const deliveryExceptions = generateDeliveryExceptions(tenantId, orders, size.exceptions, scenarioType, random);
+
+  return { customers, orders, products, payments, deliveryExceptions, deliveryStatuses: [] };
+};
+
+const formatAddress = (address) => `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
+
+const restock = (product, onHandQuantity, attributes = {}) => withStockLevels({ ...product, ...attributes }, onHandQuantity, 0);
+
+/**
+ * Rewrite the focus order, its payment, the first delivery exception and the stock it needs to match a named scenario
+ * @param {string} tenantId - The tenant identifier
+ * @param {Object} data - Full scenario data to stage the focus order in
+ * @param {Object} stage - Scenario definition: items, status, statusHistory, deliveryStatuses, exception and stock
+ * @param {Function} random - Random number source returning values in [0, 1)
+ * @returns {Object} Scenario data with the focus order staged
+ */
+const stageFocusOrder = (tenantId, data, stage, random) => {
+  const now = Date.now();
+  const at = (hoursAgo) => new Date(now - hoursAgo * HOUR).toISOString();
+  const order = data.orders.find(candidate => candidate.orderId === FOCUS_ORDER_ID);
+  const productsBySku = new Map(data.products.map(product => [product.sku, product]));
+
+  const items = stage.items.map(({ sku, quantity }) => {
+    const product = productsBySku.get(sku);
+    return {
+      sku,
+      name: product.name,
+      quantity,
+      price: product.price,
+      total: Math.round(product.price * quantity * 100) / 100
+    };
+  });
+  const totalAmount = Math.round(items.reduce((sum, item) => sum + item.total, 0) * 100) / 100;
+  const orderDate = at(stage.statusHistory[0].hoursAgo);
+
+  const focusOrder = {
+    ...order,
+    GSI1PK: `${tenantId}#orders#${stage.status}`,
+    GSI1SK: `${orderDate}#${order.orderId}`,
+    status: stage.status,
+    items,
+    totalAmount,
+    orderDate,
+    deliveryDate: null,
+    deliveryId: FOCUS_DELIVERY_ID,
+    statusHistory: stage.statusHistory.map(({ status, hoursAgo, notes }) => ({ status, timestamp: at(hoursAgo), notes })),
+    shippingMethod: stage.shippingMethod,
+    notes: stage.notes
+  };
+
+  // The customer paid in full; refunds are left for the agents to issue
+  const payment = data.payments.find(candidate => candidate.paymentId === order.paymentId);
+  const focusPayment = {
+    ...payment,
+    GSI1PK: `${tenantId}#payments#completed`,
+    GSI1SK: `${orderDate}#${payment.paymentId}`,
+    amount: totalAmount,
+    status: 'completed',
+    processedAt: orderDate,
+    refundAmount: 0,
+    paymentHistory: [
+      { status: 'pending', timestamp: orderDate, notes: 'Payment initiated', amount: null },
+      { status: 'completed', timestamp: orderDate, notes: 'Payment completed successfully', amount: null }
+    ]
+  };
+
+  const location = { ...getCityCoordinates(order.shippingAddress.city), address: formatAddress(order.shippingAddress) };
+  const deliveryStatuses = stage.deliveryStatuses.map(({ status, hoursAgo, reason }) => {
+    const timestamp = at(hoursAgo);
+    return {
+      pk: `${tenantId}#delivery#${FOCUS_DELIVERY_ID}`,
+      sk: `status#${timestamp}`,
+      deliveryId: FOCUS_DELIVERY_ID,
+      orderId: FOCUS_ORDER_ID,
+      status,
+      timestamp,
+      location,
+      driverId: FOCUS_DRIVER_ID,
+      reason,
+      tenantId
+    };
+  });
+
+  const latestStatus = deliveryStatuses.at(-1);
+  const focusException = {
+    ...generateDeliveryException(tenantId, 1, focusOrder, stage.exception.template, stage.exception.exceptionType, random),
+    deliveryId: FOCUS_DELIVERY_ID,
+    reportedAt: latestStatus.timestamp,
+    ...stage.exception.details?.({ deliveryStatuses, order: focusOrder })
+  };
+
+  return {
+    ...data,
+    orders: data.orders.map(candidate => candidate.orderId === FOCUS_ORDER_ID ? focusOrder : candidate),
+    payments: data.payments.map(candidate => candidate.paymentId === payment.paymentId ? focusPayment : candidate),
+    products: data.products.map(product => stage.stock?.[product.sku]
+      ? restock(product, stage.stock[product.sku].onHandQuantity, stage.stock[product.sku].attributes)
+      : product),
+    deliveryExceptions: [
+      focusException,
+      ...data.deliveryExceptions.filter(exception => exception.orderId !== FOCUS_ORDER_ID)
+    ],
+    deliveryStatuses: [...data.deliveryStatuses, ...deliveryStatuses]
+  };
+};
+
+// Lithium batteries shipped with equipment, the most common reason a carrier holds a parcel
+const LITHIUM_BATTERY_HAZMAT = {
+  unNumber: 'UN3481',
+  hazardClass: '9',
+  properShippingName: 'Lithium ion batteries packed with equipment',
+  packingInstruction: 'PI 966'
+};
+
+export const DEMO_SCENARIOS = {
+  minimal: {
+    description: 'One customer with one delivered order, one product, one payment and one routine delivery exception',
+    generate: (tenantId, random) => generateBaseData(tenantId, 'minimal', random)
+  },
+  full: {
+    description: 'Five customers across personas, fifteen orders at every stage, ten products at varying stock levels, their payments and five delivery exceptions',
+    generate: (tenantId, random) => generateBaseData(tenantId, 'full', random)
+  },
+  damaged_high_value: {
+    description: 'A premium customer\'s express order over $500 arrived crushed and was refused at the door. Replacement stock is available.',
+    generate: (tenantId, random) => stageFocusOrder(tenantId, generateBaseData(tenantId, 'full', random), {
+      items: [
+        { sku: 'SKU-DEMO-001', quantity: 1 },
+        { sku: 'SKU-DEMO-002', quantity: 1 }
+      ],
+      status: 'delivery_failed',
+      shippingMethod: 'express',
+      notes: 'High-value order requiring special handling',
+      statusHistory: [
+        { status: 'pending', hoursAgo: 50, notes: 'Order placed and payment confirmed' },
+        { status: 'processing', hoursAgo: 48, notes: 'Order processing started' },
+        { status: 'shipped', hoursAgo: 30, notes: 'Express shipment handed to carrier' },
+        { status: 'out_for_delivery', hoursAgo: 4, notes: 'Package out for delivery' },
+        { status: 'delivery_failed', hoursAgo: 1, notes: 'Package damaged in transit, refused by customer' }
+      ],
+      deliveryStatuses: [
+        { status: 'exception', hoursAgo: 1, reason: 'Box crushed on one corner and contents rattle. Customer refused the delivery and asked for a replacement.' }
+      ],
+      exception: {
+        template: {
+          type: 'package_damaged',
+          reason: 'Package damaged during transit',
+          severity: 'high',
+          description: 'Package sustained significant damage during shipping, contents may be compromised',
+          actionRequired: 'replacement_required',
+          estimatedResolution: '1-2 business days',
+          requiresInventoryCheck: true,
+          requiresRefund: true,
+          affectedItems: ['all_items'],
+          replacementEligible: true
+        },
+        exceptionType: 'complex',
+        details: ({ order }) => ({ priority: 'high', orderValue: order.totalAmount })
+      },
+      stock: {
+        'SKU-DEMO-001': { onHandQuantity: 25 },
+        'SKU-DEMO-002': { onHandQuantity: 25 }
+      }
+    }, random)
+  },
+  third_failed_attempt: {
+    description: 'A standard order has failed delivery three times because nobody was home. The customer has to arrange pickup or the order is cancelled as undeliverable.',
+    generate: (tenantId, random) => stageFocusOrder(tenantId, generateBaseData(tenantId, 'full', random), {
+      items: [{ sku: 'SKU-DEMO-007', quantity: 1 }],
+      status: 'delivery_failed',
+      shippingMethod: 'standard',
+      notes: 'Repeated failed delivery attempts',
+      statusHistory: [
+        { status: 'pending', hoursAgo: 100, notes: 'Order placed and payment confirmed' },
+        { status: 'processing', hoursAgo: 98, notes: 'Order processing started' },
+        { status: 'shipped', hoursAgo: 80, notes: 'Package shipped from warehouse' },
+        { status: 'out_for_delivery', hoursAgo: 54, notes: 'First delivery attempt' },
+        { status: 'delivery_failed', hoursAgo: 50, notes: 'Customer not home' },
+        { status: 'out_for_delivery', hoursAgo: 30, notes: 'Second delivery attempt' },
+        { status: 'delivery_failed', hoursAgo: 26, notes: 'Customer not home' },
+        { status: 'out_for_delivery', hoursAgo: 6, notes: 'Third delivery attempt' },
+        { status: 'delivery_failed', hoursAgo: 2, notes: 'Customer not home' }
+      ],
+      deliveryStatuses: [
+        { status: 'failed', hoursAgo: 50, reason: 'Customer not home. Left a delivery notice on the door.' },
+        { status: 'failed', hoursAgo: 26, reason: 'No answer again and no safe place to leave the package.' },
+        { status: 'failed', hoursAgo: 2, reason: 'Third attempt, customer still not home. Delivery notices from the previous attempts are still on the door.' }
+      ],
+      exception: {
+        template: {
+          type: 'delivery_failed',
+          reason: 'Customer not available',
+          severity: 'medium',
+          description: 'Customer was not available at the delivery address for the third consecutive attempt',
+          actionRequired: 'contact_customer',
+          estimatedResolution: '1 business day'
+        },
+        exceptionType: 'simple',
+        // Replace the generic two-attempt history with the three attempts that actually happened
+        details: ({ deliveryStatuses }) => ({
+          deliveryAttempts: deliveryStatuses.map((status, index) => ({
+            attemptNumber: index + 1,
+            attemptDate: status.timestamp,
+            status: 'failed',
+            reason: 'Customer not available',
+            driverNotes: status.reason
+          })),
+          nextAttemptScheduled: null
+        })
+      }
+    }, random)
+  },
+  hazmat_hold: {
+    description: 'An order containing lithium batteries is held at the sort facility because the parcel is missing its hazmat marking and paperwork.',
+    generate: (tenantId, random) => stageFocusOrder(tenantId, generateBaseData(tenantId, 'full', random), {
+      items: [
+        { sku: 'SKU-DEMO-005', quantity: 2 },
+        { sku: 'SKU-DEMO-010', quantity: 1 }
+      ],
+      status: 'shipped',
+      shippingMethod: 'standard',
+      notes: 'Contains lithium batteries, ground shipping only',
+      statusHistory: [
+        { status: 'pending', hoursAgo: 72, notes: 'Order placed and payment confirmed' },
+        { status: 'processing', hoursAgo: 70, notes: 'Order processing started' },
+        { status: 'shipped', hoursAgo: 48, notes: 'Package shipped from warehouse' }
+      ],
+      deliveryStatuses: [
+        { status: 'exception', hoursAgo: 20, reason: 'Held at sort facility: parcel contains lithium batteries but has no UN3481 marking or battery paperwork. Cannot continue until it is relabelled.' }
+      ],
+      exception: {
+        template: {
+          type: 'hazmat_hold',
+          reason: 'Hazardous materials compliance hold',
+          severity: 'high',
+          description: 'Carrier is holding the parcel because it contains regulated lithium batteries without the required marking and documentation',
+          actionRequired: 'hazmat_compliance_review',
+          estimatedResolution: '2-4 business days',
+          requiresInventoryCheck: true,
+          requiresRefund: false,
+          affectedItems: ['SKU-DEMO-005'],
+          replacementEligible: true
+        },
+        exceptionType: 'complex',
+        details: () => ({
+          hazmat: LITHIUM_BATTERY_HAZMAT,
+          holdLocation: 'WH-CHI-001',
+          carrierHoldDays: 5
+        })
+      },
+      stock: {
+        'SKU-DEMO-005': { onHandQuantity: 40, attributes: { hazmat: LITHIUM_BATTERY_HAZMAT } }
+      }
+    }, random)
+  }
+};
+
+export const DEMO_SCENARIO_NAMES = Object.keys(DEMO_SCENARIOS);
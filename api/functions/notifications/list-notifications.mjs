@@ -0,0 +1,77 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatResponse(401, {
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'A valid API key or token is required'
+        }
+      });
+    }
+
+    const orderId = event.queryStringParameters?.orderId;
+    if (!orderId) {
+      return formatResponse(400, {
+        success: false,
+        error: {
+          code: 'INVALID_REQUEST_FORMAT',
+          message: 'The orderId query parameter is required'
+        }
+      });
+    }
+
+    const notifications = [];
+    let ExclusiveStartKey;
+    do {
+      const response = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :notificationPrefix)',
+        ExpressionAttributeValues: marshall({
+          ':pk': `${tenantId}#orders#${orderId}`,
+          ':notificationPrefix': 'notification#'
+        }),
+        ExclusiveStartKey
+      }));
+      notifications.push(...(response.Items ?? []).map(item => toNotification(unmarshall(item))));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return formatResponse(200, { orderId, notifications });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    return formatResponse(500, {
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred'
+      }
+    });
+  }
+};
+
+const toNotification = (record) => ({
+  notificationId: record.notificationId,
+  orderId: record.orderId,
+  customerId: record.customerId,
+  template: record.template,
+  locale: record.locale,
+  transport: record.transport,
+  status: record.status,
+  to: record.to,
+  subject: record.subject,
+  text: record.text,
+  html: record.html,
+  providerMessageId: record.providerMessageId,
+  error: record.error,
+  createdAt: record.createdAt
+});
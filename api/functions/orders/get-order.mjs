@@ -0,0 +1,23 @@
+import { formatError, formatResponse, toResource } from '../utils/api.mjs';
+import { getOrder } from '../utils/order-lineage.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { orderId } = event.pathParameters ?? {};
+    const order = await getOrder(tenantId, orderId);
+    if (!order) {
+      return formatError(404, 'NOT_FOUND', `Order ${orderId} not found`);
+    }
+
+    return formatResponse(200, toResource(order));
+  } catch (error) {
+    console.error('Get order error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
@@ -0,0 +1,59 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatError, formatResponse } from '../utils/api.mjs';
+import { getOrder } from '../utils/order-lineage.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { orderId } = event.pathParameters ?? {};
+    const order = await getOrder(tenantId, orderId);
+    if (!order) {
+      return formatError(404, 'NOT_FOUND', `Order ${orderId} not found`);
+    }
+
+    const refunds = [];
+    let ExclusiveStartKey;
+    do {
+      const response = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :refundPrefix)',
+        ExpressionAttributeValues: marshall({
+          ':pk': `${tenantId}#orders#${orderId}`,
+          ':refundPrefix': 'refund#'
+        }),
+        ExclusiveStartKey
+      }));
+      refunds.push(...(response.Items ?? []).map(item => toRefund(unmarshall(item))));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    const totalRefunded = Math.round(refunds
+      .filter(refund => refund.status === 'completed')
+      .reduce((sum, refund) => sum + refund.refundAmount, 0) * 100) / 100;
+
+    return formatResponse(200, { orderId, totalRefunded, refunds });
+  } catch (error) {
+    console.error('List order refunds error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
+
+const toRefund = (record) => ({
+  refundId: record.refundId,
+  orderId: record.orderId,
+  paymentId: record.paymentId,
+  refundAmount: record.refundAmount,
+  currency: record.currency,
+  reason: record.reason,
+  status: record.status,
+  processedAt: record.processedAt
+});
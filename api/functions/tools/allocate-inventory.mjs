@@ -1,12 +1,16 @@
 import { z } from 'zod';
-import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import { randomUUID } from 'crypto';
+import { ALLOCATION_HOLD_SECONDS } from '../utils/allocations.mjs';
+import { inventoryKey, isLegacyInventoryRecord, migrateInventoryRecord, normalizeInventoryRecord } from '../utils/inventory.mjs';
+import { validateEntity } from '../utils/entity-schemas.mjs';
 
 const ddb = new DynamoDBClient();
 
 export const allocateInventory = {
   isMultiTenant: true,
+  scope: 'warehouse:allocate',
   name: 'allocateInventory',
   description: 'Reserve inventory for demo scenarios (simplified inventory allocation)',
   schema: z.object({
@@ -26,72 +30,39 @@ export const allocateInventory = {
 
       const now = new Date().toISOString();
 
-      // Get current inventory for this product (simplified for demo)
-      const pk = `${tenantId}#inventory`;
-      const sk = `product#${productId}`;
-
-      const inventoryResponse = await ddb.send(new GetItemCommand({
-        TableName: process.env.TABLE_NAME,
-        Key: marshall({ pk, sk })
-      }));
-
-      if (!inventoryResponse.Item) {
-        const errorMessage = `Allocation failed: Product ${productId} not found in inventory`;
-        return errorMessage;
-      }
-
-      const inventoryItem = unmarshall(inventoryResponse.Item);
-      const availableQuantity = inventoryItem.availableQuantity || 0;
-
-      // Check if sufficient inventory is available
-      if (availableQuantity < quantity) {
-        const errorMessage = `Allocation failed: Product ${productId} has insufficient inventory (${availableQuantity} available, ${quantity} requested)`;
-        return errorMessage;
-      }
-
-      // Create allocation record
-      const allocationId = randomUUID();
       const allocationRecord = {
         pk: `${tenantId}#allocations`,
         sk: `${orderId}#${productId}`,
         GSI1PK: `${tenantId}#allocations#${productId}`,
         GSI1SK: `${now}#${orderId}`,
-        allocationId,
+        allocationId: randomUUID(),
         orderId,
         productId,
         quantityAllocated: quantity,
         status: 'allocated',
         createdAt: now,
+        // Stale allocations are released by the reaper at expiresAt, long before the record TTL
+        expiresAt: new Date(Date.now() + ALLOCATION_HOLD_SECONDS * 1000).toISOString(),
         ttl: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days retention
       };
 
-      // Update inventory available quantity
-      const newAvailableQuantity = availableQuantity - quantity;
-      const newAllocatedQuantity = (inventoryItem.allocatedQuantity || 0) + quantity;
-
-      // Store allocation record
-      await ddb.send(new PutItemCommand({
-        TableName: process.env.TABLE_NAME,
-        Item: marshall(allocationRecord)
-      }));
-
-      // Update inventory
-      await ddb.send(new UpdateItemCommand({
-        TableName: process.env.TABLE_NAME,
-        Key: marshall({ pk, sk }),
-        UpdateExpression: 'SET availableQuantity = :newAvailable, allocatedQuantity = :newAllocated, updatedAt = :now',
-        ExpressionAttributeValues: marshall({
-          ':newAvailable': newAvailableQuantity,
-          ':newAllocated': newAllocatedQuantity,
-          ':now': now
-        })
-      }));
-
-      const successMessage = `Successfully allocated ${quantity} units of ${productId} for order ${orderId}`;
-
+      const validation = validateEntity('allocation', allocationRecord);
+      if (validation) {
+        return validation;
+      }
 
+      let cancellation = await reserveStock(tenantId, allocationRecord, now);
+      // Products seeded before the canonical inventory model have no availableQuantity to decrement yet
+      const product = cancellation?.[1]?.Item && unmarshall(cancellation[1].Item);
+      if (product && isLegacyInventoryRecord(product)) {
+        await migrateInventoryRecord(product);
+        cancellation = await reserveStock(tenantId, allocationRecord, now);
+      }
+      if (cancellation) {
+        return describeCancellation(cancellation, { orderId, productId, quantity });
+      }
 
-      return successMessage;
+      return `Successfully allocated ${quantity} units of ${productId} for order ${orderId}`;
 
     } catch (err) {
       console.error('Error allocating inventory:', err);
@@ -103,3 +74,72 @@ export const allocateInventory = {
     }
   }
 };
+
+// Write the allocation and decrement stock together so concurrent requests cannot oversell.
+// The allocation key doubles as the idempotency guard for retried requests; a released allocation
+// holds no stock, so the order may allocate the product again over it.
+// Resolves to the cancellation reasons when a condition fails, otherwise undefined.
+const reserveStock = async (tenantId, allocationRecord, now) => {
+  try {
+    await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: process.env.TABLE_NAME,
+            Item: marshall(allocationRecord),
+            ConditionExpression: 'attribute_not_exists(sk) OR #status = :released',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: marshall({ ':released': 'released' }),
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+          }
+        },
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: marshall(inventoryKey(tenantId, allocationRecord.productId)),
+            UpdateExpression: 'SET availableQuantity = availableQuantity - :qty, allocatedQuantity = if_not_exists(allocatedQuantity, :zero) + :qty, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(sk) AND availableQuantity >= :qty',
+            ExpressionAttributeValues: marshall({
+              ':qty': allocationRecord.quantityAllocated,
+              ':zero': 0,
+              ':now': now
+            }),
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+          }
+        }
+      ]
+    }));
+  } catch (err) {
+    if (err.name !== 'TransactionCanceledException') {
+      throw err;
+    }
+    return err.CancellationReasons ?? [];
+  }
+};
+
+const describeCancellation = ([allocationReason, inventoryReason], { orderId, productId, quantity }) => {
+  // The allocation already exists, so this is a retry of a request that already reserved stock
+  if (allocationReason?.Code === 'ConditionalCheckFailed') {
+    const existing = allocationReason.Item ? unmarshall(allocationReason.Item) : {};
+    return `Allocation for order ${orderId} and product ${productId} already exists (${existing.quantityAllocated ?? quantity} units, ${existing.status ?? 'allocated'}); no additional stock reserved`;
+  }
+
+  if (inventoryReason?.Code === 'ConditionalCheckFailed') {
+    if (!inventoryReason.Item) {
+      return `Allocation failed: Product ${productId} not found in inventory`;
+    }
+
+    const { availableQuantity } = normalizeInventoryRecord(unmarshall(inventoryReason.Item));
+    return {
+      success: false,
+      error: 'INSUFFICIENT_STOCK',
+      orderId,
+      productId,
+      requestedQuantity: quantity,
+      availableQuantity,
+      message: `Allocation failed: Product ${productId} has insufficient inventory (${availableQuantity} available, ${quantity} requested)`
+    };
+  }
+
+  throw new Error(`Allocation transaction cancelled: ${[allocationReason?.Code, inventoryReason?.Code].join(', ')}`);
+};
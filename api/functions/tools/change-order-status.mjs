@@ -1,17 +1,21 @@
 import { z } from 'zod';
 import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { releaseOrderAllocations } from '../utils/allocations.mjs';
+import { CANCELLED_ORDER_STATUSES, ORDER_STATUS_VALUES, canTransition, describeRejectedTransition } from '../utils/order-lifecycle.mjs';
+import { validateEntity } from '../utils/entity-schemas.mjs';
 
 const ddb = new DynamoDBClient();
 
 export const changeOrderStatus = {
   isMultiTenant: true,
+  scope: 'order:write',
   name: 'changeOrderStatus',
-  description: 'Updates the status of an existing order for demo scenarios (simplified status management)',
+  description: 'Updates the status of an existing order. Only transitions allowed by the order lifecycle are accepted; rejections list the allowed next statuses',
   schema: z.object({
     orderId: z.string().min(1).describe('The unique identifier of the order to update'),
-    newStatus: z.enum(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'delivery_failed'])
-      .describe('The new status to set for the order'),
+    newStatus: z.enum(ORDER_STATUS_VALUES)
+      .describe('The new status to set for the order. Must be an allowed next status for the current status'),
     notes: z.string().optional().describe('Optional notes about the status change'),
     scenarioId: z.string().optional().describe('Demo scenario identifier for A2A event tracking')
   }),
@@ -45,6 +49,10 @@ export const changeOrderStatus = {
         return `Order ${orderId} is already in ${newStatus} status`;
       }
 
+      if (!canTransition(currentStatus, newStatus)) {
+        return describeRejectedTransition(orderId, currentStatus, newStatus);
+      }
+
       const now = new Date().toISOString();
 
       // Create status history entry
@@ -54,6 +62,18 @@ export const changeOrderStatus = {
         ...(notes && { notes })
       };
 
+      // Validate the order as it will be stored after the update
+      const validation = validateEntity('order', {
+        ...existingOrder,
+        status: newStatus,
+        GSI1PK: `${tenantId}#orders#${newStatus}`,
+        statusHistory: [...(existingOrder.statusHistory ?? []), statusHistoryEntry],
+        updatedAt: now
+      });
+      if (validation) {
+        return validation;
+      }
+
       // Update the order with new status and status history
       const updateExpression = 'SET #status = :newStatus, #updatedAt = :updatedAt, #statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :statusEntry), GSI1PK = :gsi1pk';
 
@@ -66,6 +86,7 @@ export const changeOrderStatus = {
       const expressionAttributeValues = marshall({
         ':newStatus': newStatus,
         ':updatedAt': now,
+        ':currentStatus': currentStatus,
         ':statusEntry': [statusHistoryEntry],
         ':emptyList': [],
         ':gsi1pk': `${tenantId}#orders#${newStatus}`
@@ -77,13 +98,22 @@ export const changeOrderStatus = {
         UpdateExpression: updateExpression,
         ExpressionAttributeNames: expressionAttributeNames,
         ExpressionAttributeValues: expressionAttributeValues,
-        ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk)'
+        // The transition was validated against currentStatus, so fail if another update got there first
+        ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk) AND #status = :currentStatus'
       }));
 
-      const statusChangeMessage = notes
+      let statusChangeMessage = notes
         ? `Order ${orderId} status changed from ${currentStatus} to ${newStatus}. Notes: ${notes}`
         : `Order ${orderId} status changed from ${currentStatus} to ${newStatus}`;
 
+      // Cancelled orders no longer need the stock the warehouse set aside for them
+      if (CANCELLED_ORDER_STATUSES.includes(newStatus)) {
+        const released = await releaseOrderAllocations(tenantId, orderId, 'order_cancelled');
+        if (released.length) {
+          statusChangeMessage += `. Released ${released.length} inventory allocation(s) back to stock`;
+        }
+      }
+
 
 
       return statusChangeMessage;
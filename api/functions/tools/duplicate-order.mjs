@@ -1,7 +1,10 @@
 import { z } from 'zod';
-import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, GetItemCommand, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
-import { randomUUID } from 'crypto';
+import { canTransition, describeRejectedTransition } from '../utils/order-lifecycle.mjs';
+import { MAX_REPLACEMENTS_PER_ORDER, findReplacementMotivation } from '../utils/order-lineage.mjs';
+import { SHIPPING_METHODS, buildReplacementItems, calculateOrderTotal } from '../utils/order-items.mjs';
+import { validateEntity } from '../utils/entity-schemas.mjs';
 
 const ddb = new DynamoDBClient();
 
@@ -13,17 +16,28 @@ const addressSchema = z.object({
   country: z.string().default('US').describe('Country code')
 });
 
+const itemSelectionSchema = z.object({
+  sku: z.string().min(1).describe('SKU of a line item on the original order'),
+  quantity: z.number().int().positive().optional().describe('Quantity to ship, up to the originally ordered quantity. Defaults to the original quantity'),
+  noCharge: z.boolean().optional().describe('Ship this line at no cost to the customer, e.g. replacing a damaged item')
+});
+
 export const duplicateOrder = {
   isMultiTenant: true,
+  scope: 'order:write',
   name: 'duplicateOrder',
-  description: 'Creates a duplicate of an existing order for demo scenarios (simple replacement order creation)',
+  description: 'Creates a replacement for an existing order, linking the two and marking the original as replacement_created',
   schema: z.object({
     originalOrderId: z.string().min(1).describe('The unique identifier of the order to duplicate'),
     customerId: z.string().optional().describe('Optional customer ID to override the original customer'),
     shippingAddress: addressSchema.optional().describe('Optional shipping address to override the original address'),
+    shippingMethod: z.enum(SHIPPING_METHODS).optional().describe('Optional shipping method override, e.g. priority for high-value replacements'),
+    items: z.array(itemSelectionSchema).min(1).optional().describe('Only replace these line items (e.g. just the damaged ones). Omit to replace every line item'),
+    refundIds: z.array(z.string()).optional().describe('Refunds that motivated this replacement. Defaults to unclaimed refunds on the original order'),
+    allocationIds: z.array(z.string()).optional().describe('Inventory allocations reserved for this replacement. Defaults to open allocations on the original order'),
     scenarioId: z.string().optional().describe('Demo scenario identifier for A2A event tracking')
   }),
-  handler: async (tenantId, { originalOrderId, customerId, shippingAddress, scenarioId }) => {
+  handler: async (tenantId, { originalOrderId, customerId, shippingAddress, shippingMethod, items, refundIds, allocationIds, scenarioId }) => {
     try {
       if (!tenantId) {
         console.error('Missing tenantId in duplicateOrder handler');
@@ -47,14 +61,36 @@ export const duplicateOrder = {
 
       const originalOrder = unmarshall(getResponse.Item);
 
-      // Generate new order details
-      const newOrderId = randomUUID();
+      if (!canTransition(originalOrder.status, 'replacement_created')) {
+        return `Cannot replace order ${originalOrderId}. ${describeRejectedTransition(originalOrderId, originalOrder.status, 'replacement_created')}`;
+      }
+
+      // Replacements are numbered along the chain, e.g. ORD-1 -> ORD-1-R1 -> ORD-1-R2
+      const rootOrderId = originalOrder.rootOrderId ?? originalOrderId;
+      const replacementDepth = (originalOrder.replacementDepth ?? 0) + 1;
+      if (replacementDepth > MAX_REPLACEMENTS_PER_ORDER) {
+        return `Replacement limit reached: order ${rootOrderId} has already been replaced ${MAX_REPLACEMENTS_PER_ORDER} times. Escalate to a support agent instead of creating another replacement`;
+      }
+
+      const replacementItems = buildReplacementItems(originalOrder.items, items);
+      if (replacementItems.error) {
+        return `Cannot replace order ${originalOrderId}: ${replacementItems.error}`;
+      }
+
+      const motivation = refundIds && allocationIds
+        ? { refundIds, allocationIds }
+        : { ...await findReplacementMotivation(tenantId, originalOrder), ...(refundIds && { refundIds }), ...(allocationIds && { allocationIds }) };
+
+      const newOrderId = `${rootOrderId}-R${replacementDepth}`;
       const now = new Date().toISOString();
       const newSk = `order#${newOrderId}`;
 
-      // Create the duplicate order with overrides
+      // Create the duplicate order with overrides; lineage fields of the original are not inherited.
+      // Nor is its payment: replacements are not charged, so they owe nothing and refunds must go through
+      // the original order. What the shipped lines are worth is kept as replacementValue.
+      const { replacements, paymentId, ...orderFields } = originalOrder;
       const duplicateOrder = {
-        ...originalOrder,
+        ...orderFields,
         pk,
         sk: newSk,
         GSI1PK: `${tenantId}#orders#pending`,
@@ -66,6 +102,15 @@ export const duplicateOrder = {
           timestamp: now,
           notes: `Duplicated from order ${originalOrderId}`
         }],
+        items: replacementItems.items,
+        totalAmount: 0,
+        uncharged: true,
+        replacementValue: calculateOrderTotal(replacementItems.items),
+        replacementOf: originalOrderId,
+        rootOrderId,
+        replacementDepth,
+        refundIds: motivation.refundIds,
+        allocationIds: motivation.allocationIds,
         createdAt: now,
         updatedAt: now,
         ttl: Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60) // 1 year TTL
@@ -81,11 +126,49 @@ export const duplicateOrder = {
         duplicateOrder.shippingAddress = shippingAddress;
       }
 
-      // Create the duplicate order in DynamoDB
-      await ddb.send(new PutItemCommand({
-        TableName: process.env.TABLE_NAME,
-        ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)',
-        Item: marshall(duplicateOrder)
+      // Apply shipping method override if provided
+      if (shippingMethod) {
+        duplicateOrder.shippingMethod = shippingMethod;
+      }
+
+      const validation = validateEntity('order', duplicateOrder);
+      if (validation) {
+        return validation;
+      }
+
+      // Create the replacement and link it from the original in one transaction
+      await ddb.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: process.env.TABLE_NAME,
+              ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)',
+              Item: marshall(duplicateOrder)
+            }
+          },
+          {
+            Update: {
+              TableName: process.env.TABLE_NAME,
+              Key: marshall({ pk, sk: originalSk }),
+              UpdateExpression: 'SET #status = :replaced, GSI1PK = :gsi1pk, updatedAt = :now, #replacements = list_append(if_not_exists(#replacements, :emptyList), :replacement), #statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :statusEntry)',
+              ConditionExpression: '#status = :currentStatus',
+              ExpressionAttributeNames: {
+                '#status': 'status',
+                '#replacements': 'replacements',
+                '#statusHistory': 'statusHistory'
+              },
+              ExpressionAttributeValues: marshall({
+                ':replaced': 'replacement_created',
+                ':currentStatus': originalOrder.status,
+                ':gsi1pk': `${tenantId}#orders#replacement_created`,
+                ':now': now,
+                ':emptyList': [],
+                ':replacement': [{ orderId: newOrderId, createdAt: now, ...motivation }],
+                ':statusEntry': [{ status: 'replacement_created', timestamp: now, notes: `Replaced by order ${newOrderId}` }]
+              })
+            }
+          }
+        ]
       }));
 
       let resultMessage = `Order ${newOrderId} created as duplicate of ${originalOrderId}`;
@@ -98,6 +181,16 @@ export const duplicateOrder = {
         resultMessage += ` with updated shipping address`;
       }
 
+      if (shippingMethod) {
+        resultMessage += ` with ${shippingMethod} shipping`;
+      }
+
+      if (items) {
+        resultMessage += ` for ${replacementItems.items.length} of ${originalOrder.items.length} line items`;
+      }
+
+      resultMessage += ` (value $${duplicateOrder.replacementValue}, not charged)`;
+
 
 
       return resultMessage;
@@ -105,8 +198,8 @@ export const duplicateOrder = {
     } catch (err) {
       console.error('Error duplicating order:', err);
 
-      const errorMessage = err.name === 'ConditionalCheckFailedException'
-        ? 'Failed to create duplicate order - order ID conflict detected'
+      const errorMessage = err.name === 'TransactionCanceledException'
+        ? `Failed to create duplicate order - order ${originalOrderId} was already replaced or has been modified`
         : 'Something went wrong while duplicating the order';
 
 
@@ -0,0 +1,40 @@
+import { z } from 'zod';
+import { fulfillAllocation as fulfill } from '../utils/allocations.mjs';
+
+export const fulfillAllocation = {
+  isMultiTenant: true,
+  scope: 'warehouse:allocate',
+  name: 'fulfillAllocation',
+  description: 'Advance an inventory allocation to picked or shipped as the replacement order moves through the warehouse',
+  schema: z.object({
+    orderId: z.string().min(1).describe('Order the inventory was allocated to'),
+    productId: z.string().min(1).describe('Product identifier of the allocation'),
+    stage: z.enum(['picked', 'shipped']).describe('Fulfillment stage the allocation has reached'),
+    trackingNumber: z.string().optional().describe('Carrier tracking number once the allocation has shipped'),
+    scenarioId: z.string().optional().describe('Demo scenario identifier for A2A event tracking')
+  }),
+  handler: async (tenantId, { orderId, productId, stage, trackingNumber, scenarioId }) => {
+    try {
+      if (!tenantId) {
+        console.error('Missing tenantId in fulfillAllocation handler');
+        return 'Unauthorized: Missing tenant context';
+      }
+
+      const { updated, allocation } = await fulfill(tenantId, { orderId, productId, stage, trackingNumber });
+
+      if (!allocation) {
+        return `No allocation found for order ${orderId} and product ${productId}`;
+      }
+
+      if (!updated) {
+        return `Allocation for order ${orderId} and product ${productId} is ${allocation.status} and cannot move to ${stage}`;
+      }
+
+      return `Allocation of ${allocation.quantityAllocated} units of ${productId} for order ${orderId} marked ${stage}`;
+
+    } catch (err) {
+      console.error('Error fulfilling allocation:', err);
+      return `Something went wrong while updating the allocation for order ${orderId}`;
+    }
+  }
+};
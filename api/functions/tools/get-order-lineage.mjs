@@ -0,0 +1,34 @@
+import { z } from 'zod';
+import { getOrderLineage as loadLineage } from '../utils/order-lineage.mjs';
+
+export const getOrderLineage = {
+  isMultiTenant: true,
+  scope: 'order:read',
+  name: 'getOrderLineage',
+  description: 'Shows the replacement chain an order belongs to, from the original order through every replacement, with the refunds and allocations behind each one',
+  schema: z.object({
+    orderId: z.string().min(1).describe('Any order in the replacement chain')
+  }),
+  handler: async (tenantId, { orderId }) => {
+    try {
+      if (!tenantId) {
+        console.error('Missing tenantId in getOrderLineage handler');
+        return 'Unauthorized: Missing tenant context';
+      }
+
+      const lineage = await loadLineage(tenantId, orderId);
+      if (!lineage) {
+        return `Order ${orderId} not found`;
+      }
+
+      return {
+        chain: lineage.map(order => order.orderId).join(' -> '),
+        orders: lineage
+      };
+
+    } catch (err) {
+      console.error('Error loading order lineage:', err);
+      return `Something went wrong while loading the lineage for order ${orderId}`;
+    }
+  }
+};
@@ -1,34 +1,80 @@
 import { z } from 'zod';
-import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, GetItemCommand, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
-import { randomUUID } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
+import { REFUND_REASONS, validateEntity } from '../utils/entity-schemas.mjs';
 
 const ddb = new DynamoDBClient();
 
+// Payments that have captured funds which can still be (partially) returned
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
 export const processRefundTool = {
   isMultiTenant: true,
+  scope: 'payment:refund',
   name: 'processRefund',
-  description: 'Process a refund for demo scenarios (simplified refund processing)',
+  description: 'Process a refund against the original payment for an order. Cumulative refunds cannot exceed the amount charged and failed payments cannot be refunded',
   schema: z.object({
     orderId: z.string().min(1).describe('Order ID to process refund for'),
     refundAmount: z.number().positive().describe('Refund amount (must be positive)'),
-    reason: z.enum(['delivery_failed', 'damaged_package', 'customer_request']).describe('Reason for the refund'),
+    reason: z.enum(REFUND_REASONS).describe('Reason for the refund'),
+    deliveryId: z.string().optional().describe('Delivery whose exception this refund resolves, used to avoid refunding the same exception twice'),
     scenarioId: z.string().optional().describe('Demo scenario identifier for A2A event tracking')
   }),
-  handler: async (tenantId, { orderId, refundAmount, reason, scenarioId }) => {
+  handler: async (tenantId, { orderId, refundAmount, reason, deliveryId, scenarioId }, { contextId } = {}) => {
     try {
       if (!tenantId) {
         console.error('Missing tenantId in refund processing');
         return 'Unauthorized: Missing tenant context';
       }
 
+      // Retries of the same request (model retry loops, redelivered exceptions) resolve to the same refund id
+      const idempotencyKey = buildIdempotencyKey({ contextId, deliveryId, orderId, reason });
+      const refundId = idempotencyKey
+        ? `ref_${createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24)}`
+        : `ref_${Date.now()}_${randomUUID().slice(0, 8)}`;
+
+      if (idempotencyKey) {
+        const existingRefund = await getRecord(`${tenantId}#refunds`, `refund#${refundId}`);
+        if (existingRefund) {
+          return existingRefund.result;
+        }
+      }
+
+      const order = await getRecord(`${tenantId}#orders`, `order#${orderId}`);
+      if (!order) {
+        return `Refund rejected: Order ${orderId} not found`;
+      }
+
+      if (!order.paymentId) {
+        if (order.replacementOf) {
+          return `Refund rejected: Order ${orderId} replaces order ${order.replacementOf} and was not charged; refund order ${order.rootOrderId ?? order.replacementOf} instead`;
+        }
+        return `Refund rejected: Order ${orderId} has no payment on file`;
+      }
 
+      const payment = await getRecord(`${tenantId}#payments`, `payment#${order.paymentId}`);
+      if (!payment) {
+        return `Refund rejected: Payment ${order.paymentId} for order ${orderId} not found`;
+      }
+
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        return `Refund rejected: Payment ${payment.paymentId} is ${payment.status} and cannot be refunded`;
+      }
+
+      // Cap cumulative refunds at the amount that was actually charged. The cap is read from the payment itself,
+      // the same value the transaction below locks on, so refunds against any order sharing the charge count.
+      const previouslyRefunded = toCents(payment.refundAmount ?? 0);
+      const refundableAmount = toCents(payment.amount - previouslyRefunded);
+      if (refundAmount > refundableAmount) {
+        return `Refund rejected: $${refundAmount} exceeds the remaining refundable amount of $${refundableAmount} for order ${orderId} ($${previouslyRefunded} of $${payment.amount} already refunded on payment ${payment.paymentId})`;
+      }
 
-      // Generate unique refund ID for demo
-      const refundId = `ref_${Date.now()}_${randomUUID().slice(0, 8)}`;
       const now = new Date().toISOString();
+      const totalRefunded = toCents(previouslyRefunded + refundAmount);
+      const paymentStatus = totalRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
 
-      // Create simplified refund record for demo
+      const result = `Refund processed successfully: $${refundAmount} for order ${orderId} (Reason: ${reason}). Payment ${payment.paymentId} is now ${paymentStatus} ($${totalRefunded} of $${payment.amount} refunded)`;
       const refundRecord = {
         pk: `${tenantId}#refunds`,
         sk: `refund#${refundId}`,
@@ -36,35 +82,93 @@ export const processRefundTool = {
         GSI1SK: `refund#${now}`,
         refundId,
         orderId,
+        paymentId: payment.paymentId,
         refundAmount,
         reason,
         status: 'completed',
         processedAt: now,
-        currency: 'USD',
+        currency: payment.currency ?? 'USD',
+        ...(idempotencyKey && { idempotencyKey }),
+        result,
         ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60) // 90 days
       };
 
-      // Store refund record
-      await ddb.send(new PutItemCommand({
-        TableName: process.env.TABLE_NAME,
-        Item: marshall(refundRecord)
-      }));
-
-      const successMessage = `Refund processed successfully: $${refundAmount} for order ${orderId} (Reason: ${reason})`;
-
+      const validation = validateEntity('refund', refundRecord) ?? validateEntity('payment', {
+        ...payment,
+        refundAmount: totalRefunded,
+        status: paymentStatus,
+        GSI1PK: `${tenantId}#payments#${paymentStatus}`,
+        updatedAt: now
+      });
+      if (validation) {
+        return `Refund rejected: ${validation.message}`;
+      }
 
+      // Store the refund and update the payment together. The payment's refundAmount acts as an
+      // optimistic lock so two concurrent refunds cannot both pass the cap check.
+      try {
+        await ddb.send(new TransactWriteItemsCommand({
+          TransactItems: [
+            {
+              Put: {
+                TableName: process.env.TABLE_NAME,
+                Item: marshall(refundRecord),
+                ConditionExpression: 'attribute_not_exists(sk)',
+                ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+              }
+            },
+            {
+              Update: {
+                TableName: process.env.TABLE_NAME,
+                Key: marshall({ pk: payment.pk, sk: payment.sk }),
+                UpdateExpression: 'SET refundAmount = :totalRefunded, #status = :paymentStatus, GSI1PK = :gsi1pk, updatedAt = :now',
+                ConditionExpression: '#status = :currentStatus AND (attribute_not_exists(refundAmount) OR refundAmount = :currentRefundAmount)',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: marshall({
+                  ':totalRefunded': totalRefunded,
+                  ':paymentStatus': paymentStatus,
+                  ':gsi1pk': `${tenantId}#payments#${paymentStatus}`,
+                  ':now': now,
+                  ':currentStatus': payment.status,
+                  ':currentRefundAmount': payment.refundAmount ?? 0
+                })
+              }
+            }
+          ]
+        }));
+      } catch (err) {
+        if (err.name === 'TransactionCanceledException') {
+          // A concurrent retry of the same request recorded the refund first
+          const [refundReason] = err.CancellationReasons ?? [];
+          if (refundReason?.Code === 'ConditionalCheckFailed' && refundReason.Item) {
+            return unmarshall(refundReason.Item).result;
+          }
+          return `Refund not processed: payment ${payment.paymentId} changed while the refund was being recorded, please retry`;
+        }
+        throw err;
+      }
 
-      return successMessage;
+      return result;
 
     } catch (error) {
       console.error('Refund processing error:', error);
-      const errorMessage = 'Refund processing failed';
-
-
-
-      return errorMessage;
+      return 'Refund processing failed';
     }
   }
 };
 
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+const buildIdempotencyKey = ({ contextId, deliveryId, orderId, reason }) => {
+  const scope = contextId ?? deliveryId;
+  return scope ? `${scope}#${orderId}#${reason}` : null;
+};
 
+const getRecord = async (pk, sk) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk, sk })
+  }));
+
+  return response.Item ? unmarshall(response.Item) : null;
+};
@@ -0,0 +1,40 @@
+import { z } from 'zod';
+import { releaseAllocation as release } from '../utils/allocations.mjs';
+
+export const releaseAllocation = {
+  isMultiTenant: true,
+  scope: 'warehouse:allocate',
+  name: 'releaseAllocation',
+  description: 'Release an inventory allocation and return its units to available stock, e.g. when a replacement order is cancelled',
+  schema: z.object({
+    orderId: z.string().min(1).describe('Order the inventory was allocated to'),
+    productId: z.string().min(1).describe('Product identifier of the allocation'),
+    reason: z.enum(['order_cancelled', 'replacement_not_needed', 'allocation_error', 'customer_request'])
+      .describe('Why the allocation is being released'),
+    scenarioId: z.string().optional().describe('Demo scenario identifier for A2A event tracking')
+  }),
+  handler: async (tenantId, { orderId, productId, reason, scenarioId }) => {
+    try {
+      if (!tenantId) {
+        console.error('Missing tenantId in releaseAllocation handler');
+        return 'Unauthorized: Missing tenant context';
+      }
+
+      const { released, allocation } = await release(tenantId, { orderId, productId, reason });
+
+      if (!allocation) {
+        return `No allocation found for order ${orderId} and product ${productId}`;
+      }
+
+      if (!released) {
+        return `Allocation for order ${orderId} and product ${productId} is already ${allocation.status} and cannot be released`;
+      }
+
+      return `Released ${allocation.quantityAllocated} units of ${productId} from order ${orderId} back to available stock (Reason: ${reason})`;
+
+    } catch (err) {
+      console.error('Error releasing allocation:', err);
+      return `Something went wrong while releasing the allocation for order ${orderId}`;
+    }
+  }
+};
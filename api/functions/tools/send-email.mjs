@@ -1,40 +1,163 @@
 import { z } from 'zod';
-import { SESv2Client, SendEmailCommand } from '@aws-sdk/client-sesv2';
+import { randomUUID } from 'crypto';
+import { DynamoDBClient, GetItemCommand, PutItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { NOTIFICATION_TEMPLATE_NAMES, SUPPORTED_LOCALES, renderNotification, resolveLocale } from '../utils/notification-templates.mjs';
+import { getNotificationTransport } from '../utils/notification-transports.mjs';
 
-const ses = new SESv2Client();
+const ddb = new DynamoDBClient();
+
+const getRecord = async (tenantId, collection, sk) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${collection}`, sk })
+  }));
+
+  return response.Item ? unmarshall(response.Item) : null;
+};
+
+const getLatestRefund = async (tenantId, orderId) => {
+  const response = await ddb.send(new QueryCommand({
+    TableName: process.env.TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :refundPrefix)',
+    ExpressionAttributeValues: marshall({
+      ':pk': `${tenantId}#orders#${orderId}`,
+      ':refundPrefix': 'refund#'
+    }),
+    ScanIndexForward: false
+  }));
+
+  return (response.Items ?? []).map(item => unmarshall(item)).find(refund => refund.status === 'completed') ?? null;
+};
+
+const formatAmount = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const formatAddress = (address) => address
+  ? [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+  : undefined;
+
+/**
+ * Gather the template variables for an order from the order, customer, refund and replacement records
+ * @param {string} tenantId - Tenant that owns the order
+ * @param {string} orderId - Order the notification is about
+ * @returns {Promise<Object|null>} `{ order, customer, variables }`, or null when the order does not exist
+ */
+export const loadNotificationContext = async (tenantId, orderId) => {
+  const order = await getRecord(tenantId, 'orders', `order#${orderId}`);
+  if (!order) return null;
+
+  const customer = order.customerId ? await getRecord(tenantId, 'customers', `customer#${order.customerId}`) : null;
+  const refund = await getLatestRefund(tenantId, orderId);
+  const replacementOrderId = order.replacements?.at(-1)?.orderId;
+  const replacement = replacementOrderId ? await getRecord(tenantId, 'orders', `order#${replacementOrderId}`) : null;
+
+  return {
+    order,
+    customer,
+    variables: {
+      orderId,
+      customerName: customer?.name,
+      trackingNumber: order.trackingNumber,
+      deliveryAddress: formatAddress(order.shippingAddress ?? customer?.address),
+      refundAmount: refund ? formatAmount(refund.refundAmount, order.currency) : undefined,
+      replacementOrderId,
+      shippingMethod: replacement?.shippingMethod ?? (replacement ? 'standard' : undefined)
+    }
+  };
+};
+
+const resolveRecipient = (customer, channel) => {
+  const to = {
+    ...(channel !== 'sms' && customer?.email && { email: customer.email }),
+    ...(channel !== 'email' && customer?.phone && { phone: customer.phone })
+  };
+  return Object.keys(to).length ? to : null;
+};
+
+const recordNotification = async (tenantId, notification) => {
+  await ddb.send(new PutItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Item: marshall({
+      pk: `${tenantId}#notifications`,
+      sk: `notification#${notification.notificationId}`,
+      GSI1PK: `${tenantId}#orders#${notification.orderId}`,
+      GSI1SK: `notification#${notification.createdAt}`,
+      ...notification,
+      ttl: Math.floor(Date.now() / 1000) + (90 * 24 * 60 * 60) // 90 days, same as refunds
+    }, { removeUndefinedValues: true })
+  }));
+};
 
 export const sendCustomerEmailTool = {
-  isMultiTenant: false,
+  isMultiTenant: true,
+  scope: 'notification:send',
   name: 'sendCustomerEmail',
-  description: 'Send an email to a customer',
+  description: 'Send a templated notification to the customer who placed an order. The recipient, name, tracking, refund and replacement details are looked up from the order, so only the order and template are needed.',
   schema: z.object({
-    subject: z.string().min(1).describe('Order ID to process refund for'),
-    messageHtml: z.string().min(1).describe('Refund amount (must be positive)'),
-    toEmail: z.string().min(1).describe('Reason for the refund')
+    orderId: z.string().min(1).describe('Order the notification is about; the customer on the order receives it'),
+    template: z.enum(NOTIFICATION_TEMPLATE_NAMES).describe('Notification to send: delivery_rescheduled, refund_issued, replacement_shipped, access_info_needed or final_undeliverable'),
+    locale: z.enum(SUPPORTED_LOCALES).optional().describe('Language override. Defaults to the customer\'s preferred language, then English'),
+    deliveryDate: z.string().min(1).optional().describe('Date of the next delivery attempt. Required for delivery_rescheduled')
   }),
-  handler: async ({ subject, messageHtml, toEmail }) => {
+  handler: async (tenantId, { orderId, template, locale, deliveryDate }) => {
     try {
-      await ses.send(new SendEmailCommand({
-        FromEmailAddress: process.env.FROM_EMAIL,
-        Destination: {
-          ToAddresses: [toEmail]
-        },
-        Content: {
-          Simple: {
-            Subject: { Data: subject },
-            Body: { Html: { Data: messageHtml } }
-          }
-        }
-      }));
-
-      return 'Notification sent successfully'
+      if (!tenantId) {
+        console.error('Missing tenantId in customer notification');
+        return 'Unauthorized: Missing tenant context';
+      }
+
+      const context = await loadNotificationContext(tenantId, orderId);
+      if (!context) {
+        return `Order ${orderId} not found`;
+      }
+
+      const { customer, variables } = context;
+      const transport = getNotificationTransport();
+      // Never send to an address supplied by the model, only to the contact details on file for the order's customer
+      const to = resolveRecipient(customer, transport.channel);
+      if (!to) {
+        const contact = transport.channel === 'sms' ? 'phone number' : 'email address';
+        return `Unable to notify customer for order ${orderId}: no ${contact} on file for customer ${context.order.customerId ?? '(none)'}`;
+      }
 
+      const rendered = renderNotification(template, resolveLocale(locale, customer.preferences?.language, customer.locale), {
+        ...variables,
+        deliveryDate
+      });
+      if (rendered.error) {
+        return `Unable to send ${template} notification for order ${orderId}: ${rendered.error}`;
+      }
+
+      const message = {
+        notificationId: randomUUID(),
+        tenantId,
+        orderId,
+        customerId: customer.customerId,
+        template,
+        locale: rendered.locale,
+        to,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html
+      };
+
+      let delivery;
+      try {
+        delivery = await transport.send(message);
+      } catch (error) {
+        console.error(error);
+        await recordNotification(tenantId, { ...message, transport: transport.name, status: 'failed', error: error.message, createdAt: new Date().toISOString() });
+        return 'Unable to send notification due to an error';
+      }
+
+      await recordNotification(tenantId, { ...message, transport: transport.name, status: 'sent', providerMessageId: delivery?.providerMessageId, createdAt: new Date().toISOString() });
+
+      return `Sent ${template} notification (${rendered.locale}) for order ${orderId} to customer ${customer.customerId} via ${transport.name}: "${rendered.subject}"`;
     } catch (error) {
       console.error(error);
 
-      return 'Unable to send email due to an error';
+      return 'Unable to send notification due to an error';
     }
   }
 };
-
-
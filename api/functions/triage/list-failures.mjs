@@ -0,0 +1,59 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { decodePageToken, encodePageToken, formatError, formatResponse, toResource } from '../utils/api.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+import { TRIAGE_FAILURE_STATUS_VALUES } from '../utils/triage-failures.mjs';
+
+const ddb = new DynamoDBClient();
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { status, limit = String(DEFAULT_PAGE_SIZE), nextToken } = event.queryStringParameters ?? {};
+    if (status && !TRIAGE_FAILURE_STATUS_VALUES.includes(status)) {
+      return formatError(400, 'INVALID_REQUEST_FORMAT', `status must be one of: ${TRIAGE_FAILURE_STATUS_VALUES.join(', ')}`);
+    }
+
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return formatError(400, 'INVALID_REQUEST_FORMAT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // Newest first either way: failure ids and the GSI1 sort key both start with the failure time
+    const query = status
+      ? { IndexName: 'GSI1', keyAttribute: 'GSI1PK', partition: `${tenantId}#triage-failures#${status}` }
+      : { keyAttribute: 'pk', partition: `${tenantId}#triage-failures` };
+
+    // A token is only valid for the partition it was issued for, so it can never reach another tenant's data
+    const startKey = decodePageToken(nextToken);
+    if (startKey === null || (startKey && unmarshall(startKey)[query.keyAttribute] !== query.partition)) {
+      return formatError(400, 'INVALID_REQUEST_FORMAT', 'nextToken is not valid for this query');
+    }
+
+    const response = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      ...(query.IndexName && { IndexName: query.IndexName }),
+      ScanIndexForward: false,
+      KeyConditionExpression: `${query.keyAttribute} = :partition`,
+      ExpressionAttributeValues: marshall({ ':partition': query.partition }),
+      Limit: pageSize,
+      ...(startKey && { ExclusiveStartKey: startKey })
+    }));
+
+    return formatResponse(200, {
+      ...(status && { status }),
+      failures: (response.Items ?? []).map(item => toResource(unmarshall(item))),
+      nextToken: encodePageToken(response.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('List triage failures error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
@@ -0,0 +1,29 @@
+import { completeOutboxEvent } from '../utils/outbox.mjs';
+import { recordTriageFailure } from '../utils/triage-failures.mjs';
+
+// OnFailure destination of the triage agent. Lambda sends it the invocations that never returned a result
+// (timeouts, crashes, running out of memory) once their retries are used up, so those runs are kept for
+// replay like the ones triage records itself.
+export const handler = async (event) => {
+  const { requestContext, requestPayload, responsePayload } = event;
+  const detail = requestPayload?.detail;
+
+  const error = new Error(responsePayload?.errorMessage ?? `Triage invocation failed: ${requestContext?.condition ?? 'unknown condition'}`);
+  error.name = responsePayload?.errorType ?? 'TriageInvocationFailed';
+
+  const failureId = await recordTriageFailure(detail, error);
+  console.warn('Recorded failed triage invocation', {
+    failureId,
+    eventId: detail?.eventId,
+    tenantId: detail?.tenantId,
+    condition: requestContext?.condition,
+    attempts: requestContext?.approximateInvokeCount
+  });
+
+  // The run is kept for replay, which sends a new event, so later redeliveries of this one are skipped
+  if (detail?.eventId) {
+    await completeOutboxEvent('triage', detail.eventId);
+  }
+
+  return { failureId };
+};
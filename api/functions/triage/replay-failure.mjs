@@ -0,0 +1,42 @@
+import { formatError, formatResponse } from '../utils/api.mjs';
+import { bindContextToTenant, getRequestTenantId } from '../utils/tenants.mjs';
+import { getTriageFailure, requestTriageReplay } from '../utils/triage-failures.mjs';
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { failureId } = event.pathParameters ?? {};
+    const failure = await getTriageFailure(tenantId, failureId);
+    if (!failure) {
+      return formatError(404, 'NOT_FOUND', `Triage failure ${failureId} not found`);
+    }
+    if (failure.status === 'replayed') {
+      return formatError(409, 'ALREADY_REPLAYED', `Triage failure ${failureId} was already replayed successfully`);
+    }
+
+    // The original context binding may have expired; agents still need it to resolve the tenant
+    if (!await bindContextToTenant(failure.contextId, tenantId)) {
+      return formatError(409, 'CONTEXT_CONFLICT', `Context ${failure.contextId} is already in use`);
+    }
+
+    const replaying = await requestTriageReplay(failure);
+    if (!replaying) {
+      return formatError(409, 'REPLAY_IN_PROGRESS', `Triage failure ${failureId} is already being replayed`);
+    }
+
+    return formatResponse(202, {
+      accepted: true,
+      failureId,
+      contextId: replaying.contextId,
+      replayCount: replaying.replayCount,
+      message: 'Triage replay accepted for processing'
+    });
+  } catch (error) {
+    console.error('Replay triage failure error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
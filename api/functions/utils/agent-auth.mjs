@@ -0,0 +1,116 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { decodeJwt, signJwt, verifyJwt } from './jwt.mjs';
+
+// Scopes each agent accepts. Tools declare which of these they need, so a caller can only use the skills it was granted.
+export const AGENT_SCOPES = {
+  order: ['order:read', 'order:write'],
+  payment: ['payment:refund'],
+  warehouse: ['warehouse:allocate'],
+  notification: ['notification:send']
+};
+
+// Callers allowed to invoke agents and the most they may ever be granted. Each caller signs with its own secret.
+export const AGENT_CALLERS = {
+  triage: {
+    scopes: ['order:read', 'order:write', 'payment:refund', 'warehouse:allocate', 'notification:send']
+  }
+};
+
+const TOKEN_TTL_SECONDS = 300;
+
+const callerStorage = new AsyncLocalStorage();
+const signingStorage = new AsyncLocalStorage();
+let baseFetch;
+
+const callerSecrets = () => {
+  try {
+    return JSON.parse(process.env.AGENT_CALLER_SECRETS || '{}');
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Create a bearer token for one call from `callerId` to the agent `audience`
+ * @param {Object} params
+ * @param {string} params.callerId - Calling service, a key of AGENT_CALLERS
+ * @param {string} params.audience - Agent being called, a key of AGENT_SCOPES
+ * @param {string} [params.tenantId] - Tenant the call is made for
+ * @param {string} secret - The caller's signing secret
+ * @returns {string} Signed JWT
+ */
+export const signAgentToken = ({ callerId, audience, tenantId }, secret) => {
+  const scopes = (AGENT_CALLERS[callerId]?.scopes ?? []).filter(scope => AGENT_SCOPES[audience]?.includes(scope));
+  return signJwt({ iss: callerId, aud: audience, scope: scopes.join(' '), ...tenantId && { tenantId } }, secret, { expiresInSeconds: TOKEN_TTL_SECONDS });
+};
+
+/**
+ * Authenticate an incoming A2A request before it reaches the agent
+ * @param {Request} request - Incoming request
+ * @param {string} agentId - Agent receiving the request, a key of AGENT_SCOPES
+ * @returns {Object} `{ caller }` with `{ callerId, scopes, tenantId }`, or `{ statusCode, message }` when the request is rejected
+ */
+export const authenticateAgentRequest = (request, agentId) => {
+  // Agent cards stay public so orchestrators can discover skills before they call them
+  if (request.method === 'GET' && new URL(request.url).pathname.startsWith('/.well-known/')) {
+    return { caller: null };
+  }
+
+  const authorization = request.headers.get('authorization');
+  if (!authorization?.startsWith('Bearer ')) {
+    return { statusCode: 401, message: 'A signed agent token is required' };
+  }
+
+  const token = authorization.slice('Bearer '.length);
+  const callerId = decodeJwt(token)?.iss;
+  const claims = AGENT_CALLERS[callerId] ? verifyJwt(token, callerSecrets()[callerId], { audience: agentId }) : null;
+  if (!claims) {
+    return { statusCode: 401, message: 'Invalid agent token' };
+  }
+
+  // A token can never grant more than the caller is registered for or the agent offers
+  const scopes = (claims.scope ?? '').split(' ')
+    .filter(scope => AGENT_CALLERS[callerId].scopes.includes(scope) && AGENT_SCOPES[agentId].includes(scope));
+  if (!scopes.length) {
+    return { statusCode: 403, message: `${callerId} is not allowed to call the ${agentId} agent` };
+  }
+
+  return { caller: { callerId, scopes, tenantId: claims.tenantId } };
+};
+
+// The authenticated caller is kept for the rest of the request so agentHandler can scope its tools
+export const runAsAgentCaller = (caller, fn) => callerStorage.run(caller, fn);
+export const getAgentCaller = () => callerStorage.getStore();
+
+/**
+ * Sign every outgoing request to the given agent URLs made while `fn` runs.
+ * The orchestrator makes the HTTP calls itself, so fetch is wrapped once and reads the signing context per call.
+ * @param {Object} params
+ * @param {string} params.callerId - Calling service, a key of AGENT_CALLERS
+ * @param {string} params.secret - The caller's signing secret
+ * @param {Object} params.agentUrls - Agent id to Function URL
+ * @param {string} [params.tenantId] - Tenant the calls are made for
+ * @param {Function} fn - Work that calls the agents
+ */
+export const withSignedAgentCalls = ({ callerId, secret, agentUrls, tenantId }, fn) => {
+  if (globalThis.fetch !== signedFetch) {
+    baseFetch = globalThis.fetch;
+    globalThis.fetch = signedFetch;
+  }
+
+  return signingStorage.run({ callerId, secret, agentUrls, tenantId }, fn);
+};
+
+const signedFetch = (input, init) => {
+  const signing = signingStorage.getStore();
+  const url = new URL(input instanceof Request ? input.url : String(input));
+  const audience = signing && Object.entries(signing.agentUrls)
+    .find(([, agentUrl]) => agentUrl && new URL(agentUrl).origin === url.origin)?.[0];
+  if (!audience) {
+    return baseFetch(input, init);
+  }
+
+  const request = new Request(input, init);
+  request.headers.set('Authorization', `Bearer ${signAgentToken({ callerId: signing.callerId, audience, tenantId: signing.tenantId }, signing.secret)}`);
+  return baseFetch(request);
+};
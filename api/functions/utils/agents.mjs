@@ -1,9 +1,8 @@
 import { z } from 'zod';
-import { BedrockRuntimeClient, ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
 import { BedrockAgentCoreClient, ListEventsCommand, CreateEventCommand } from '@aws-sdk/client-bedrock-agentcore';
+import { getModelProvider } from './model-providers.mjs';
 
 const ac = new BedrockAgentCoreClient();
-const bedrock = new BedrockRuntimeClient();
 const MAX_ITERATIONS = 10;
 const MAX_TOKENS = 10000;
 
@@ -12,6 +11,7 @@ export const converse = async (model, systemPrompt, message, tools, options) =>
   if (options?.sessionId && options?.actorId) {
     conversation = await loadConversation(options.sessionId, options.actorId);
   }
+  const modelProvider = options?.modelProvider ?? getModelProvider();
   const messages = [{ role: 'user', content: [{ text: message.parts[0].text }] }];
   let finalResponse = '';
   let iteration = 0;
@@ -19,7 +19,7 @@ export const converse = async (model, systemPrompt, message, tools, options) =>
   while (iteration < MAX_ITERATIONS) {
     iteration++;
     try {
-      const command = new ConverseCommand({
+      const response = await modelProvider.converse({
         modelId: model,
         system: [{ text: systemPrompt }],
         messages: [...conversation, ...messages],
@@ -27,8 +27,6 @@ export const converse = async (model, systemPrompt, message, tools, options) =>
         inferenceConfig: { maxTokens: MAX_TOKENS }
       });
 
-      const response = await bedrock.send(command);
-
       if (!response.output?.message?.content) {
         console.warn(`No message output on iteration ${iteration + 1}. Response:`, JSON.stringify(response, null, 2));
         break;
@@ -56,12 +54,19 @@ export const converse = async (model, systemPrompt, message, tools, options) =>
               throw new Error(`Unknown tool: ${toolName}`);
             }
 
+            // Callers authenticated by agent-auth may only use the tools their token was scoped for.
+            // A caller without scopes gets none of the scoped tools.
+            if (tool.scope && !options?.scopes?.includes(tool.scope)) {
+              throw new Error(`Caller is not allowed to use ${toolName} (requires ${tool.scope})`);
+            }
+
             if(options.publishUpdate){
               await options.publishUpdate(`Calling tool "tool.spec.name"`);
             }
             // Never allow an LLM to provide a tenant id!! Instead infer it from the code for security purposes
+            // The same goes for the A2A context, which tools use to recognize retries of the same request
             if (options?.tenantId && tool.isMultiTenant) {
-              toolResult = await tool.handler(options.tenantId, toolInput);
+              toolResult = await tool.handler(options.tenantId, toolInput, { contextId: options.contextId });
             } else {
               toolResult = await tool.handler(toolInput);
             }
@@ -168,6 +173,7 @@ export const convertToBedrockTools = (toolDefs) => {
   return toolDefs.map(toolDef => {
     return {
       isMultiTenant: toolDef.isMultiTenant,
+      scope: toolDef.scope,
       spec: {
         name: toolDef.name,
         description: toolDef.description,
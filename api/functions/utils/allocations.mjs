@@ -0,0 +1,198 @@
+import { DynamoDBClient, GetItemCommand, QueryCommand, TransactWriteItemsCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { inventoryKey } from './inventory.mjs';
+
+const ddb = new DynamoDBClient();
+
+// Allocations hold stock for this long before the reaper returns it to availableQuantity.
+// Must stay well under the 30 day record TTL so bookkeeping is restored before DynamoDB deletes the record.
+export const ALLOCATION_HOLD_SECONDS = Number(process.env.ALLOCATION_HOLD_SECONDS || 7 * 24 * 60 * 60);
+
+// Allocations in these states still count towards the product's allocatedQuantity
+export const OPEN_ALLOCATION_STATUSES = ['allocated', 'picked'];
+
+const allocationKey = (tenantId, orderId, productId) => ({
+  pk: `${tenantId}#allocations`,
+  sk: `${orderId}#${productId}`
+});
+
+export const getAllocation = async (tenantId, orderId, productId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(allocationKey(tenantId, orderId, productId))
+  }));
+
+  return response.Item ? unmarshall(response.Item) : null;
+};
+
+/**
+ * Return allocated stock to the product and mark the allocation released
+ * @param {string} tenantId - Tenant that owns the allocation
+ * @param {Object} params - Allocation to release
+ * @param {string} params.orderId - Order the stock was allocated to
+ * @param {string} params.productId - Allocated product
+ * @param {string} params.reason - Why the stock is being returned
+ * @returns {Promise<Object>} `{ released, allocation }`, with `released: false` when the allocation is missing or no longer open
+ */
+export const releaseAllocation = async (tenantId, { orderId, productId, reason }) => {
+  const allocation = await getAllocation(tenantId, orderId, productId);
+  if (!allocation || !OPEN_ALLOCATION_STATUSES.includes(allocation.status)) {
+    return { released: false, allocation };
+  }
+
+  const now = new Date().toISOString();
+  try {
+    await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: marshall(allocationKey(tenantId, orderId, productId)),
+            UpdateExpression: 'SET #status = :released, releasedAt = :now, releaseReason = :reason, updatedAt = :now',
+            // Re-check the state read above so two releases cannot both return the same stock
+            ConditionExpression: '#status = :currentStatus AND quantityAllocated = :qty',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: marshall({
+              ':released': 'released',
+              ':currentStatus': allocation.status,
+              ':qty': allocation.quantityAllocated,
+              ':reason': reason,
+              ':now': now
+            })
+          }
+        },
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: marshall(inventoryKey(tenantId, productId)),
+            UpdateExpression: 'SET availableQuantity = availableQuantity + :qty, allocatedQuantity = allocatedQuantity - :qty, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(sk)',
+            ExpressionAttributeValues: marshall({
+              ':qty': allocation.quantityAllocated,
+              ':now': now
+            })
+          }
+        }
+      ]
+    }));
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException' && err.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed') {
+      return { released: false, allocation: await getAllocation(tenantId, orderId, productId) };
+    }
+    throw err;
+  }
+
+  return {
+    released: true,
+    allocation: { ...allocation, status: 'released', releasedAt: now, releaseReason: reason }
+  };
+};
+
+/**
+ * Advance an allocation to picked or shipped. Shipping removes the units from allocatedQuantity
+ * because they have left the warehouse.
+ * @param {string} tenantId - Tenant that owns the allocation
+ * @param {Object} params - Allocation to advance
+ * @param {string} params.orderId - Order the stock was allocated to
+ * @param {string} params.productId - Allocated product
+ * @param {string} params.stage - 'picked' or 'shipped'
+ * @param {string} [params.trackingNumber] - Carrier tracking number for shipped allocations
+ * @returns {Promise<Object>} `{ updated, allocation }`, with `updated: false` when the allocation cannot move to `stage`
+ */
+export const fulfillAllocation = async (tenantId, { orderId, productId, stage, trackingNumber }) => {
+  const allocation = await getAllocation(tenantId, orderId, productId);
+  const allowedFrom = stage === 'picked' ? ['allocated'] : OPEN_ALLOCATION_STATUSES;
+  if (!allocation || !allowedFrom.includes(allocation.status)) {
+    return { updated: false, allocation };
+  }
+
+  const now = new Date().toISOString();
+  // Picked stock has left the shelf, so the hold no longer expires; the reaper and the record TTL leave it
+  // alone until shipping takes the units out of allocatedQuantity
+  const allocationUpdate = {
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(allocationKey(tenantId, orderId, productId)),
+    UpdateExpression: `SET #status = :stage, ${stage}At = :now, updatedAt = :now${trackingNumber ? ', trackingNumber = :trackingNumber' : ''}` +
+      (stage === 'picked' ? ' REMOVE expiresAt, #ttl' : ''),
+    ConditionExpression: '#status = :currentStatus',
+    ExpressionAttributeNames: { '#status': 'status', ...(stage === 'picked' && { '#ttl': 'ttl' }) },
+    ExpressionAttributeValues: marshall({
+      ':stage': stage,
+      ':currentStatus': allocation.status,
+      ':now': now,
+      ...(trackingNumber && { ':trackingNumber': trackingNumber })
+    })
+  };
+
+  try {
+    if (stage === 'picked') {
+      await ddb.send(new UpdateItemCommand(allocationUpdate));
+    } else {
+      await ddb.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          { Update: allocationUpdate },
+          {
+            Update: {
+              TableName: process.env.TABLE_NAME,
+              Key: marshall(inventoryKey(tenantId, productId)),
+              UpdateExpression: 'SET allocatedQuantity = allocatedQuantity - :qty, updatedAt = :now',
+              ConditionExpression: 'attribute_exists(sk)',
+              ExpressionAttributeValues: marshall({
+                ':qty': allocation.quantityAllocated,
+                ':now': now
+              })
+            }
+          }
+        ]
+      }));
+    }
+  } catch (err) {
+    const conflict = err.name === 'ConditionalCheckFailedException' ||
+      (err.name === 'TransactionCanceledException' && err.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed');
+    if (conflict) {
+      return { updated: false, allocation: await getAllocation(tenantId, orderId, productId) };
+    }
+    throw err;
+  }
+
+  return {
+    updated: true,
+    allocation: { ...allocation, status: stage, [`${stage}At`]: now, ...(trackingNumber && { trackingNumber }) }
+  };
+};
+
+/**
+ * Release every open allocation held by an order, e.g. when the order is cancelled
+ * @param {string} tenantId - Tenant that owns the order
+ * @param {string} orderId - Order whose allocations should be returned to stock
+ * @param {string} reason - Why the stock is being returned
+ * @returns {Promise<Array>} Allocations that were released
+ */
+export const releaseOrderAllocations = async (tenantId, orderId, reason) => {
+  const released = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :orderPrefix)',
+      ExpressionAttributeValues: marshall({
+        ':pk': `${tenantId}#allocations`,
+        ':orderPrefix': `${orderId}#`
+      }),
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }));
+
+    for (const allocation of (response.Items ?? []).map(item => unmarshall(item))) {
+      if (!OPEN_ALLOCATION_STATUSES.includes(allocation.status)) continue;
+      const result = await releaseAllocation(tenantId, { orderId, productId: allocation.productId, reason });
+      if (result.released) {
+        released.push(result.allocation);
+      }
+    }
+
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return released;
+};
@@ -29,9 +29,16 @@ export const parseBody = (event) => {
   }
 };
 
+// Header names are case-insensitive, and API Gateway passes them through as the client sent them
+export const getHeader = (event, name) => {
+  const wanted = name.toLowerCase();
+  return Object.entries(event?.headers ?? {}).find(([header]) => header.toLowerCase() === wanted)?.[1];
+};
+
 export const buildRequest = (event) => {
   const { rawPath, rawQueryString, headers, body, isBase64Encoded, requestContext } = event;
-  const baseUrl = `https://${requestContext.domainName}`;
+  const protocol = headers?.['x-forwarded-proto'] ?? 'https';
+  const baseUrl = `${protocol}://${requestContext.domainName}`;
   const url = rawQueryString ? `${baseUrl}${rawPath}?${rawQueryString}` : `${baseUrl}${rawPath}`;
   const method = event.requestContext.http.method;
 
@@ -42,3 +49,32 @@ export const buildRequest = (event) => {
 
   return { request: new Request(url, init), baseUrl };
 };
+
+export const formatError = (statusCode, code, message, details = {}) => formatResponse(statusCode, {
+  success: false,
+  error: { code, message, ...details }
+});
+
+// Table keys and retention attributes are storage details, never part of an API resource
+export const toResource = ({ pk, sk, GSI1PK, GSI1SK, ttl, ...resource }) => resource;
+
+// Opaque continuation tokens for paginated list endpoints wrap DynamoDB's LastEvaluatedKey
+export const encodePageToken = (lastEvaluatedKey) =>
+  lastEvaluatedKey ? Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url') : undefined;
+
+// Key attributes are strings or numbers, so a genuine token holds only { S } and { N } attribute values
+const isKeyAttributeValue = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length === 1 && ['S', 'N'].includes(Object.keys(value)[0]) && typeof Object.values(value)[0] === 'string';
+
+// Resolves to undefined without a token and to null for one that was not issued by encodePageToken
+export const decodePageToken = (token) => {
+  if (!token) return undefined;
+  try {
+    const key = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const valid = key && typeof key === 'object' && !Array.isArray(key) &&
+      Object.keys(key).length > 0 && Object.values(key).every(isKeyAttributeValue);
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,100 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { z } from 'zod';
+import { DELIVERY_STATUS_VALUES, geoLocationSchema } from './entity-schemas.mjs';
+
+const ddb = new DynamoDBClient();
+
+// Driver reports made at the customer's door. Exceptions can also be raised in transit (e.g. a hazmat hold),
+// so they do not count as delivery attempts.
+export const DELIVERY_ATTEMPT_STATUSES = ['delivered', 'failed'];
+
+// Body of POST /deliveries/{deliveryId}/statuses. Unknown attributes are dropped rather than stored.
+const deliveryStatusUpdateSchema = z.object({
+  orderId: z.string().trim().min(1),
+  status: z.enum(DELIVERY_STATUS_VALUES),
+  timestamp: z.iso.datetime({ offset: true }),
+  location: geoLocationSchema,
+  driverId: z.string().trim().min(1),
+  reason: z.string().trim().min(1).max(500).optional()
+}).superRefine((update, ctx) => {
+  if (update.status !== 'delivered' && !update.reason) {
+    ctx.addIssue({ code: 'custom', path: ['reason'], message: `A reason is required for ${update.status} updates` });
+  }
+});
+
+/**
+ * Validate a driver's status update request body
+ * @param {Object|null} body - Parsed request body
+ * @returns {{ update?: Object, issues?: Array<{ path: string, message: string }> }} The update, or field-level issues
+ */
+export const parseDeliveryStatusUpdate = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { issues: [{ path: '', message: 'Request body must be a JSON object' }] };
+  }
+
+  const result = deliveryStatusUpdateSchema.safeParse(body);
+  return result.success
+    ? { update: result.data }
+    : { issues: result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message })) };
+};
+
+/**
+ * Read every status update recorded for a delivery
+ * @param {string} tenantId - Tenant that owns the delivery
+ * @param {string} deliveryId - Delivery identifier
+ * @returns {Promise<Array>} Status updates, oldest first
+ */
+export const getDeliveryStatuses = async (tenantId, deliveryId) => {
+  const statuses = [];
+  let ExclusiveStartKey;
+  do {
+    // Sort keys are status#<timestamp>, so the partition reads back oldest first
+    const response = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :statusPrefix)',
+      ExpressionAttributeValues: marshall({
+        ':pk': `${tenantId}#delivery#${deliveryId}`,
+        ':statusPrefix': 'status#'
+      }),
+      ExclusiveStartKey
+    }));
+    statuses.push(...(response.Items ?? []).map(item => toDeliveryStatus(unmarshall(item))));
+    ExclusiveStartKey = response.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return statuses;
+};
+
+/**
+ * Summarize a delivery's status updates into a tracking timeline
+ * @param {string} deliveryId - Delivery identifier
+ * @param {Array} statuses - Status updates, oldest first
+ * @returns {Object} Current status, attempt count, last known location and driver, and the events
+ */
+export const buildDeliveryTimeline = (deliveryId, statuses) => {
+  const latest = statuses.at(-1);
+  const lastLocated = statuses.findLast(status => status.location);
+  const lastDriver = statuses.findLast(status => status.driverId);
+
+  return {
+    deliveryId,
+    orderId: statuses.findLast(status => status.orderId)?.orderId ?? null,
+    currentStatus: latest?.status ?? null,
+    updatedAt: latest?.timestamp ?? null,
+    attemptCount: statuses.filter(status => DELIVERY_ATTEMPT_STATUSES.includes(status.status)).length,
+    lastKnownLocation: lastLocated ? { location: lastLocated.location, timestamp: lastLocated.timestamp } : null,
+    driverId: lastDriver?.driverId ?? null,
+    events: statuses
+  };
+};
+
+const toDeliveryStatus = (record) => ({
+  status: record.status,
+  timestamp: record.timestamp,
+  reportedAt: record.reportedAt,
+  orderId: record.orderId,
+  location: record.location,
+  driverId: record.driverId,
+  reason: record.reason
+});
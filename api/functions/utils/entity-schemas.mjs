@@ -0,0 +1,315 @@
+import { z } from 'zod';
+import { ORDER_STATUS_VALUES } from './order-lifecycle.mjs';
+import { SHIPPING_METHODS } from './order-items.mjs';
+import { inventoryRecordSchema } from './inventory.mjs';
+
+// Shared record schemas for everything written to the table. The demo generators, the reset handler and
+// every tool that writes validate against these before calling DynamoDB, so a bad record is rejected with
+// field-level issues instead of being stored. Schemas are strict about keys, ids, statuses and amounts and
+// only type-check descriptive attributes; unknown attributes pass through.
+
+export const PAYMENT_STATUS_VALUES = ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded'];
+export const PAYMENT_METHOD_VALUES = ['credit_card', 'debit_card', 'paypal', 'bank_transfer'];
+export const REFUND_REASONS = ['delivery_failed', 'damaged_package', 'customer_request'];
+export const ALLOCATION_STATUS_VALUES = ['allocated', 'picked', 'shipped', 'released'];
+export const DELIVERY_STATUS_VALUES = ['delivered', 'failed', 'exception'];
+export const RESOLUTION_CLASSIFICATIONS = ['simple_retry', 'access_issue', 'damaged_or_lost', 'loss_or_theft', 'multiple_failures', 'high_value', 'unclassified'];
+export const RESOLUTION_STATUS_VALUES = ['resolved', 'pending', 'requires_follow_up'];
+
+const addressSchema = z.object({
+  street: z.string().min(1),
+  city: z.string().min(1),
+  state: z.string().min(1),
+  zipCode: z.string().min(1),
+  country: z.string().min(1)
+}).passthrough();
+
+/** Where a driver reported a delivery status from. Coordinates are WGS84 decimal degrees */
+export const geoLocationSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  address: z.string().min(1).optional()
+});
+
+const statusHistorySchema = (statuses) => z.array(z.object({
+  status: z.enum(statuses),
+  timestamp: z.string().min(1),
+  notes: z.string().optional()
+}).passthrough());
+
+const keyFields = {
+  pk: z.string().min(1),
+  sk: z.string().min(1),
+  GSI1PK: z.string().optional(),
+  GSI1SK: z.string().optional(),
+  ttl: z.number().int().optional()
+};
+
+const customerSchema = z.object({
+  ...keyFields,
+  customerId: z.string().min(1),
+  name: z.string().min(1),
+  email: z.string().email().optional(),
+  phone: z.string().optional(),
+  address: addressSchema.optional(),
+  customerType: z.enum(['premium', 'standard', 'new']).optional(),
+  totalOrders: z.number().min(0).optional(),
+  totalSpent: z.number().min(0).optional(),
+  preferences: z.object({
+    communicationMethod: z.enum(['email', 'phone']).optional(),
+    language: z.string().optional(),
+    deliveryInstructions: z.string().optional()
+  }).passthrough().optional()
+}).passthrough();
+
+const orderSchema = z.object({
+  ...keyFields,
+  orderId: z.string().min(1),
+  customerId: z.string().min(1),
+  status: z.enum(ORDER_STATUS_VALUES),
+  items: z.array(z.object({
+    sku: z.string().min(1),
+    name: z.string().optional(),
+    quantity: z.number().int().positive(),
+    price: z.number().min(0),
+    total: z.number().min(0).optional()
+  }).passthrough()).min(1),
+  totalAmount: z.number().min(0),
+  currency: z.string().length(3),
+  shippingAddress: addressSchema,
+  shippingMethod: z.enum(SHIPPING_METHODS).optional(),
+  paymentId: z.string().min(1).optional(),
+  statusHistory: statusHistorySchema(ORDER_STATUS_VALUES).optional(),
+  replacementOf: z.string().min(1).optional(),
+  rootOrderId: z.string().min(1).optional(),
+  replacementDepth: z.number().int().positive().optional(),
+  uncharged: z.boolean().optional(),
+  replacementValue: z.number().min(0).optional()
+}).passthrough();
+
+const paymentSchema = z.object({
+  ...keyFields,
+  paymentId: z.string().min(1),
+  orderId: z.string().min(1),
+  amount: z.number().min(0),
+  currency: z.string().length(3),
+  paymentMethod: z.enum(PAYMENT_METHOD_VALUES).optional(),
+  status: z.enum(PAYMENT_STATUS_VALUES),
+  refundAmount: z.number().min(0).optional()
+}).passthrough().refine(payment => (payment.refundAmount ?? 0) <= payment.amount, {
+  path: ['refundAmount'],
+  message: 'Refunded amount cannot exceed the payment amount'
+});
+
+const refundSchema = z.object({
+  ...keyFields,
+  refundId: z.string().min(1),
+  orderId: z.string().min(1),
+  paymentId: z.string().min(1),
+  refundAmount: z.number().positive(),
+  reason: z.enum(REFUND_REASONS),
+  status: z.enum(['pending', 'completed', 'failed']),
+  currency: z.string().length(3),
+  processedAt: z.string().min(1)
+}).passthrough();
+
+const allocationSchema = z.object({
+  ...keyFields,
+  allocationId: z.string().min(1),
+  orderId: z.string().min(1),
+  productId: z.string().min(1),
+  quantityAllocated: z.number().int().positive(),
+  status: z.enum(ALLOCATION_STATUS_VALUES),
+  createdAt: z.string().min(1),
+  expiresAt: z.string().optional()
+}).passthrough();
+
+const deliveryExceptionSchema = z.object({
+  ...keyFields,
+  exceptionId: z.string().min(1),
+  orderId: z.string().min(1),
+  deliveryId: z.string().optional(),
+  type: z.string().min(1),
+  severity: z.enum(['low', 'medium', 'high']),
+  status: z.string().min(1),
+  reason: z.string().optional()
+}).passthrough();
+
+const deliveryStatusSchema = z.object({
+  pk: z.string().min(1),
+  sk: z.string().min(1),
+  tenantId: z.string().min(1),
+  deliveryId: z.string().min(1),
+  orderId: z.string().optional(),
+  status: z.enum(DELIVERY_STATUS_VALUES),
+  timestamp: z.string().min(1),
+  reportedAt: z.string().optional(),
+  // Updates recorded before locations were structured hold a free-text address
+  location: z.union([geoLocationSchema, z.string()]).optional(),
+  driverId: z.string().optional(),
+  reason: z.string().optional()
+}).passthrough();
+
+const resolutionSchema = z.object({
+  ...keyFields,
+  tenantId: z.string().min(1),
+  deliveryId: z.string().min(1),
+  orderId: z.string().optional(),
+  // Receipt time of the status update triage resolved; one resolution per exception
+  statusTimestamp: z.string().min(1),
+  classification: z.enum(RESOLUTION_CLASSIFICATIONS),
+  agentsInvoked: z.array(z.string().min(1)),
+  actionsCompleted: z.array(z.string().min(1)),
+  currentStatus: z.enum(RESOLUTION_STATUS_VALUES),
+  customerImpact: z.string().optional(),
+  summary: z.string(),
+  summaryParsed: z.boolean(),
+  resolvedAt: z.string().min(1)
+}).passthrough();
+
+// Each entity's partition key (which also yields the tenant) and the key attributes derived from its fields.
+// Keys must agree with the fields, e.g. an order's GSI1PK has to follow its status.
+const ENTITIES = {
+  customer: {
+    label: 'Customer',
+    idField: 'customerId',
+    schema: customerSchema,
+    pk: /^(.+)#customers$/,
+    keys: (tenantId, record) => ({ sk: `customer#${record.customerId}` })
+  },
+  order: {
+    label: 'Order',
+    idField: 'orderId',
+    schema: orderSchema,
+    pk: /^(.+)#orders$/,
+    keys: (tenantId, record) => ({ sk: `order#${record.orderId}`, GSI1PK: `${tenantId}#orders#${record.status}` })
+  },
+  product: {
+    label: 'Product',
+    idField: 'sku',
+    schema: inventoryRecordSchema,
+    pk: /^(.+)#inventory$/,
+    keys: (tenantId, record) => ({ sk: `product#${record.sku}`, GSI1PK: `${tenantId}#inventory` })
+  },
+  payment: {
+    label: 'Payment',
+    idField: 'paymentId',
+    schema: paymentSchema,
+    pk: /^(.+)#payments$/,
+    keys: (tenantId, record) => ({ sk: `payment#${record.paymentId}`, GSI1PK: `${tenantId}#payments#${record.status}` })
+  },
+  refund: {
+    label: 'Refund',
+    idField: 'refundId',
+    schema: refundSchema,
+    pk: /^(.+)#refunds$/,
+    keys: (tenantId, record) => ({ sk: `refund#${record.refundId}`, GSI1PK: `${tenantId}#orders#${record.orderId}` })
+  },
+  allocation: {
+    label: 'Allocation',
+    idField: 'allocationId',
+    schema: allocationSchema,
+    pk: /^(.+)#allocations$/,
+    keys: (tenantId, record) => ({ sk: `${record.orderId}#${record.productId}`, GSI1PK: `${tenantId}#allocations#${record.productId}` })
+  },
+  deliveryException: {
+    label: 'Delivery exception',
+    idField: 'exceptionId',
+    schema: deliveryExceptionSchema,
+    pk: /^(.+)#delivery-exceptions$/,
+    keys: (tenantId, record) => ({ sk: `exception#${record.exceptionId}`, GSI1PK: `${tenantId}#delivery-exceptions#${record.severity}` })
+  },
+  // Resolutions share the delivery partition with its status updates and are told apart by sort key,
+  // so they are matched first
+  resolution: {
+    label: 'Resolution',
+    idField: 'deliveryId',
+    schema: resolutionSchema,
+    pk: /^(.+)#delivery#[^#]+$/,
+    sk: /^resolution#/,
+    keys: (tenantId, record) => ({
+      pk: `${tenantId}#delivery#${record.deliveryId}`,
+      sk: `resolution#${record.statusTimestamp}`,
+      GSI1PK: `${tenantId}#orders#${record.orderId}`,
+      tenantId
+    })
+  },
+  deliveryStatus: {
+    label: 'Delivery status',
+    idField: 'deliveryId',
+    schema: deliveryStatusSchema,
+    pk: /^(.+)#delivery#[^#]+$/,
+    keys: (tenantId, record) => ({ pk: `${tenantId}#delivery#${record.deliveryId}`, sk: `status#${record.timestamp}`, tenantId })
+  }
+};
+
+export const ENTITY_TYPES = Object.keys(ENTITIES);
+
+const checkKeys = (entity, record) => {
+  const { pk: pkPattern, keys } = ENTITIES[entity];
+  const match = typeof record.pk === 'string' && record.pk.match(pkPattern);
+  if (!match) {
+    return [{ path: 'pk', message: `Expected a ${ENTITIES[entity].label.toLowerCase()} partition key matching ${pkPattern}` }];
+  }
+
+  return Object.entries(keys(match[1], record))
+    // GSI keys are optional, but when present they must be the ones the readers query by
+    .filter(([attribute, expected]) => !(attribute.startsWith('GSI') && record[attribute] === undefined) && record[attribute] !== expected)
+    .map(([attribute, expected]) => ({ path: attribute, message: `Expected ${expected}` }));
+};
+
+/**
+ * Validate a record against its entity schema and key layout before it is written
+ * @param {string} entity - One of ENTITY_TYPES, e.g. order or refund
+ * @param {Object} record - Complete record as it will be stored, including keys
+ * @returns {Object|null} null when the record is valid, otherwise a VALIDATION_FAILED error with field-level issues
+ */
+export const validateEntity = (entity, record) => {
+  const definition = ENTITIES[entity];
+  if (!definition) {
+    throw new Error(`Unknown entity type ${entity}`);
+  }
+
+  const result = definition.schema.safeParse(record);
+  const issues = [
+    ...(result.success ? [] : result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }))),
+    ...checkKeys(entity, record ?? {})
+  ];
+  if (!issues.length) return null;
+
+  const id = record?.[definition.idField];
+  return {
+    success: false,
+    error: 'VALIDATION_FAILED',
+    entity,
+    ...(id !== undefined && { id }),
+    issues,
+    message: `${definition.label}${id !== undefined ? ` ${id}` : ''} failed validation: ${issues.map(issue => `${issue.path || 'record'} ${issue.message}`).join('; ')}`
+  };
+};
+
+/**
+ * Validate a record against its entity schema and return it, throwing when it is invalid
+ * @param {string} entity - One of ENTITY_TYPES
+ * @param {Object} record - Record to validate
+ * @returns {Object} The record, unchanged
+ * @throws {Error} With code VALIDATION_FAILED and the validation error as `validation`
+ */
+export const parseEntity = (entity, record) => {
+  const validation = validateEntity(entity, record);
+  if (validation) {
+    const error = new Error(validation.message);
+    error.code = 'VALIDATION_FAILED';
+    error.validation = validation;
+    throw error;
+  }
+  return record;
+};
+
+/**
+ * Work out which entity a stored item is from its partition key, and its sort key where a partition holds two
+ * @param {Object} record - Item with a pk attribute
+ * @returns {string|null} Entity type, or null for partitions without a schema
+ */
+export const getEntityType = (record) =>
+  ENTITY_TYPES.find(entity => ENTITIES[entity].pk.test(record?.pk ?? '') && (!ENTITIES[entity].sk || ENTITIES[entity].sk.test(record?.sk ?? ''))) ?? null;
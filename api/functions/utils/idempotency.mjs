@@ -0,0 +1,125 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { createHash } from 'crypto';
+
+const ddb = new DynamoDBClient();
+
+// Clients may retry with the same Idempotency-Key for this long and get the original response back
+export const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS || 24 * 60 * 60);
+
+// A request that claimed a key and then died (e.g. a Lambda timeout) stops blocking retries after this long
+const IDEMPOTENCY_LOCK_SECONDS = 30;
+
+export const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+const idempotencyKey = (tenantId, scope, key) => ({
+  pk: `${tenantId}#idempotency`,
+  sk: `${scope}#${key}`
+});
+
+/**
+ * Fingerprint a request so a reused key can be told apart from a retry
+ * @param {Object} request - Validated request body
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRequest = (request) => createHash('sha256').update(JSON.stringify(request)).digest('hex');
+
+/**
+ * Claim an idempotency key before doing the work it guards
+ * @param {string} tenantId - Tenant making the request; keys never collide across tenants
+ * @param {string} scope - What the key applies to, e.g. delivery-status#DEL-001
+ * @param {string} key - Client-supplied Idempotency-Key
+ * @param {string} requestHash - hashRequest() of the request body
+ * @param {Object} values - Values the first attempt settles on (e.g. contextId); retries reuse the stored ones
+ * @returns {Promise<Object>} `{ outcome, record }` where outcome is claimed, completed, in_progress or mismatch.
+ *   A claimed or completed record carries the values to use; a completed one also carries the stored response
+ */
+export const claimIdempotencyKey = async (tenantId, scope, key, requestHash, values) => {
+  const now = Math.floor(Date.now() / 1000);
+  const names = Object.fromEntries(Object.keys(values).map((name, i) => [`#v${i}`, name]));
+  const placeholders = Object.fromEntries(Object.values(values).map((value, i) => [`:v${i}`, value]));
+
+  try {
+    const response = await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall(idempotencyKey(tenantId, scope, key)),
+      UpdateExpression: [
+        'SET #state = :inProgress, lockedUntil = :lockedUntil, requestHash = :requestHash, #ttl = if_not_exists(#ttl, :ttl)',
+        ...Object.keys(names).map((name, i) => `${name} = if_not_exists(${name}, :v${i})`)
+      ].join(', '),
+      // A stale claim can be taken over, but only by a retry of the same request
+      ConditionExpression: 'attribute_not_exists(sk) OR (#state = :inProgress AND lockedUntil < :now AND requestHash = :requestHash)',
+      ExpressionAttributeNames: { '#state': 'state', '#ttl': 'ttl', ...names },
+      ExpressionAttributeValues: marshall({
+        ':inProgress': 'in_progress',
+        ':lockedUntil': now + IDEMPOTENCY_LOCK_SECONDS,
+        ':requestHash': requestHash,
+        ':ttl': now + IDEMPOTENCY_TTL_SECONDS,
+        ':now': now,
+        ...placeholders
+      }),
+      ReturnValues: 'ALL_NEW'
+    }));
+    return { outcome: 'claimed', record: unmarshall(response.Attributes) };
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') {
+      throw err;
+    }
+  }
+
+  const existing = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(idempotencyKey(tenantId, scope, key)),
+    ConsistentRead: true
+  }));
+  const record = existing.Item ? unmarshall(existing.Item) : null;
+  if (!record) {
+    // Expired between the two calls; the caller can simply retry
+    return { outcome: 'in_progress', record: null };
+  }
+  if (record.requestHash !== requestHash) {
+    return { outcome: 'mismatch', record };
+  }
+  return { outcome: record.state === 'completed' ? 'completed' : 'in_progress', record };
+};
+
+/**
+ * Store the response for a claimed key so retries return it instead of repeating the work
+ * @param {string} tenantId - Tenant that claimed the key
+ * @param {string} scope - Scope the key was claimed in
+ * @param {string} key - Client-supplied Idempotency-Key
+ * @param {Object} response - `{ statusCode, body }` to replay
+ */
+export const completeIdempotencyKey = async (tenantId, scope, key, response) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(idempotencyKey(tenantId, scope, key)),
+    UpdateExpression: 'SET #state = :completed, #response = :response, completedAt = :now REMOVE lockedUntil',
+    ExpressionAttributeNames: { '#state': 'state', '#response': 'response' },
+    ExpressionAttributeValues: marshall({
+      ':completed': 'completed',
+      ':response': response,
+      ':now': new Date().toISOString()
+    }, { removeUndefinedValues: true })
+  }));
+};
+
+/**
+ * Let an immediate retry take over a claimed key after the request failed part way through.
+ * Values settled on by the claim (e.g. contextId) are kept so the retry finishes the same work.
+ * @param {string} tenantId - Tenant that claimed the key
+ * @param {string} scope - Scope the key was claimed in
+ * @param {string} key - Client-supplied Idempotency-Key
+ */
+export const releaseIdempotencyKey = async (tenantId, scope, key) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(idempotencyKey(tenantId, scope, key)),
+    UpdateExpression: 'SET lockedUntil = :expired',
+    ConditionExpression: '#state = :inProgress',
+    ExpressionAttributeNames: { '#state': 'state' },
+    ExpressionAttributeValues: marshall({ ':expired': 0, ':inProgress': 'in_progress' })
+  })).catch(err => {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  });
+};
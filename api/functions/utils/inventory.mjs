@@ -0,0 +1,131 @@
+import { z } from 'zod';
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+const ddb = new DynamoDBClient();
+
+// Canonical inventory record, shared by the demo seeders, the warehouse tools and every inventory read:
+//   pk                 <tenant>#inventory
+//   sk                 product#<sku>       (the warehouse tools call the sku productId)
+//   GSI1PK / GSI1SK    <tenant>#inventory / <category>#<sku>
+//   availableQuantity  units that can still be allocated
+//   allocatedQuantity  units held for orders that have not shipped yet
+// Units on hand are availableQuantity + allocatedQuantity. Keys never encode stock levels, because the
+// allocation transactions only update the quantity attributes.
+export const inventoryRecordSchema = z.object({
+  pk: z.string().regex(/#inventory$/),
+  sk: z.string().startsWith('product#'),
+  GSI1PK: z.string().optional(),
+  GSI1SK: z.string().optional(),
+  sku: z.string().min(1),
+  name: z.string().min(1),
+  category: z.string().optional(),
+  price: z.number().min(0).optional(),
+  currency: z.string().optional(),
+  availableQuantity: z.number().int().min(0),
+  allocatedQuantity: z.number().int().min(0),
+  reorderPoint: z.number().min(0).optional(),
+  reorderQuantity: z.number().min(0).optional(),
+  updatedAt: z.string().optional()
+}).passthrough();
+
+// Attributes written by the original demo seeders before the canonical model existed
+const LEGACY_STOCK_ATTRIBUTES = ['stockLevel', 'reservedStock', 'availableStock'];
+
+export const inventoryKey = (tenantId, sku) => ({
+  pk: `${tenantId}#inventory`,
+  sk: `product#${sku}`
+});
+
+/**
+ * Set a product's stock from the units on hand and the units held for orders
+ * @param {Object} record - Inventory record to update
+ * @param {number} onHandQuantity - Units physically in the warehouse
+ * @param {number} allocatedQuantity - Units of those held for orders
+ * @returns {Object} Copy of the record with availableQuantity and allocatedQuantity set
+ */
+export const withStockLevels = (record, onHandQuantity, allocatedQuantity = 0) => {
+  const allocated = Math.max(0, Math.min(onHandQuantity, allocatedQuantity));
+  return {
+    ...record,
+    availableQuantity: Math.max(0, onHandQuantity - allocated),
+    allocatedQuantity: allocated
+  };
+};
+
+/**
+ * Units physically in the warehouse for a canonical inventory record
+ * @param {Object} record - Canonical inventory record
+ * @returns {number} availableQuantity + allocatedQuantity
+ */
+export const getOnHandQuantity = (record) => (record.availableQuantity ?? 0) + (record.allocatedQuantity ?? 0);
+
+/**
+ * Check whether an inventory item still uses the legacy seeder attributes
+ * @param {Object} item - Unmarshalled inventory item
+ * @returns {boolean} True when the item needs normalizing
+ */
+export const isLegacyInventoryRecord = (item) =>
+  item.availableQuantity === undefined || LEGACY_STOCK_ATTRIBUTES.some(attribute => attribute in item);
+
+/**
+ * Convert an inventory item to the canonical record model. Canonical items are returned unchanged.
+ * Legacy items map stockLevel to units on hand and reservedStock to allocatedQuantity.
+ * @param {Object} item - Unmarshalled inventory item
+ * @returns {Object} Canonical inventory record
+ */
+export const normalizeInventoryRecord = (item) => {
+  if (!isLegacyInventoryRecord(item)) return item;
+
+  const { stockLevel, reservedStock, availableStock, ...rest } = item;
+  const tenantId = item.pk.slice(0, -'#inventory'.length);
+  const sku = item.sku ?? item.productId ?? item.sk.slice('product#'.length);
+  const allocatedQuantity = item.allocatedQuantity ?? reservedStock ?? 0;
+  const onHandQuantity = stockLevel ?? (item.availableQuantity ?? availableStock ?? 0) + allocatedQuantity;
+
+  return withStockLevels({
+    ...rest,
+    GSI1PK: `${tenantId}#inventory`,
+    GSI1SK: `${item.category ?? 'general'}#${sku}`,
+    sku,
+    name: item.name ?? sku
+  }, onHandQuantity, allocatedQuantity);
+};
+
+/**
+ * Read a product's inventory record in its canonical form
+ * @param {string} tenantId - Tenant that owns the inventory
+ * @param {string} sku - Product sku
+ * @returns {Promise<Object|null>} Canonical inventory record, or null when the product does not exist
+ */
+export const getInventoryRecord = async (tenantId, sku) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(inventoryKey(tenantId, sku))
+  }));
+
+  return response.Item ? normalizeInventoryRecord(unmarshall(response.Item)) : null;
+};
+
+/**
+ * Rewrite a legacy inventory item in the canonical model. The write only succeeds while the stored item is
+ * still legacy, so it never overwrites stock the warehouse tools have already changed.
+ * @param {Object} item - Unmarshalled legacy inventory item
+ * @returns {Promise<Object|null>} The canonical record, or null when the item had already been migrated
+ */
+export const migrateInventoryRecord = async (item) => {
+  const record = { ...normalizeInventoryRecord(item), updatedAt: new Date().toISOString() };
+
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Item: marshall(record, { removeUndefinedValues: true }),
+      ConditionExpression: 'attribute_exists(stockLevel) OR attribute_not_exists(availableQuantity)'
+    }));
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return null;
+    throw err;
+  }
+
+  return record;
+};
@@ -0,0 +1,64 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const signature = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Sign claims as an HS256 JWT
+ * @param {Object} claims - Token claims
+ * @param {string} secret - Shared signing secret
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds=300] - Token lifetime
+ * @returns {string} Compact JWT
+ */
+export const signJwt = (claims, secret, { expiresInSeconds = 300 } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iat: now, exp: now + expiresInSeconds, ...claims })}`;
+  return `${data}.${signature(data, secret)}`;
+};
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared signing secret
+ * @param {Object} [options]
+ * @param {string} [options.audience] - Required `aud` claim; tokens for different audiences may share a secret
+ * @returns {Object|null} Claims, or null when the token is malformed, wrongly signed, expired, has no expiry
+ *   or is addressed to another audience
+ */
+export const verifyJwt = (token, secret, { audience } = {}) => {
+  if (!token || !secret) return null;
+
+  const [header, payload, signed] = token.split('.');
+  if (!header || !payload || !signed) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+
+    const expected = Buffer.from(signature(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signed);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    // A token without an expiry would stay valid forever
+    if (typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    if (audience !== undefined && ![claims.aud].flat().includes(audience)) return null;
+
+    return claims;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read a JWT's claims WITHOUT verifying it, e.g. to find the issuer whose secret verifies the token
+ * @param {string} token - Compact JWT
+ * @returns {Object|null} Unverified claims
+ */
+export const decodeJwt = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,84 @@
+import { readFileSync } from 'fs';
+import { BedrockRuntimeClient, ConverseCommand } from '@aws-sdk/client-bedrock-runtime';
+
+let activeProvider;
+
+/**
+ * Model provider backed by the Bedrock Converse API
+ * @returns {Object} Provider with a `converse(request)` method returning a Converse response
+ */
+export const createBedrockProvider = () => {
+  const bedrock = new BedrockRuntimeClient();
+  return {
+    name: 'bedrock',
+    converse: (request) => bedrock.send(new ConverseCommand(request))
+  };
+};
+
+/**
+ * Model provider that replays pre-recorded assistant turns instead of calling a model.
+ * A turn is a string (text reply) or an array of Converse content blocks, e.g.
+ * `[{ toolUse: { name: 'processRefund', input: { ... } } }]`.
+ * @param {Array|Object} script - Turns in call order, or a map of system prompt fragment to turns
+ *   so several agents can share one script
+ * @returns {Object} Provider with `converse(request)` plus the recorded `requests`
+ */
+export const createScriptedProvider = (script) => {
+  const queues = Array.isArray(script)
+    ? [{ match: null, turns: [...script] }]
+    : Object.entries(script).map(([match, turns]) => ({ match, turns: [...turns] }));
+  const requests = [];
+  let toolUseCount = 0;
+
+  const findQueue = (systemPrompt) => queues.find(queue => queue.match === null || systemPrompt.includes(queue.match));
+
+  return {
+    name: 'scripted',
+    requests,
+    converse: async (request) => {
+      requests.push(structuredClone(request));
+      const systemPrompt = request.system?.map(block => block.text).join('\n') ?? '';
+      const queue = findQueue(systemPrompt);
+      const turn = queue?.turns.shift();
+      if (turn === undefined) {
+        throw new Error(`Scripted model has no remaining turns for request ${requests.length}`);
+      }
+
+      const content = (typeof turn === 'string' ? [{ text: turn }] : turn).map(block => {
+        if (!block.toolUse) return block;
+        toolUseCount++;
+        return { toolUse: { toolUseId: `scripted-tool-use-${toolUseCount}`, ...block.toolUse } };
+      });
+
+      return {
+        output: { message: { role: 'assistant', content } },
+        stopReason: content.some(block => block.toolUse) ? 'tool_use' : 'end_turn',
+        usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+      };
+    }
+  };
+};
+
+/**
+ * Resolve the provider used by converse() when none is passed explicitly.
+ * MODEL_PROVIDER=scripted replays the JSON script at MODEL_SCRIPT; anything else uses Bedrock.
+ * @returns {Object} Active model provider
+ */
+export const getModelProvider = () => {
+  if (!activeProvider) {
+    if (process.env.MODEL_PROVIDER === 'scripted') {
+      activeProvider = createScriptedProvider(JSON.parse(readFileSync(process.env.MODEL_SCRIPT, 'utf8')));
+    } else {
+      activeProvider = createBedrockProvider();
+    }
+  }
+  return activeProvider;
+};
+
+/**
+ * Override the provider used by converse(), primarily for tests
+ * @param {Object} provider - Provider to use, or undefined to fall back to the environment
+ */
+export const setModelProvider = (provider) => {
+  activeProvider = provider;
+};
@@ -0,0 +1,146 @@
+export const DEFAULT_LOCALE = 'en';
+
+// Customer-facing notification templates. Placeholders use {{variable}} and are filled from the
+// order, customer and refund records, so wording stays consistent regardless of which agent sends it.
+export const NOTIFICATION_TEMPLATES = {
+  delivery_rescheduled: {
+    en: {
+      subject: 'Your order {{orderId}} has been rescheduled',
+      body: [
+        'Hi {{customerName}},',
+        'We were unable to deliver your order {{orderId}}, so we have scheduled another delivery attempt for {{deliveryDate}}.',
+        'You can follow your package with tracking number {{trackingNumber}}.'
+      ]
+    },
+    es: {
+      subject: 'Tu pedido {{orderId}} ha sido reprogramado',
+      body: [
+        'Hola {{customerName}},',
+        'No pudimos entregar tu pedido {{orderId}}, así que programamos un nuevo intento de entrega para {{deliveryDate}}.',
+        'Puedes seguir tu paquete con el número de seguimiento {{trackingNumber}}.'
+      ]
+    }
+  },
+  refund_issued: {
+    en: {
+      subject: 'Refund issued for order {{orderId}}',
+      body: [
+        'Hi {{customerName}},',
+        'We have issued a refund of {{refundAmount}} for your order {{orderId}}.',
+        'Depending on your bank it can take 5-10 business days to appear on your statement.'
+      ]
+    },
+    es: {
+      subject: 'Reembolso emitido para el pedido {{orderId}}',
+      body: [
+        'Hola {{customerName}},',
+        'Hemos emitido un reembolso de {{refundAmount}} para tu pedido {{orderId}}.',
+        'Según tu banco, puede tardar de 5 a 10 días hábiles en aparecer en tu estado de cuenta.'
+      ]
+    }
+  },
+  replacement_shipped: {
+    en: {
+      subject: 'A replacement for order {{orderId}} is on its way',
+      body: [
+        'Hi {{customerName}},',
+        'We are sorry about the problem with your order {{orderId}}. We have created replacement order {{replacementOrderId}}, which will ship via {{shippingMethod}} shipping.',
+        'We will send tracking details as soon as it leaves our warehouse.'
+      ]
+    },
+    es: {
+      subject: 'Un reemplazo para el pedido {{orderId}} está en camino',
+      body: [
+        'Hola {{customerName}},',
+        'Lamentamos el problema con tu pedido {{orderId}}. Creamos el pedido de reemplazo {{replacementOrderId}}, que se enviará por envío {{shippingMethod}}.',
+        'Te enviaremos los datos de seguimiento en cuanto salga de nuestro almacén.'
+      ]
+    }
+  },
+  access_info_needed: {
+    en: {
+      subject: 'We need access details to deliver order {{orderId}}',
+      body: [
+        'Hi {{customerName}},',
+        'Our driver could not reach the delivery location for order {{orderId}} at {{deliveryAddress}}.',
+        'Please reply with a gate code, buzzer number or any other instructions that will help us complete the delivery.'
+      ]
+    },
+    es: {
+      subject: 'Necesitamos datos de acceso para entregar el pedido {{orderId}}',
+      body: [
+        'Hola {{customerName}},',
+        'Nuestro repartidor no pudo acceder al lugar de entrega del pedido {{orderId}} en {{deliveryAddress}}.',
+        'Responde con el código de la puerta, el número del portero o cualquier otra indicación que nos ayude a completar la entrega.'
+      ]
+    }
+  },
+  final_undeliverable: {
+    en: {
+      subject: 'Order {{orderId}} could not be delivered',
+      body: [
+        'Hi {{customerName}},',
+        'After several attempts we were unable to deliver your order {{orderId}}, and it has been cancelled.',
+        'A refund of {{refundAmount}} has been issued to your original payment method.'
+      ]
+    },
+    es: {
+      subject: 'El pedido {{orderId}} no pudo ser entregado',
+      body: [
+        'Hola {{customerName}},',
+        'Después de varios intentos no pudimos entregar tu pedido {{orderId}}, por lo que ha sido cancelado.',
+        'Se ha emitido un reembolso de {{refundAmount}} a tu método de pago original.'
+      ]
+    }
+  }
+};
+
+export const NOTIFICATION_TEMPLATE_NAMES = Object.keys(NOTIFICATION_TEMPLATES);
+export const SUPPORTED_LOCALES = Object.keys(NOTIFICATION_TEMPLATES.delivery_rescheduled);
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const resolveLocale = (...candidates) => {
+  for (const candidate of candidates) {
+    const language = candidate?.toLowerCase().split(/[-_]/)[0];
+    if (SUPPORTED_LOCALES.includes(language)) return language;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Render a notification template with the given variables
+ * @param {string} templateName - One of NOTIFICATION_TEMPLATE_NAMES
+ * @param {string} locale - Preferred locale, falls back to English
+ * @param {Object} variables - Values for the template placeholders
+ * @returns {Object} `{ subject, text, html, locale }`, or `{ error }` listing missing variables
+ */
+export const renderNotification = (templateName, locale, variables) => {
+  const localized = NOTIFICATION_TEMPLATES[templateName];
+  if (!localized) {
+    return { error: `Unknown notification template ${templateName}` };
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const template = localized[resolvedLocale];
+  const placeholders = [template.subject, ...template.body].flatMap(text => [...text.matchAll(PLACEHOLDER)].map(match => match[1]));
+  const missing = [...new Set(placeholders)].filter(name => variables[name] === undefined || variables[name] === null || variables[name] === '');
+  if (missing.length) {
+    return { error: `Missing values for ${templateName}: ${missing.join(', ')}` };
+  }
+
+  const fill = (text, escape = (value) => value) => text.replace(PLACEHOLDER, (_, name) => escape(variables[name]));
+
+  return {
+    locale: resolvedLocale,
+    subject: fill(template.subject),
+    text: template.body.map(paragraph => fill(paragraph)).join('\n\n'),
+    html: template.body.map(paragraph => `<p>${fill(escapeHtml(paragraph), escapeHtml)}</p>`).join('\n')
+  };
+};
@@ -0,0 +1,111 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { SESv2Client, SendEmailCommand } from '@aws-sdk/client-sesv2';
+import { SNSClient, PublishCommand } from '@aws-sdk/client-sns';
+import nodemailer from 'nodemailer';
+
+const ses = new SESv2Client();
+const sns = new SNSClient();
+let smtp;
+
+// Every transport receives the same rendered message:
+// { notificationId, tenantId, orderId, customerId, template, locale, to: { email, phone }, subject, text, html }
+// and resolves to { providerMessageId } once the provider has accepted it.
+const transports = {
+  ses: {
+    channel: 'email',
+    send: async (message) => {
+      const response = await ses.send(new SendEmailCommand({
+        FromEmailAddress: process.env.FROM_EMAIL,
+        Destination: { ToAddresses: [message.to.email] },
+        Content: {
+          Simple: {
+            Subject: { Data: message.subject },
+            Body: {
+              Html: { Data: message.html },
+              Text: { Data: message.text }
+            }
+          }
+        }
+      }));
+      return { providerMessageId: response.MessageId };
+    }
+  },
+  smtp: {
+    channel: 'email',
+    send: async (message) => {
+      if (!smtp) {
+        smtp = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT || 587),
+          secure: process.env.SMTP_SECURE === 'true',
+          ...process.env.SMTP_USER && {
+            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          }
+        });
+      }
+
+      const response = await smtp.sendMail({
+        from: process.env.FROM_EMAIL,
+        to: message.to.email,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+      return { providerMessageId: response.messageId };
+    }
+  },
+  sms: {
+    channel: 'sms',
+    send: async (message) => {
+      const response = await sns.send(new PublishCommand({
+        PhoneNumber: message.to.phone,
+        Message: `${message.subject}\n\n${message.text}`
+      }));
+      return { providerMessageId: response.MessageId };
+    }
+  },
+  webhook: {
+    channel: 'any',
+    send: async (message) => {
+      const response = await fetch(process.env.NOTIFICATION_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+      });
+      if (!response.ok) {
+        throw new Error(`Notification webhook responded with ${response.status}`);
+      }
+      return { providerMessageId: response.headers.get('x-message-id') ?? undefined };
+    }
+  },
+  // Nothing leaves the system. The rendered message is kept in the notification log in DynamoDB and,
+  // when NOTIFICATION_OUTBOX_DIR is set, also written to disk so tests and demos can inspect it.
+  outbox: {
+    channel: 'any',
+    send: async (message) => {
+      if (process.env.NOTIFICATION_OUTBOX_DIR) {
+        const directory = join(process.env.NOTIFICATION_OUTBOX_DIR, message.tenantId, message.orderId);
+        await mkdir(directory, { recursive: true });
+        await writeFile(join(directory, `${message.notificationId}.json`), JSON.stringify(message, null, 2));
+      }
+      return {};
+    }
+  }
+};
+
+export const NOTIFICATION_TRANSPORT_NAMES = Object.keys(transports);
+
+/**
+ * Resolve the transport customer notifications are delivered through
+ * @param {string} [name] - Transport name, defaults to the NOTIFICATION_TRANSPORT environment variable, then ses
+ * @returns {Object} `{ name, channel, send }` where channel is 'email', 'sms' or 'any'
+ */
+export const getNotificationTransport = (name = process.env.NOTIFICATION_TRANSPORT || 'ses') => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown notification transport ${name}. Expected one of: ${NOTIFICATION_TRANSPORT_NAMES.join(', ')}`);
+  }
+
+  return { name, ...transport };
+};
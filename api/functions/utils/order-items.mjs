@@ -0,0 +1,46 @@
+export const SHIPPING_METHODS = ['standard', 'express', 'priority'];
+
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+const line = (item, quantity, price) => ({
+  ...item,
+  quantity,
+  price,
+  total: toCents(price * quantity)
+});
+
+/**
+ * Build the line items for a replacement order from the original order's items
+ * @param {Array} originalItems - Line items of the order being replaced
+ * @param {Array} [selection] - Lines to ship as `{ sku, quantity, noCharge }`; omit to ship every original line
+ * @returns {Object} `{ items }` on success or `{ error }` describing why the selection is invalid
+ */
+export const buildReplacementItems = (originalItems = [], selection) => {
+  if (!selection) {
+    return { items: originalItems.map(item => line(item, item.quantity, item.price)) };
+  }
+
+  const items = [];
+  for (const { sku, quantity, noCharge } of selection) {
+    const original = originalItems.find(item => item.sku === sku);
+    if (!original) {
+      return { error: `item ${sku} is not on the original order` };
+    }
+    if (items.some(item => item.sku === sku)) {
+      return { error: `item ${sku} is listed more than once` };
+    }
+    if (quantity > original.quantity) {
+      return { error: `item ${sku} was ordered ${original.quantity} time(s), cannot replace ${quantity}` };
+    }
+
+    const replacementLine = line(original, quantity ?? original.quantity, noCharge ? 0 : original.price);
+    if (noCharge) {
+      replacementLine.originalPrice = original.price;
+    }
+    items.push(replacementLine);
+  }
+
+  return { items };
+};
+
+export const calculateOrderTotal = (items) => toCents(items.reduce((sum, item) => sum + item.total, 0));
@@ -0,0 +1,72 @@
+// Shared order lifecycle: every status an order can be in and the statuses it may move to next.
+// changeOrderStatus enforces these transitions and the demo data generators only produce these statuses.
+export const ORDER_LIFECYCLE = {
+  pending: {
+    description: 'Order placed and awaiting processing',
+    nextStatuses: ['processing', 'cancelled']
+  },
+  processing: {
+    description: 'Items are being picked and packed',
+    nextStatuses: ['shipped', 'cancelled']
+  },
+  shipped: {
+    description: 'Handed to the carrier',
+    nextStatuses: ['out_for_delivery', 'delivered', 'delivery_failed', 'replacement_created']
+  },
+  out_for_delivery: {
+    description: 'On the truck for the final delivery attempt',
+    nextStatuses: ['delivered', 'delivery_failed']
+  },
+  delivery_failed: {
+    description: 'A delivery attempt failed or the package was damaged or lost',
+    nextStatuses: ['out_for_delivery', 'pending_customer_response', 'replacement_created', 'cancelled_undeliverable']
+  },
+  pending_customer_response: {
+    description: 'Waiting on the customer for access details or an alternative delivery arrangement',
+    nextStatuses: ['out_for_delivery', 'replacement_created', 'cancelled_undeliverable']
+  },
+  delivered: {
+    description: 'Delivered to the customer',
+    nextStatuses: ['replacement_created']
+  },
+  replacement_created: {
+    description: 'Superseded by a replacement order',
+    nextStatuses: []
+  },
+  cancelled: {
+    description: 'Cancelled before shipping',
+    nextStatuses: []
+  },
+  cancelled_undeliverable: {
+    description: 'Cancelled after delivery could not be completed',
+    nextStatuses: []
+  }
+};
+
+export const ORDER_STATUS_VALUES = Object.keys(ORDER_LIFECYCLE);
+
+// Statuses that end the order and give its reserved inventory back to the warehouse
+export const CANCELLED_ORDER_STATUSES = ['cancelled', 'cancelled_undeliverable'];
+
+export const getAllowedNextStatuses = (status) => ORDER_LIFECYCLE[status]?.nextStatuses ?? [];
+
+export const canTransition = (fromStatus, toStatus) => getAllowedNextStatuses(fromStatus).includes(toStatus);
+
+/**
+ * Explain why an order cannot move between two statuses, in terms the Order Agent can act on
+ * @param {string} orderId - Order being updated
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested order status
+ * @returns {string} Rejection message listing the allowed next statuses
+ */
+export const describeRejectedTransition = (orderId, fromStatus, toStatus) => {
+  if (!ORDER_LIFECYCLE[fromStatus]) {
+    return `Invalid status transition for order ${orderId}: current status ${fromStatus} is not part of the order lifecycle`;
+  }
+
+  const allowed = getAllowedNextStatuses(fromStatus);
+  const options = allowed.length
+    ? `Allowed next statuses: ${allowed.join(', ')}`
+    : `${fromStatus} is a final status and cannot be changed`;
+  return `Invalid status transition for order ${orderId}: cannot change from ${fromStatus} to ${toStatus}. ${options}`;
+};
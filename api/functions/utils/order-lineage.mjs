@@ -0,0 +1,121 @@
+import { DynamoDBClient, BatchGetItemCommand, GetItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { OPEN_ALLOCATION_STATUSES } from './allocations.mjs';
+
+const ddb = new DynamoDBClient();
+
+// How many replacements one original order may go through before it needs a human
+export const MAX_REPLACEMENTS_PER_ORDER = Number(process.env.MAX_REPLACEMENTS_PER_ORDER || 3);
+
+/**
+ * Read one order
+ * @param {string} tenantId - Tenant that owns the order
+ * @param {string} orderId - Order identifier
+ * @returns {Promise<Object|null>} The stored order, or null when it does not exist
+ */
+export const getOrder = async (tenantId, orderId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#orders`, sk: `order#${orderId}` })
+  }));
+
+  return response.Item ? unmarshall(response.Item) : null;
+};
+
+const getOrders = async (tenantId, orderIds) => {
+  if (!orderIds.length) return [];
+  const response = await ddb.send(new BatchGetItemCommand({
+    RequestItems: {
+      [process.env.TABLE_NAME]: {
+        Keys: orderIds.map(orderId => marshall({ pk: `${tenantId}#orders`, sk: `order#${orderId}` }))
+      }
+    }
+  }));
+
+  const found = (response.Responses?.[process.env.TABLE_NAME] ?? []).map(item => unmarshall(item));
+  return orderIds.map(orderId => found.find(order => order.orderId === orderId)).filter(Boolean);
+};
+
+const summarize = (order) => ({
+  orderId: order.orderId,
+  status: order.status,
+  replacementOf: order.replacementOf ?? null,
+  replacementDepth: order.replacementDepth ?? 0,
+  replacements: (order.replacements ?? []).map(replacement => replacement.orderId),
+  allocationIds: order.allocationIds ?? [],
+  refundIds: order.refundIds ?? [],
+  createdAt: order.createdAt ?? order.orderDate
+});
+
+/**
+ * Walk the replacement chain an order belongs to, from the original order down to the latest replacement
+ * @param {string} tenantId - Tenant that owns the orders
+ * @param {string} orderId - Any order in the chain
+ * @returns {Promise<Array|null>} Orders in chain order, or null when the order does not exist
+ */
+export const getOrderLineage = async (tenantId, orderId) => {
+  const order = await getOrder(tenantId, orderId);
+  if (!order) return null;
+
+  const root = order.rootOrderId && order.rootOrderId !== order.orderId
+    ? await getOrder(tenantId, order.rootOrderId) ?? order
+    : order;
+
+  const lineage = [];
+  let level = [root];
+  const seen = new Set();
+  while (level.length) {
+    const next = [];
+    for (const current of level) {
+      if (seen.has(current.orderId)) continue;
+      seen.add(current.orderId);
+      lineage.push(summarize(current));
+      next.push(...(current.replacements ?? []).map(replacement => replacement.orderId));
+    }
+    level = await getOrders(tenantId, next.filter(id => !seen.has(id)));
+  }
+
+  return lineage;
+};
+
+/**
+ * Find the refunds and allocations on an order that have not been claimed by one of its earlier replacements.
+ * These are what motivated the replacement that is about to be created.
+ * @param {string} tenantId - Tenant that owns the order
+ * @param {Object} order - Order being replaced
+ * @returns {Promise<Object>} `{ refundIds, allocationIds }`
+ */
+export const findReplacementMotivation = async (tenantId, order) => {
+  const claimed = new Set((order.replacements ?? []).flatMap(replacement => [
+    ...(replacement.refundIds ?? []),
+    ...(replacement.allocationIds ?? [])
+  ]));
+
+  const refunds = await ddb.send(new QueryCommand({
+    TableName: process.env.TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :refundPrefix)',
+    ExpressionAttributeValues: marshall({
+      ':pk': `${tenantId}#orders#${order.orderId}`,
+      ':refundPrefix': 'refund#'
+    })
+  }));
+
+  const allocations = await ddb.send(new QueryCommand({
+    TableName: process.env.TABLE_NAME,
+    KeyConditionExpression: 'pk = :pk AND begins_with(sk, :orderPrefix)',
+    ExpressionAttributeValues: marshall({
+      ':pk': `${tenantId}#allocations`,
+      ':orderPrefix': `${order.orderId}#`
+    })
+  }));
+
+  return {
+    refundIds: (refunds.Items ?? []).map(item => unmarshall(item))
+      .filter(refund => refund.status === 'completed' && !claimed.has(refund.refundId))
+      .map(refund => refund.refundId),
+    allocationIds: (allocations.Items ?? []).map(item => unmarshall(item))
+      .filter(allocation => OPEN_ALLOCATION_STATUSES.includes(allocation.status) && !claimed.has(allocation.allocationId))
+      .map(allocation => allocation.allocationId)
+  };
+};
@@ -0,0 +1,193 @@
+import { DeleteItemCommand, DynamoDBClient, PutItemCommand, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { createHash } from 'crypto';
+
+const ddb = new DynamoDBClient();
+const eventBridge = new EventBridgeClient();
+
+// Events waiting to be published are spread over a fixed set of partitions, oldest first within each, so
+// no tenant's burst of updates turns one partition hot. The sweeper queries every shard for stragglers.
+// Published events are deleted, so anything left in a shard is still owed.
+export const OUTBOX_SHARDS = 16;
+const OUTBOX_PK_PREFIX = 'outbox#';
+
+export const outboxShardPk = (shard) => `${OUTBOX_PK_PREFIX}${shard}`;
+export const isOutboxPartition = (pk) => typeof pk === 'string' && pk.startsWith(OUTBOX_PK_PREFIX);
+
+// Consumers remember the events they handled for this long, well past the sweeper's last retry
+const PROCESSED_EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Build an outbox item to write in the same transaction as the change it announces
+ * @param {Object} event - Event to publish
+ * @param {string} event.tenantId - Tenant the event belongs to
+ * @param {string} event.source - EventBridge source, e.g. swiftship.delivery
+ * @param {string} event.detailType - EventBridge detail type
+ * @param {Object} event.detail - Event detail; an eventId is added so consumers can drop duplicates
+ * @param {string} event.createdAt - When the change was made; events publish in this order
+ * @param {string} event.dedupeKey - Identifies the change, so rewriting the same change rewrites the same outbox item
+ * @returns {Object} Item for a DynamoDB Put
+ */
+export const buildOutboxItem = ({ tenantId, source, detailType, detail, createdAt, dedupeKey }) => {
+  const sk = `event#${createdAt}#${dedupeKey}`;
+  // The shard and the eventId both derive from the item's sort key, so a retried write of the same change
+  // rewrites the same item and republishes the same eventId, which consumers recognise as a duplicate
+  const hash = createHash('sha256').update(sk).digest('hex');
+  const eventId = [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+  return {
+    pk: outboxShardPk(parseInt(hash.slice(0, 8), 16) % OUTBOX_SHARDS),
+    sk,
+    eventId,
+    tenantId,
+    source,
+    detailType,
+    detail: JSON.stringify({ ...detail, eventId }),
+    createdAt
+  };
+};
+
+/**
+ * Publish one outbox event to EventBridge and remove it from the outbox
+ * @param {Object} outboxEvent - Stored outbox item
+ * @throws {Error} With code EVENT_PUBLISHING_FAILED when EventBridge rejects the event; it stays in the outbox
+ */
+export const publishOutboxEvent = async (outboxEvent) => {
+  const result = await eventBridge.send(new PutEventsCommand({
+    Entries: [{
+      Source: outboxEvent.source,
+      DetailType: outboxEvent.detailType,
+      Detail: outboxEvent.detail,
+      Time: new Date()
+    }]
+  }));
+
+  if (result.FailedEntryCount > 0) {
+    const error = new Error(`Failed to publish outbox event ${outboxEvent.eventId}: ${result.Entries?.[0]?.ErrorMessage ?? 'unknown error'}`);
+    error.code = 'EVENT_PUBLISHING_FAILED';
+    throw error;
+  }
+
+  // Only delete the event that was published. A retry of the same change keeps its eventId, so this only
+  // leaves the item alone if something else was written under its key since
+  await ddb.send(new DeleteItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: outboxEvent.pk, sk: outboxEvent.sk }),
+    ConditionExpression: 'eventId = :eventId',
+    ExpressionAttributeValues: marshall({ ':eventId': outboxEvent.eventId })
+  })).catch(err => {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  });
+};
+
+/**
+ * Publish every outbox event older than a cutoff
+ * @param {Object} options - Sweep options
+ * @param {number} options.olderThanSeconds - Leave younger events to the stream publisher
+ * @returns {Promise<Object>} `{ pending, published, failed, oldestAgeSeconds }` for the events found
+ */
+export const publishPendingOutboxEvents = async ({ olderThanSeconds }) => {
+  const now = Date.now();
+  const cutoff = new Date(now - olderThanSeconds * 1000).toISOString();
+  const summary = { pending: 0, published: 0, failed: 0, oldestAgeSeconds: 0 };
+
+  for (let shard = 0; shard < OUTBOX_SHARDS; shard++) {
+    let ExclusiveStartKey;
+
+    do {
+      const response = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        // Sort keys start with the creation time, so this reads every event created before the cutoff, oldest first
+        KeyConditionExpression: 'pk = :pk AND sk < :cutoff',
+        ExpressionAttributeValues: marshall({ ':pk': outboxShardPk(shard), ':cutoff': `event#${cutoff}` }),
+        ExclusiveStartKey
+      }));
+
+      for (const outboxEvent of (response.Items ?? []).map(item => unmarshall(item))) {
+        summary.pending++;
+        summary.oldestAgeSeconds = Math.max(summary.oldestAgeSeconds, Math.floor((now - Date.parse(outboxEvent.createdAt)) / 1000));
+        try {
+          await publishOutboxEvent(outboxEvent);
+          summary.published++;
+        } catch (error) {
+          console.error('Failed to publish outbox event:', { pk: outboxEvent.pk, sk: outboxEvent.sk, error: error.message });
+          summary.failed++;
+        }
+      }
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+  }
+
+  return summary;
+};
+
+const processedEventKey = (consumer, eventId) => ({ pk: 'processed-events', sk: `${consumer}#${eventId}` });
+
+/**
+ * Record that a consumer is handling an outbox event. Events are published at least once, so a consumer
+ * whose work must not repeat (e.g. triage, which can issue refunds) claims each eventId first.
+ * A claim with a lease stays in progress until the consumer completes it. If the consumer dies first
+ * (e.g. a Lambda timeout), a redelivery after the lease runs out can claim the event again.
+ * @param {string} consumer - Consumer name, e.g. triage
+ * @param {string} eventId - eventId from the event detail
+ * @param {Object} [options] - Claim options
+ * @param {number} [options.leaseSeconds] - Hold the claim in progress this long; without it the event is claimed for good
+ * @returns {Promise<boolean>} false when the event was already handled, or is being handled, by this consumer
+ */
+export const claimOutboxEvent = async (consumer, eventId, { leaseSeconds } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Item: marshall({
+        ...processedEventKey(consumer, eventId),
+        state: leaseSeconds ? 'in_progress' : 'completed',
+        ...(leaseSeconds && { leaseExpiresAt: now + leaseSeconds }),
+        processedAt: new Date().toISOString(),
+        ttl: now + PROCESSED_EVENT_TTL_SECONDS
+      }),
+      ConditionExpression: 'attribute_not_exists(sk) OR (#state = :inProgress AND leaseExpiresAt < :now)',
+      ExpressionAttributeNames: { '#state': 'state' },
+      ExpressionAttributeValues: marshall({ ':inProgress': 'in_progress', ':now': now })
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Mark a leased claim completed so redeliveries of the event are skipped for good
+ * @param {string} consumer - Consumer that claimed the event
+ * @param {string} eventId - Claimed eventId
+ */
+export const completeOutboxEvent = async (consumer, eventId) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(processedEventKey(consumer, eventId)),
+    UpdateExpression: 'SET #state = :completed, processedAt = :now REMOVE leaseExpiresAt',
+    ExpressionAttributeNames: { '#state': 'state' },
+    ExpressionAttributeValues: marshall({ ':completed': 'completed', ':now': new Date().toISOString() })
+  }));
+};
+
+/**
+ * Let the next redelivery of an event claim it right away after the consumer failed part way through
+ * @param {string} consumer - Consumer that claimed the event
+ * @param {string} eventId - Claimed eventId
+ */
+export const releaseOutboxEvent = async (consumer, eventId) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(processedEventKey(consumer, eventId)),
+    UpdateExpression: 'SET leaseExpiresAt = :expired',
+    ConditionExpression: '#state = :inProgress',
+    ExpressionAttributeNames: { '#state': 'state' },
+    ExpressionAttributeValues: marshall({ ':expired': 0, ':inProgress': 'in_progress' })
+  })).catch(err => {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  });
+};
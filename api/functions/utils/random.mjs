@@ -0,0 +1,27 @@
+import { randomInt } from 'crypto';
+
+export const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * Pick a fresh seed for callers that did not ask for a specific one
+ * @returns {number} Integer seed between 0 and MAX_SEED
+ */
+export const generateSeed = () => randomInt(0, MAX_SEED);
+
+/**
+ * Create a deterministic drop-in replacement for Math.random (mulberry32).
+ * The same seed always produces the same sequence, so generated data can be recreated exactly.
+ * @param {number} seed - Integer seed between 0 and MAX_SEED
+ * @returns {Function} Function returning the next number in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
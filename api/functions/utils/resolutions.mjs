@@ -0,0 +1,99 @@
+import { DynamoDBClient, PutItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { z } from 'zod';
+import { parseEntity, RESOLUTION_CLASSIFICATIONS, RESOLUTION_STATUS_VALUES } from './entity-schemas.mjs';
+
+const ddb = new DynamoDBClient();
+
+// Models write "Requires Follow-Up" as readily as requires_follow_up, so enum values are compared loosely
+const looseEnum = (values) => z.string()
+  .transform(value => value.trim().toLowerCase().replace(/[\s-]+/g, '_'))
+  .pipe(z.enum(values));
+
+// The JSON block triage is asked to end its resolution summary with
+const resolutionSummarySchema = z.object({
+  classification: looseEnum(RESOLUTION_CLASSIFICATIONS),
+  agentsInvoked: z.array(z.string().trim().min(1)),
+  actionsCompleted: z.array(z.string().trim().min(1)),
+  currentStatus: looseEnum(RESOLUTION_STATUS_VALUES),
+  customerImpact: z.string().trim().min(1)
+});
+
+const RESOLUTION_BLOCK = /```json\s*([\s\S]*?)```/g;
+
+/**
+ * Pull the structured resolution out of the orchestrator's final response
+ * @param {string} text - Orchestrator response
+ * @returns {Object|null} classification, agentsInvoked, actionsCompleted, currentStatus and customerImpact,
+ *   or null when the response has no valid resolution block
+ */
+export const parseResolutionSummary = (text) => {
+  // The summary comes last, so earlier blocks (e.g. quoted tool output) are ignored
+  const block = [...String(text ?? '').matchAll(RESOLUTION_BLOCK)].at(-1);
+  if (!block) return null;
+
+  try {
+    const result = resolutionSummarySchema.safeParse(JSON.parse(block[1]));
+    return result.success ? result.data : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store the outcome of a triage run for the delivery exception it handled. The record lives in the delivery's
+ * partition and is indexed under its order like a refund. A replay of the same exception overwrites it.
+ * @param {Object} detail - Detail of the Delivery Status Update event triage handled
+ * @param {string} response - Orchestrator response; a summary that cannot be parsed is stored for human review
+ * @returns {Promise<Object>} The stored resolution
+ */
+export const saveResolution = async (detail, response) => {
+  const { tenantId, deliveryId, orderId } = detail;
+  const statusTimestamp = detail.status.timestamp;
+  const summary = typeof response === 'string' ? response : JSON.stringify(response ?? null);
+  const parsed = parseResolutionSummary(summary);
+
+  const item = parseEntity('resolution', {
+    pk: `${tenantId}#delivery#${deliveryId}`,
+    sk: `resolution#${statusTimestamp}`,
+    ...(orderId && { GSI1PK: `${tenantId}#orders#${orderId}`, GSI1SK: `resolution#${statusTimestamp}` }),
+    tenantId,
+    deliveryId,
+    orderId,
+    statusTimestamp,
+    exception: { status: detail.status.status, reason: detail.status.reason },
+    contextId: detail.contextId,
+    eventId: detail.eventId,
+    ...(parsed ?? { classification: 'unclassified', agentsInvoked: [], actionsCompleted: [], currentStatus: 'requires_follow_up' }),
+    summary,
+    summaryParsed: Boolean(parsed),
+    resolvedAt: new Date().toISOString()
+  });
+
+  await ddb.send(new PutItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Item: marshall(item, { removeUndefinedValues: true })
+  }));
+  return item;
+};
+
+/**
+ * Read the resolution of a delivery's most recent exception
+ * @param {string} tenantId - Tenant that owns the delivery
+ * @param {string} deliveryId - Delivery identifier
+ * @returns {Promise<Object|null>} The resolution, or null when triage has not resolved an exception yet
+ */
+export const getLatestResolution = async (tenantId, deliveryId) => {
+  const response = await ddb.send(new QueryCommand({
+    TableName: process.env.TABLE_NAME,
+    KeyConditionExpression: 'pk = :pk AND begins_with(sk, :resolutionPrefix)',
+    ExpressionAttributeValues: marshall({
+      ':pk': `${tenantId}#delivery#${deliveryId}`,
+      ':resolutionPrefix': 'resolution#'
+    }),
+    ScanIndexForward: false,
+    Limit: 1
+  }));
+
+  return response.Items?.length ? unmarshall(response.Items[0]) : null;
+};
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { verifyJwt } from './jwt.mjs';
+
+const ddb = new DynamoDBClient();
+
+// Tenants are never chosen by the caller's payload or by an LLM. REST callers are identified by an API key
+// or a signed JWT, and agents inherit the tenant that the delivery status update bound to its A2A context.
+export const UNKNOWN_TENANT_MESSAGE = 'Unable to determine the tenant for this request';
+
+// Bearer tokens for the REST API must be addressed here, so a token minted for an agent is never taken as a tenant's
+export const TENANT_TOKEN_AUDIENCE = 'swiftship-api';
+
+const CONTEXT_TTL_SECONDS = 24 * 60 * 60;
+
+export const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+
+const header = (headers, name) => {
+  const match = Object.keys(headers ?? {}).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+};
+
+/**
+ * Store an API key for a tenant. Only a hash of the key is persisted.
+ * @param {string} tenantId - Tenant the key authenticates as
+ * @param {string} apiKey - Raw API key handed to the caller
+ * @param {string} [name] - Label for the key
+ */
+export const registerApiKey = async (tenantId, apiKey, name = 'default') => {
+  await ddb.send(new PutItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Item: marshall({
+      pk: 'apikeys',
+      sk: `key#${hashApiKey(apiKey)}`,
+      tenantId,
+      name,
+      createdAt: new Date().toISOString()
+    })
+  }));
+};
+
+/**
+ * Identify the tenant behind a REST request from its `Authorization: Bearer <jwt>` or `X-Api-Key` header
+ * @param {Object} headers - Request headers
+ * @returns {Promise<string|null>} Tenant id, or null when the caller could not be authenticated
+ */
+export const resolveCallerTenant = async (headers) => {
+  const authorization = header(headers, 'authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    const claims = verifyJwt(authorization.slice('Bearer '.length), process.env.TENANT_JWT_SECRET, { audience: TENANT_TOKEN_AUDIENCE });
+    return claims?.tenantId ?? null;
+  }
+
+  const apiKey = header(headers, 'x-api-key');
+  if (apiKey) {
+    const response = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: 'apikeys', sk: `key#${hashApiKey(apiKey)}` })
+    }));
+    const key = response.Item ? unmarshall(response.Item) : null;
+    return key?.revokedAt ? null : key?.tenantId ?? null;
+  }
+
+  return null;
+};
+
+// Set by the API Gateway tenant authorizer (and by the local runtime, which stands in for it)
+export const getRequestTenantId = (event) => event?.requestContext?.authorizer?.tenantId ?? null;
+
+/**
+ * Record which tenant an A2A context belongs to so agents can resolve it later.
+ * @param {string} contextId - A2A context id
+ * @param {string} tenantId - Tenant that started the context
+ * @returns {Promise<boolean>} false when the context already belongs to another tenant
+ */
+export const bindContextToTenant = async (contextId, tenantId) => {
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Item: marshall({
+        pk: 'contexts',
+        sk: `context#${contextId}`,
+        contextId,
+        tenantId,
+        ttl: Math.floor(Date.now() / 1000) + CONTEXT_TTL_SECONDS
+      }),
+      ConditionExpression: 'attribute_not_exists(sk) OR tenantId = :tenantId',
+      ExpressionAttributeValues: marshall({ ':tenantId': tenantId })
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
+};
+
+export const getContextTenant = async (contextId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: 'contexts', sk: `context#${contextId}` })
+  }));
+
+  return response.Item ? unmarshall(response.Item).tenantId : null;
+};
+
+/**
+ * Resolve the tenant an agent should act for from the tenant bound to the task's context, the tenant in the
+ * caller's signed agent token and the tenantId in the A2A message metadata. Every source that is present must agree.
+ * @param {Object} message - Incoming A2A message
+ * @param {Object} [task] - A2A task the message belongs to
+ * @param {Object} [caller] - Authenticated agent caller, see agent-auth.mjs
+ * @returns {Promise<string|null>} Tenant id, or null when it is unknown or the sources conflict
+ */
+export const resolveAgentTenantId = async (message, task, caller) => {
+  const contextId = task?.contextId ?? message?.contextId;
+  const bound = contextId ? await getContextTenant(contextId) : null;
+  const tenants = new Set([bound, caller?.tenantId, message?.metadata?.tenantId ?? task?.metadata?.tenantId].filter(Boolean));
+
+  if (tenants.size > 1) {
+    console.warn('A2A tenant sources disagree', { contextId, callerId: caller?.callerId });
+    return null;
+  }
+
+  return [...tenants][0] ?? null;
+};
@@ -0,0 +1,171 @@
+import { DynamoDBClient, GetItemCommand, PutItemCommand, TransactWriteItemsCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { randomUUID } from 'crypto';
+import { buildOutboxItem } from './outbox.mjs';
+
+const ddb = new DynamoDBClient();
+
+// open: waiting for someone to replay it; replaying: a replay event is on its way to triage; replayed: a replay succeeded
+export const TRIAGE_FAILURE_STATUS_VALUES = ['open', 'replaying', 'replayed'];
+
+// A replay that has not reported back within this long (triage times out after 5 minutes) may be requested again
+const REPLAY_STALE_AFTER_MS = 15 * 60 * 1000;
+
+const failureKey = (tenantId, failureId) => ({
+  pk: `${tenantId}#triage-failures`,
+  sk: `failure#${failureId}`
+});
+
+// Failures are listed newest first per status through GSI1, the same way orders are
+const statusKeys = (tenantId, status, failedAt, failureId) => ({
+  GSI1PK: `${tenantId}#triage-failures#${status}`,
+  GSI1SK: `${failedAt}#${failureId}`
+});
+
+const describeError = (error) => ({
+  name: error?.name ?? 'Error',
+  message: error?.message ?? String(error),
+  ...(error?.code && { code: error.code })
+});
+
+export const getTriageFailure = async (tenantId, failureId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(failureKey(tenantId, failureId))
+  }));
+
+  return response.Item ? unmarshall(response.Item) : null;
+};
+
+/**
+ * Persist a failed triage run so it can be inspected and replayed. A failed replay reopens the failure
+ * it replayed instead of recording a new one.
+ * @param {Object} detail - Detail of the Delivery Status Update event triage was handling
+ * @param {Error} error - Why the run failed
+ * @returns {Promise<string|null>} Failure id, or null when the event names no tenant to file it under
+ */
+export const recordTriageFailure = async (detail, error) => {
+  if (!detail?.tenantId) return null;
+  const now = new Date().toISOString();
+
+  if (detail.replayOf) {
+    const failure = await getTriageFailure(detail.tenantId, detail.replayOf);
+    if (failure) {
+      await ddb.send(new UpdateItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: marshall(failureKey(detail.tenantId, failure.failureId)),
+        UpdateExpression: 'SET #status = :open, GSI1PK = :gsi1pk, #error = :error, lastFailedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+        ExpressionAttributeValues: marshall({
+          ':open': 'open',
+          ':gsi1pk': statusKeys(detail.tenantId, 'open', failure.failedAt, failure.failureId).GSI1PK,
+          ':error': describeError(error),
+          ':now': now
+        })
+      }));
+      return failure.failureId;
+    }
+  }
+
+  // Ids start with the failure time so the base table lists failures oldest to newest too
+  const failureId = `TF-${Date.now()}-${randomUUID().slice(0, 8)}`;
+  const { replayOf, ...originalDetail } = detail;
+  await ddb.send(new PutItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Item: marshall({
+      ...failureKey(detail.tenantId, failureId),
+      ...statusKeys(detail.tenantId, 'open', now, failureId),
+      failureId,
+      tenantId: detail.tenantId,
+      eventId: detail.eventId,
+      contextId: detail.contextId,
+      deliveryId: detail.deliveryId,
+      orderId: detail.orderId,
+      detail: originalDetail,
+      error: describeError(error),
+      status: 'open',
+      failedAt: now,
+      lastFailedAt: now,
+      replayCount: 0
+    }, { removeUndefinedValues: true })
+  }));
+  return failureId;
+};
+
+/**
+ * Mark a failure replayed once triage has run its replay to completion
+ * @param {string} tenantId - Tenant that owns the failure
+ * @param {string} failureId - Failure that was replayed
+ */
+export const markTriageFailureReplayed = async (tenantId, failureId) => {
+  const failure = await getTriageFailure(tenantId, failureId);
+  if (!failure) return;
+
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall(failureKey(tenantId, failureId)),
+    UpdateExpression: 'SET #status = :replayed, GSI1PK = :gsi1pk, replayedAt = :now',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: marshall({
+      ':replayed': 'replayed',
+      ':gsi1pk': statusKeys(tenantId, 'replayed', failure.failedAt, failureId).GSI1PK,
+      ':now': new Date().toISOString()
+    })
+  }));
+};
+
+/**
+ * Send a failed run's original event back to triage through the outbox, flagged as a replay of the failure.
+ * The failure moves to replaying in the same transaction, so a replay is only ever requested once at a time.
+ * @param {Object} failure - Stored failure
+ * @returns {Promise<Object|null>} The replaying failure, or null when it is not open (or its last replay is not stale)
+ */
+export const requestTriageReplay = async (failure) => {
+  const now = new Date();
+  const { tenantId, failureId } = failure;
+  const { eventId, ...detail } = failure.detail;
+
+  try {
+    await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: marshall(failureKey(tenantId, failureId)),
+            UpdateExpression: 'SET #status = :replaying, GSI1PK = :gsi1pk, replayRequestedAt = :now, replayCount = replayCount + :one',
+            ConditionExpression: '#status = :open OR (#status = :replaying AND replayRequestedAt < :staleBefore)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: marshall({
+              ':replaying': 'replaying',
+              ':open': 'open',
+              ':gsi1pk': statusKeys(tenantId, 'replaying', failure.failedAt, failureId).GSI1PK,
+              ':now': now.toISOString(),
+              ':staleBefore': new Date(now.getTime() - REPLAY_STALE_AFTER_MS).toISOString(),
+              ':one': 1
+            })
+          }
+        },
+        {
+          Put: {
+            TableName: process.env.TABLE_NAME,
+            Item: marshall(buildOutboxItem({
+              tenantId,
+              source: 'swiftship.delivery',
+              detailType: 'Delivery Status Update',
+              detail: { ...detail, replayOf: failureId },
+              createdAt: now.toISOString(),
+              dedupeKey: `${tenantId}#${failureId}#${failure.replayCount + 1}`
+            }))
+          }
+        }
+      ]
+    }));
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException' && err.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed') {
+      return null;
+    }
+    throw err;
+  }
+
+  return { ...failure, status: 'replaying', replayRequestedAt: now.toISOString(), replayCount: failure.replayCount + 1 };
+};
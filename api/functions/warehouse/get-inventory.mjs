@@ -0,0 +1,61 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatError, formatResponse, toResource } from '../utils/api.mjs';
+import { OPEN_ALLOCATION_STATUSES } from '../utils/allocations.mjs';
+import { getInventoryRecord, getOnHandQuantity } from '../utils/inventory.mjs';
+import { getRequestTenantId } from '../utils/tenants.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const tenantId = getRequestTenantId(event);
+    if (!tenantId) {
+      return formatError(401, 'UNAUTHORIZED', 'A valid API key or token is required');
+    }
+
+    const { sku } = event.pathParameters ?? {};
+    const product = await getInventoryRecord(tenantId, sku);
+    if (!product) {
+      return formatError(404, 'NOT_FOUND', `Product ${sku} not found in inventory`);
+    }
+
+    const allocations = [];
+    let ExclusiveStartKey;
+    do {
+      const response = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :pk',
+        ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#allocations#${sku}` }),
+        ExclusiveStartKey
+      }));
+      allocations.push(...(response.Items ?? []).map(item => toAllocation(unmarshall(item))));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return formatResponse(200, {
+      ...toResource(product),
+      onHandQuantity: getOnHandQuantity(product),
+      allocations,
+      openAllocations: allocations.filter(allocation => OPEN_ALLOCATION_STATUSES.includes(allocation.status)).length
+    });
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    return formatError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+  }
+};
+
+const toAllocation = (record) => ({
+  allocationId: record.allocationId,
+  orderId: record.orderId,
+  productId: record.productId,
+  quantityAllocated: record.quantityAllocated,
+  status: record.status,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  pickedAt: record.pickedAt,
+  shippedAt: record.shippedAt,
+  releasedAt: record.releasedAt,
+  releaseReason: record.releaseReason
+});
@@ -0,0 +1,59 @@
+import { DynamoDBClient, QueryCommand, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { isLegacyInventoryRecord, migrateInventoryRecord } from '../utils/inventory.mjs';
+
+const ddb = new DynamoDBClient();
+const INVENTORY_SUFFIX = '#inventory';
+
+// One-off migration: rewrites inventory items written by the original seeders
+// (stockLevel/reservedStock/availableStock) in the canonical availableQuantity/allocatedQuantity model.
+// Invoke with { "tenantId": "..." } to migrate one tenant, or with no payload to migrate every tenant.
+// Pass { "dryRun": true } to count the legacy items without changing them.
+export const handler = async (event = {}) => {
+  const { tenantId, dryRun = false } = event;
+  let lastEvaluatedKey;
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  do {
+    const page = await ddb.send(tenantId
+      ? new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        KeyConditionExpression: 'pk = :pk',
+        ExpressionAttributeValues: marshall({ ':pk': `${tenantId}${INVENTORY_SUFFIX}` }),
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      })
+      : new ScanCommand({
+        TableName: process.env.TABLE_NAME,
+        FilterExpression: 'contains(pk, :inventory)',
+        ExpressionAttributeValues: marshall({ ':inventory': INVENTORY_SUFFIX }),
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }));
+
+    for (const item of (page.Items ?? []).map(record => unmarshall(record))) {
+      if (!item.pk.endsWith(INVENTORY_SUFFIX) || !isLegacyInventoryRecord(item)) {
+        skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        migrated++;
+        continue;
+      }
+
+      try {
+        if (await migrateInventoryRecord(item)) migrated++;
+        else skipped++;
+      } catch (err) {
+        failed++;
+        console.error('Failed to migrate inventory item:', { pk: item.pk, sk: item.sk, error: err.message });
+      }
+    }
+
+    lastEvaluatedKey = page.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log(JSON.stringify({ message: 'Migrated inventory to the canonical model', migrated, skipped, failed, dryRun }));
+  return { migrated, skipped, failed, dryRun };
+};
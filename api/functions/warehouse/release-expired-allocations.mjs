@@ -0,0 +1,54 @@
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { ALLOCATION_HOLD_SECONDS, releaseAllocation } from '../utils/allocations.mjs';
+
+const ddb = new DynamoDBClient();
+const ALLOCATIONS_SUFFIX = '#allocations';
+
+// Scheduled reaper: returns stock held by allocations that were never picked or shipped (picking clears the hold expiry).
+// Runs well before the 30 day record TTL so availableQuantity/allocatedQuantity stay accurate.
+export const handler = async () => {
+  const now = new Date();
+  // Allocations written before expiresAt existed fall back to their creation time
+  const legacyCutoff = new Date(now.getTime() - ALLOCATION_HOLD_SECONDS * 1000).toISOString();
+  let lastEvaluatedKey;
+  let released = 0;
+  let failed = 0;
+
+  do {
+    const scanResult = await ddb.send(new ScanCommand({
+      TableName: process.env.TABLE_NAME,
+      FilterExpression: 'contains(pk, :allocations) AND #status = :allocated AND (expiresAt < :now OR (attribute_not_exists(expiresAt) AND createdAt < :legacyCutoff))',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: marshall({
+        ':allocations': ALLOCATIONS_SUFFIX,
+        ':allocated': 'allocated',
+        ':now': now.toISOString(),
+        ':legacyCutoff': legacyCutoff
+      }),
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }));
+
+    for (const allocation of (scanResult.Items ?? []).map(item => unmarshall(item))) {
+      if (!allocation.pk.endsWith(ALLOCATIONS_SUFFIX)) continue;
+      const tenantId = allocation.pk.slice(0, -ALLOCATIONS_SUFFIX.length);
+
+      try {
+        const result = await releaseAllocation(tenantId, {
+          orderId: allocation.orderId,
+          productId: allocation.productId,
+          reason: 'allocation_expired'
+        });
+        if (result.released) released++;
+      } catch (err) {
+        failed++;
+        console.error('Failed to release expired allocation:', { pk: allocation.pk, sk: allocation.sk, error: err.message });
+      }
+    }
+
+    lastEvaluatedKey = scanResult.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log(JSON.stringify({ message: 'Released expired allocations', released, failed }));
+  return { released, failed };
+};
@@ -0,0 +1,58 @@
+import { BedrockRuntimeClient } from '@aws-sdk/client-bedrock-runtime';
+import { BedrockAgentCoreClient } from '@aws-sdk/client-bedrock-agentcore';
+
+const lastUserText = (messages = []) => {
+  const userMessages = messages.filter(message => message.role === 'user');
+  const content = userMessages[userMessages.length - 1]?.content ?? [];
+  return content.filter(item => item.text).map(item => item.text).join(' ');
+};
+
+/**
+ * Stand-in model that answers every Converse call with a short text acknowledgement.
+ * It never calls tools, so agent flows complete without touching Bedrock.
+ * @param {Object} input - ConverseCommand input
+ * @returns {Object} Converse response
+ */
+export const localConverse = (input) => {
+  const request = lastUserText(input.messages).replace(/\s+/g, ' ').trim();
+  return {
+    $metadata: { httpStatusCode: 200 },
+    output: {
+      message: {
+        role: 'assistant',
+        content: [{ text: `[local model ${input.modelId}] Received: ${request.slice(0, 200)}` }]
+      }
+    },
+    stopReason: 'end_turn',
+    usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+  };
+};
+
+/**
+ * Route Bedrock runtime and AgentCore memory calls in this process to local stand-ins
+ * @returns {Function} Restores the real clients
+ */
+export const installLocalBedrock = () => {
+  const originalRuntimeSend = BedrockRuntimeClient.prototype.send;
+  const originalAgentCoreSend = BedrockAgentCoreClient.prototype.send;
+
+  BedrockRuntimeClient.prototype.send = async function (command) {
+    if (command.constructor.name !== 'ConverseCommand') {
+      throw new Error(`Local Bedrock does not support ${command.constructor.name}`);
+    }
+    return localConverse(command.input);
+  };
+
+  // Conversation memory is not persisted locally
+  BedrockAgentCoreClient.prototype.send = async function (command) {
+    if (command.constructor.name === 'ListEventsCommand') {
+      return { events: [] };
+    }
+    return {};
+  };
+
+  return () => {
+    BedrockRuntimeClient.prototype.send = originalRuntimeSend;
+    BedrockAgentCoreClient.prototype.send = originalAgentCoreSend;
+  };
+};
@@ -0,0 +1,534 @@
+// Minimal evaluator for the DynamoDB expression language used by the in-memory table.
+// Supports condition/filter/key-condition expressions, update expressions and projections.
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE']);
+const COMPARATORS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+  while (i < expression.length) {
+    const char = expression[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if ('<>='.includes(char)) {
+      const pair = expression.slice(i, i + 2);
+      if (pair === '<>' || pair === '<=' || pair === '>=') {
+        tokens.push({ type: 'op', value: pair });
+        i += 2;
+      } else {
+        tokens.push({ type: 'op', value: char });
+        i++;
+      }
+    } else if ('(),.[]+-'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else if (/[0-9]/.test(char)) {
+      let j = i;
+      while (j < expression.length && /[0-9]/.test(expression[j])) j++;
+      tokens.push({ type: 'number', value: Number(expression.slice(i, j)) });
+      i = j;
+    } else if (/[#:A-Za-z_]/.test(char)) {
+      let j = i + 1;
+      while (j < expression.length && /[A-Za-z0-9_]/.test(expression[j])) j++;
+      const word = expression.slice(i, j);
+      if (KEYWORDS.has(word.toUpperCase())) {
+        tokens.push({ type: 'keyword', value: word.toUpperCase() });
+      } else {
+        tokens.push({ type: 'word', value: word });
+      }
+      i = j;
+    } else {
+      throw new Error(`Invalid character "${char}" in expression: ${expression}`);
+    }
+  }
+  return tokens;
+};
+
+class Parser {
+  constructor(expression, names = {}, values = {}) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isAt(type, value) {
+    const token = this.peek();
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  accept(type, value) {
+    if (this.isAt(type, value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek()?.value ?? 'end of expression';
+      throw new Error(`Expected ${value ?? type} but found ${found} in expression: ${this.expression}`);
+    }
+    return token;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // Paths ---------------------------------------------------------------
+
+  parsePath() {
+    const segments = [this.parseName()];
+    while (true) {
+      if (this.accept('punct', '.')) {
+        segments.push(this.parseName());
+      } else if (this.accept('punct', '[')) {
+        segments.push(this.expect('number').value);
+        this.expect('punct', ']');
+      } else {
+        break;
+      }
+    }
+    return { type: 'path', segments };
+  }
+
+  parseName() {
+    const token = this.expect('word');
+    if (token.value.startsWith('#')) {
+      if (!(token.value in this.names)) {
+        throw new Error(`Undefined expression attribute name ${token.value}`);
+      }
+      return this.names[token.value];
+    }
+    if (token.value.startsWith(':')) {
+      throw new Error(`Unexpected value ${token.value} where an attribute name was expected`);
+    }
+    return token.value;
+  }
+
+  parseValueRef() {
+    const token = this.expect('word');
+    if (!(token.value in this.values)) {
+      throw new Error(`Undefined expression attribute value ${token.value}`);
+    }
+    return { type: 'value', value: this.values[token.value] };
+  }
+
+  // Conditions ----------------------------------------------------------
+
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.accept('keyword', 'OR')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('keyword', 'AND')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'NOT')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    if (this.accept('punct', '(')) {
+      const inner = this.parseCondition();
+      this.expect('punct', ')');
+      return inner;
+    }
+
+    const token = this.peek();
+    if (token?.type === 'word' && this.peek(1)?.value === '(' && token.value !== 'size') {
+      return this.parseConditionFunction();
+    }
+
+    const left = this.parseOperand();
+    if (this.accept('keyword', 'BETWEEN')) {
+      const low = this.parseOperand();
+      this.expect('keyword', 'AND');
+      const high = this.parseOperand();
+      return { type: 'between', operand: left, low, high };
+    }
+    if (this.accept('keyword', 'IN')) {
+      this.expect('punct', '(');
+      const candidates = [this.parseOperand()];
+      while (this.accept('punct', ',')) {
+        candidates.push(this.parseOperand());
+      }
+      this.expect('punct', ')');
+      return { type: 'in', operand: left, candidates };
+    }
+    const operator = this.expect('op').value;
+    if (!COMPARATORS.has(operator)) {
+      throw new Error(`Unsupported comparator ${operator}`);
+    }
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseConditionFunction() {
+    const name = this.next().value;
+    this.expect('punct', '(');
+    const args = [this.parseOperand()];
+    while (this.accept('punct', ',')) {
+      args.push(this.parseOperand());
+    }
+    this.expect('punct', ')');
+    if (!['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'].includes(name)) {
+      throw new Error(`Unsupported condition function ${name}`);
+    }
+    return { type: 'function', name, args };
+  }
+
+  parseOperand() {
+    const token = this.peek();
+    if (token?.type === 'word' && token.value === 'size' && this.peek(1)?.value === '(') {
+      this.next();
+      this.expect('punct', '(');
+      const path = this.parsePath();
+      this.expect('punct', ')');
+      return { type: 'size', path };
+    }
+    if (token?.type === 'word' && token.value.startsWith(':')) {
+      return this.parseValueRef();
+    }
+    return this.parsePath();
+  }
+
+  // Updates -------------------------------------------------------------
+
+  parseUpdate() {
+    const actions = [];
+    while (!this.done()) {
+      const clause = this.expect('keyword').value;
+      do {
+        if (clause === 'SET') {
+          const path = this.parsePath();
+          this.expect('op', '=');
+          actions.push({ type: 'set', path, value: this.parseSetValue() });
+        } else if (clause === 'REMOVE') {
+          actions.push({ type: 'remove', path: this.parsePath() });
+        } else if (clause === 'ADD' || clause === 'DELETE') {
+          const path = this.parsePath();
+          actions.push({ type: clause.toLowerCase(), path, value: this.parseValueRef() });
+        } else {
+          throw new Error(`Unsupported update clause ${clause}`);
+        }
+      } while (this.accept('punct', ','));
+    }
+    return actions;
+  }
+
+  parseSetValue() {
+    const left = this.parseSetOperand();
+    if (this.accept('punct', '+')) {
+      return { type: 'arithmetic', operator: '+', left, right: this.parseSetOperand() };
+    }
+    if (this.accept('punct', '-')) {
+      return { type: 'arithmetic', operator: '-', left, right: this.parseSetOperand() };
+    }
+    return left;
+  }
+
+  parseSetOperand() {
+    const token = this.peek();
+    if (token?.type === 'word' && this.peek(1)?.value === '(') {
+      const name = this.next().value;
+      this.expect('punct', '(');
+      if (name === 'if_not_exists') {
+        const path = this.parsePath();
+        this.expect('punct', ',');
+        const fallback = this.parseSetValue();
+        this.expect('punct', ')');
+        return { type: 'if_not_exists', path, fallback };
+      }
+      if (name === 'list_append') {
+        const first = this.parseSetValue();
+        this.expect('punct', ',');
+        const second = this.parseSetValue();
+        this.expect('punct', ')');
+        return { type: 'list_append', first, second };
+      }
+      throw new Error(`Unsupported update function ${name}`);
+    }
+    if (token?.type === 'word' && token.value.startsWith(':')) {
+      return this.parseValueRef();
+    }
+    return this.parsePath();
+  }
+
+  parsePaths() {
+    const paths = [this.parsePath()];
+    while (this.accept('punct', ',')) {
+      paths.push(this.parsePath());
+    }
+    return paths;
+  }
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+export const getPath = (item, segments) => {
+  let current = item;
+  for (const segment of segments) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+const setPath = (item, segments, value) => {
+  let current = item;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i];
+    if (current[segment] === undefined || current[segment] === null || typeof current[segment] !== 'object') {
+      throw new Error(`The document path provided in the update expression is invalid for update: ${segments.join('.')}`);
+    }
+    current = current[segment];
+  }
+  current[segments[segments.length - 1]] = value;
+};
+
+const removePath = (item, segments) => {
+  const parent = getPath(item, segments.slice(0, -1));
+  if (parent === undefined || parent === null) return;
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else {
+    delete parent[last];
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'NULL';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number' || typeof value === 'bigint') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (value instanceof Uint8Array) return 'B';
+  if (Array.isArray(value)) return 'L';
+  if (value instanceof Set) {
+    const first = value.values().next().value;
+    return typeof first === 'number' ? 'NS' : 'SS';
+  }
+  return 'M';
+};
+
+const resolveOperand = (operand, item) => {
+  if (operand.type === 'value') return operand.value;
+  if (operand.type === 'path') return getPath(item, operand.segments);
+  if (operand.type === 'size') {
+    const value = getPath(item, operand.path.segments);
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Set) return value.size;
+    if (value instanceof Uint8Array) return value.byteLength;
+    if (typeof value === 'object') return Object.keys(value).length;
+    return undefined;
+  }
+  throw new Error(`Unsupported operand ${operand.type}`);
+};
+
+const compare = (operator, left, right) => {
+  if (left === undefined || right === undefined) {
+    return operator === '<>' && left !== right;
+  }
+  if (operator === '=' || operator === '<>') {
+    const equal = typeOf(left) === typeOf(right) && JSON.stringify(left) === JSON.stringify(right);
+    return operator === '=' ? equal : !equal;
+  }
+  if (typeof left !== typeof right || !['string', 'number'].includes(typeof left)) {
+    return false;
+  }
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: throw new Error(`Unsupported comparator ${operator}`);
+  }
+};
+
+const evaluate = (node, item) => {
+  switch (node.type) {
+    case 'and': return evaluate(node.left, item) && evaluate(node.right, item);
+    case 'or': return evaluate(node.left, item) || evaluate(node.right, item);
+    case 'not': return !evaluate(node.operand, item);
+    case 'compare': return compare(node.operator, resolveOperand(node.left, item), resolveOperand(node.right, item));
+    case 'between': {
+      const value = resolveOperand(node.operand, item);
+      return compare('>=', value, resolveOperand(node.low, item)) && compare('<=', value, resolveOperand(node.high, item));
+    }
+    case 'in': {
+      const value = resolveOperand(node.operand, item);
+      return node.candidates.some(candidate => compare('=', value, resolveOperand(candidate, item)));
+    }
+    case 'function': {
+      const [first, second] = node.args;
+      const value = resolveOperand(first, item);
+      switch (node.name) {
+        case 'attribute_exists': return value !== undefined;
+        case 'attribute_not_exists': return value === undefined;
+        case 'attribute_type': return value !== undefined && typeOf(value) === resolveOperand(second, item);
+        case 'begins_with': {
+          const prefix = resolveOperand(second, item);
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        }
+        case 'contains': {
+          const needle = resolveOperand(second, item);
+          if (typeof value === 'string') return typeof needle === 'string' && value.includes(needle);
+          if (Array.isArray(value)) return value.some(entry => compare('=', entry, needle));
+          if (value instanceof Set) return value.has(needle);
+          return false;
+        }
+      }
+    }
+  }
+  throw new Error(`Unsupported condition node ${node.type}`);
+};
+
+const evaluateSetValue = (node, item) => {
+  switch (node.type) {
+    case 'value': return clone(node.value);
+    case 'path': {
+      const value = getPath(item, node.segments);
+      if (value === undefined) {
+        throw new Error(`The provided expression refers to an attribute that does not exist in the item: ${node.segments.join('.')}`);
+      }
+      return clone(value);
+    }
+    case 'if_not_exists': {
+      const existing = getPath(item, node.path.segments);
+      return existing === undefined ? evaluateSetValue(node.fallback, item) : clone(existing);
+    }
+    case 'list_append': {
+      const first = evaluateSetValue(node.first, item);
+      const second = evaluateSetValue(node.second, item);
+      if (!Array.isArray(first) || !Array.isArray(second)) {
+        throw new Error('An operand in the update expression has an incorrect data type for list_append');
+      }
+      return [...first, ...second];
+    }
+    case 'arithmetic': {
+      const left = evaluateSetValue(node.left, item);
+      const right = evaluateSetValue(node.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw new Error('An operand in the update expression has an incorrect data type for arithmetic');
+      }
+      return node.operator === '+' ? left + right : left - right;
+    }
+  }
+  throw new Error(`Unsupported update value ${node.type}`);
+};
+
+/**
+ * Evaluate a condition, filter or key-condition expression against a plain item
+ * @param {string} expression - Expression string
+ * @param {Object} item - Unmarshalled item (may be undefined for missing items)
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - Unmarshalled ExpressionAttributeValues
+ * @returns {boolean} Whether the item satisfies the expression
+ */
+export const evaluateCondition = (expression, item, names, values) => {
+  if (!expression) return true;
+  const parser = new Parser(expression, names, values);
+  const tree = parser.parseCondition();
+  if (!parser.done()) {
+    throw new Error(`Unexpected token ${parser.peek().value} in expression: ${expression}`);
+  }
+  return evaluate(tree, item ?? {});
+};
+
+/**
+ * Apply an update expression to a copy of an item
+ * @param {string} expression - UpdateExpression string
+ * @param {Object} item - Unmarshalled item to update
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - Unmarshalled ExpressionAttributeValues
+ * @returns {Object} Updated item
+ */
+export const applyUpdate = (expression, item, names, values) => {
+  const actions = new Parser(expression, names, values).parseUpdate();
+  const updated = clone(item);
+
+  // Every right-hand side is evaluated against the original item, as DynamoDB does
+  const resolved = actions.map(action => {
+    if (action.type === 'set') return evaluateSetValue(action.value, item);
+    if (action.type === 'add' || action.type === 'delete') return clone(action.value.value);
+    return undefined;
+  });
+
+  actions.forEach((action, index) => {
+    const { segments } = action.path;
+    const value = resolved[index];
+    if (action.type === 'set') {
+      setPath(updated, segments, value);
+    } else if (action.type === 'remove') {
+      removePath(updated, segments);
+    } else if (action.type === 'add') {
+      const existing = getPath(updated, segments);
+      if (typeof value === 'number') {
+        setPath(updated, segments, (existing ?? 0) + value);
+      } else if (value instanceof Set) {
+        setPath(updated, segments, new Set([...(existing ?? []), ...value]));
+      } else {
+        throw new Error('ADD only supports numbers and sets');
+      }
+    } else if (action.type === 'delete') {
+      const existing = getPath(updated, segments);
+      if (existing instanceof Set) {
+        const remaining = new Set([...existing].filter(entry => !value.has(entry)));
+        if (remaining.size) {
+          setPath(updated, segments, remaining);
+        } else {
+          removePath(updated, segments);
+        }
+      }
+    }
+  });
+
+  return updated;
+};
+
+/**
+ * Project an item down to the attributes named in a ProjectionExpression
+ * @param {string} expression - ProjectionExpression string
+ * @param {Object} item - Unmarshalled item
+ * @param {Object} names - ExpressionAttributeNames
+ * @returns {Object} Projected item
+ */
+export const applyProjection = (expression, item, names) => {
+  if (!expression) return item;
+  const paths = new Parser(expression, names).parsePaths();
+  const projected = {};
+  for (const { segments } of paths) {
+    const value = getPath(item, segments);
+    if (value !== undefined) {
+      // Nested projections keep the top-level attribute to stay simple
+      projected[segments[0]] = segments.length === 1 ? value : item[segments[0]];
+    }
+  }
+  return projected;
+};
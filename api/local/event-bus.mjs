@@ -0,0 +1,78 @@
+import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
+import { randomUUID } from 'crypto';
+
+/**
+ * Create an in-process stand-in for the default EventBridge bus.
+ * Matching events are delivered asynchronously, like EventBridge rule targets.
+ * @param {Object} options - Bus options
+ * @param {number} options.deliveryDelayMs - Simulated delivery latency, which also gives clients time to subscribe
+ * @returns {Object} Bus with `addRule`, `send(command)` and `published` history
+ */
+export const createEventBus = ({ deliveryDelayMs = 0 } = {}) => {
+  const rules = [];
+  const published = [];
+
+  const deliver = (event) => {
+    const targets = rules.filter(rule =>
+      (!rule.source || rule.source === event.source) &&
+      (!rule.detailType || rule.detailType === event['detail-type']));
+
+    for (const rule of targets) {
+      setTimeout(async () => {
+        try {
+          await rule.target(event);
+        } catch (error) {
+          console.error(`Local event bus target ${rule.name} failed:`, error);
+        }
+      }, deliveryDelayMs);
+    }
+  };
+
+  return {
+    addRule({ name, source, detailType, target }) {
+      rules.push({ name, source, detailType, target });
+    },
+
+    published,
+
+    async send(command) {
+      if (command.constructor.name !== 'PutEventsCommand') {
+        throw new Error(`Local event bus does not support ${command.constructor.name}`);
+      }
+
+      const entries = command.input.Entries.map(entry => {
+        const event = {
+          version: '0',
+          id: randomUUID(),
+          'detail-type': entry.DetailType,
+          source: entry.Source,
+          account: '000000000000',
+          time: (entry.Time ?? new Date()).toISOString(),
+          region: 'local',
+          resources: entry.Resources ?? [],
+          detail: JSON.parse(entry.Detail)
+        };
+        published.push(event);
+        deliver(event);
+        return { EventId: event.id };
+      });
+
+      return { $metadata: { httpStatusCode: 200 }, FailedEntryCount: 0, Entries: entries };
+    }
+  };
+};
+
+/**
+ * Route every EventBridgeClient in this process to a local bus
+ * @param {Object} bus - Bus created by createEventBus
+ * @returns {Function} Restores the real client
+ */
+export const installEventBus = (bus) => {
+  const originalSend = EventBridgeClient.prototype.send;
+  EventBridgeClient.prototype.send = function (command) {
+    return bus.send(command);
+  };
+  return () => {
+    EventBridgeClient.prototype.send = originalSend;
+  };
+};
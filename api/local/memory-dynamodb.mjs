@@ -0,0 +1,281 @@
+import {
+  DynamoDBClient,
+  ConditionalCheckFailedException,
+  TransactionCanceledException
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { applyProjection, applyUpdate, evaluateCondition } from './dynamodb-expressions.mjs';
+
+const TABLE_KEYS = { hash: 'pk', range: 'sk' };
+const INDEXES = {
+  GSI1: { hash: 'GSI1PK', range: 'GSI1SK' }
+};
+
+const toPlain = (attributes) => (attributes ? unmarshall(attributes) : {});
+const toAttributes = (item) => marshall(item, { removeUndefinedValues: true, convertClassInstanceToMap: true });
+
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const conditionFailed = (item, returnOld) => {
+  const error = new ConditionalCheckFailedException({
+    message: 'The conditional request failed',
+    $metadata: { httpStatusCode: 400 }
+  });
+  if (returnOld && item) {
+    error.Item = toAttributes(item);
+  }
+  return error;
+};
+
+/**
+ * Create an in-memory stand-in for the single DynamoDB table used by SwiftShip.
+ * Items are stored unmarshalled and every command returns the same shape as the SDK.
+ * @returns {Object} Table with a `send(command)` method and inspection helpers
+ */
+export const createMemoryTable = () => {
+  const items = new Map();
+
+  const keyOf = (item) => `${item[TABLE_KEYS.hash]}\u0000${item[TABLE_KEYS.range]}`;
+
+  const getItem = (key) => {
+    const stored = items.get(keyOf(key));
+    return stored ? structuredClone(stored) : undefined;
+  };
+
+  const putItem = (item) => {
+    if (typeof item[TABLE_KEYS.hash] !== 'string' || typeof item[TABLE_KEYS.range] !== 'string') {
+      throw new Error(`One or more parameter values were invalid: Missing the key ${TABLE_KEYS.hash} or ${TABLE_KEYS.range} in the item`);
+    }
+    items.set(keyOf(item), structuredClone(item));
+  };
+
+  const sortedItems = (keys) => [...items.values()]
+    .filter(item => item[keys.hash] !== undefined && item[keys.range] !== undefined)
+    .sort((a, b) => compareKeys(a[keys.hash], b[keys.hash]) || compareKeys(a[keys.range], b[keys.range]));
+
+  const checkCondition = (input, existing) => {
+    const values = toPlain(input.ExpressionAttributeValues);
+    if (!evaluateCondition(input.ConditionExpression, existing, input.ExpressionAttributeNames, values)) {
+      throw conditionFailed(existing, input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD');
+    }
+  };
+
+  const prepareUpdate = (input) => {
+    const key = toPlain(input.Key);
+    const existing = getItem(key);
+    checkCondition(input, existing);
+    const values = toPlain(input.ExpressionAttributeValues);
+    const updated = applyUpdate(input.UpdateExpression, existing ?? key, input.ExpressionAttributeNames, values);
+    if (updated[TABLE_KEYS.hash] !== key[TABLE_KEYS.hash] || updated[TABLE_KEYS.range] !== key[TABLE_KEYS.range]) {
+      throw new Error('Cannot update attribute pk or sk. This attribute is part of the key');
+    }
+    return { existing, updated };
+  };
+
+  const paginate = (candidates, input, keys) => {
+    let results = candidates;
+    if (input.ExclusiveStartKey) {
+      const start = toPlain(input.ExclusiveStartKey);
+      const startIndex = results.findIndex(item => keyOf(item) === keyOf(start) && (!keys || item[keys.hash] === start[keys.hash]));
+      results = startIndex >= 0 ? results.slice(startIndex + 1) : results;
+    }
+
+    let lastEvaluatedKey;
+    if (input.Limit && results.length > input.Limit) {
+      results = results.slice(0, input.Limit);
+      const last = results[results.length - 1];
+      lastEvaluatedKey = { [TABLE_KEYS.hash]: last[TABLE_KEYS.hash], [TABLE_KEYS.range]: last[TABLE_KEYS.range] };
+      if (keys && keys !== TABLE_KEYS) {
+        lastEvaluatedKey[keys.hash] = last[keys.hash];
+        lastEvaluatedKey[keys.range] = last[keys.range];
+      }
+    }
+
+    const scannedCount = results.length;
+    const values = toPlain(input.ExpressionAttributeValues);
+    const filtered = results.filter(item => evaluateCondition(input.FilterExpression, item, input.ExpressionAttributeNames, values));
+
+    return {
+      ...(input.Select === 'COUNT'
+        ? {}
+        : { Items: filtered.map(item => toAttributes(applyProjection(input.ProjectionExpression, item, input.ExpressionAttributeNames))) }),
+      Count: filtered.length,
+      ScannedCount: scannedCount,
+      ...(lastEvaluatedKey && { LastEvaluatedKey: toAttributes(lastEvaluatedKey) })
+    };
+  };
+
+  const handlers = {
+    GetItemCommand: (input) => {
+      const item = getItem(toPlain(input.Key));
+      return item ? { Item: toAttributes(applyProjection(input.ProjectionExpression, item, input.ExpressionAttributeNames)) } : {};
+    },
+
+    PutItemCommand: (input) => {
+      const item = toPlain(input.Item);
+      const existing = getItem(item);
+      checkCondition(input, existing);
+      putItem(item);
+      return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: toAttributes(existing) } : {};
+    },
+
+    UpdateItemCommand: (input) => {
+      const { existing, updated } = prepareUpdate(input);
+      putItem(updated);
+      if (input.ReturnValues === 'ALL_NEW' || input.ReturnValues === 'UPDATED_NEW') {
+        return { Attributes: toAttributes(updated) };
+      }
+      if ((input.ReturnValues === 'ALL_OLD' || input.ReturnValues === 'UPDATED_OLD') && existing) {
+        return { Attributes: toAttributes(existing) };
+      }
+      return {};
+    },
+
+    DeleteItemCommand: (input) => {
+      const key = toPlain(input.Key);
+      const existing = getItem(key);
+      checkCondition(input, existing);
+      items.delete(keyOf(key));
+      return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: toAttributes(existing) } : {};
+    },
+
+    QueryCommand: (input) => {
+      const keys = input.IndexName ? INDEXES[input.IndexName] : TABLE_KEYS;
+      if (!keys) {
+        throw new Error(`The table does not have the specified index: ${input.IndexName}`);
+      }
+      const values = toPlain(input.ExpressionAttributeValues);
+      let candidates = sortedItems(keys)
+        .filter(item => evaluateCondition(input.KeyConditionExpression, item, input.ExpressionAttributeNames, values));
+      if (input.ScanIndexForward === false) {
+        candidates = candidates.reverse();
+      }
+      return paginate(candidates, input, keys);
+    },
+
+    ScanCommand: (input) => paginate(sortedItems(TABLE_KEYS), input),
+
+    BatchGetItemCommand: (input) => {
+      const responses = Object.fromEntries(Object.entries(input.RequestItems).map(([tableName, request]) => [
+        tableName,
+        request.Keys
+          .map(key => getItem(toPlain(key)))
+          .filter(Boolean)
+          .map(item => toAttributes(applyProjection(request.ProjectionExpression, item, request.ExpressionAttributeNames)))
+      ]));
+      return { Responses: responses, UnprocessedKeys: {} };
+    },
+
+    BatchWriteItemCommand: (input) => {
+      for (const requests of Object.values(input.RequestItems)) {
+        for (const request of requests) {
+          if (request.PutRequest) {
+            putItem(toPlain(request.PutRequest.Item));
+          } else if (request.DeleteRequest) {
+            items.delete(keyOf(toPlain(request.DeleteRequest.Key)));
+          }
+        }
+      }
+      return { UnprocessedItems: {} };
+    },
+
+    TransactGetItemsCommand: (input) => ({
+      Responses: input.TransactItems.map(({ Get }) => {
+        const item = getItem(toPlain(Get.Key));
+        return item ? { Item: toAttributes(applyProjection(Get.ProjectionExpression, item, Get.ExpressionAttributeNames)) } : {};
+      })
+    }),
+
+    TransactWriteItemsCommand: (input) => {
+      const writes = [];
+      const reasons = input.TransactItems.map(transactItem => {
+        try {
+          if (transactItem.Put) {
+            const item = toPlain(transactItem.Put.Item);
+            checkCondition(transactItem.Put, getItem(item));
+            writes.push(() => putItem(item));
+          } else if (transactItem.Update) {
+            const { updated } = prepareUpdate(transactItem.Update);
+            writes.push(() => putItem(updated));
+          } else if (transactItem.Delete) {
+            const key = toPlain(transactItem.Delete.Key);
+            checkCondition(transactItem.Delete, getItem(key));
+            writes.push(() => items.delete(keyOf(key)));
+          } else if (transactItem.ConditionCheck) {
+            checkCondition(transactItem.ConditionCheck, getItem(toPlain(transactItem.ConditionCheck.Key)));
+          }
+          return { Code: 'None' };
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+          return {
+            Code: 'ConditionalCheckFailed',
+            Message: error.message,
+            ...(error.Item && { Item: error.Item })
+          };
+        }
+      });
+
+      if (reasons.some(reason => reason.Code !== 'None')) {
+        throw new TransactionCanceledException({
+          message: `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(r => r.Code).join(', ')}]`,
+          $metadata: { httpStatusCode: 400 },
+          CancellationReasons: reasons
+        });
+      }
+
+      writes.forEach(write => write());
+      return {};
+    }
+  };
+
+  return {
+    async send(command) {
+      const handler = handlers[command.constructor.name];
+      if (!handler) {
+        throw new Error(`In-memory DynamoDB does not support ${command.constructor.name}`);
+      }
+      return { $metadata: { httpStatusCode: 200 }, ...handler(command.input) };
+    },
+
+    /** Insert plain items directly, bypassing expressions */
+    seed(records) {
+      records.forEach(putItem);
+    },
+
+    /** Read a plain item by key */
+    get(pk, sk) {
+      return getItem({ [TABLE_KEYS.hash]: pk, [TABLE_KEYS.range]: sk });
+    },
+
+    /** List plain items, optionally limited to one partition */
+    list(pk) {
+      return sortedItems(TABLE_KEYS).filter(item => pk === undefined || item[TABLE_KEYS.hash] === pk).map(item => structuredClone(item));
+    },
+
+    clear() {
+      items.clear();
+    }
+  };
+};
+
+/**
+ * Route every DynamoDBClient in this process to an in-memory table
+ * @param {Object} table - Table created by createMemoryTable
+ * @returns {Function} Restores the real client
+ */
+export const installMemoryDynamoDB = (table = createMemoryTable()) => {
+  const originalSend = DynamoDBClient.prototype.send;
+  DynamoDBClient.prototype.send = function (command) {
+    return table.send(command);
+  };
+  return () => {
+    DynamoDBClient.prototype.send = originalSend;
+  };
+};
@@ -0,0 +1,288 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { createMemoryTable, installMemoryDynamoDB } from './memory-dynamodb.mjs';
+import { createEventBus, installEventBus } from './event-bus.mjs';
+import { createTopicHub } from './topics.mjs';
+import { installLocalBedrock } from './bedrock.mjs';
+import { registerApiKey, resolveCallerTenant } from '../functions/utils/tenants.mjs';
+
+// Local offline runtime: mounts the API and agent Lambdas behind plain HTTP servers and
+// backs DynamoDB, EventBridge, Bedrock and Momento topics with in-process stand-ins.
+
+const API_PORT = Number(process.env.LOCAL_API_PORT || 3001);
+const AGENT_PORTS = {
+  order: Number(process.env.LOCAL_ORDER_AGENT_PORT || 3101),
+  payment: Number(process.env.LOCAL_PAYMENT_AGENT_PORT || 3102),
+  warehouse: Number(process.env.LOCAL_WAREHOUSE_AGENT_PORT || 3103),
+  notification: Number(process.env.LOCAL_NOTIFICATION_AGENT_PORT || 3104)
+};
+const DEMO_TENANT_ID = 'example-tenant';
+const DEMO_API_KEY = process.env.LOCAL_API_KEY || 'local-demo-key';
+const REAPER_INTERVAL_MS = Number(process.env.LOCAL_REAPER_INTERVAL_MS || 60 * 1000);
+const OUTBOX_POLL_INTERVAL_MS = Number(process.env.LOCAL_OUTBOX_POLL_INTERVAL_MS || 250);
+
+process.env.TABLE_NAME ||= 'swiftship-local';
+process.env.MODEL_ID ||= 'local-model';
+process.env.NOTIFICATION_TRANSPORT ||= 'outbox';
+// The in-process triage handler signs its agent calls with this secret and the agent servers verify them
+process.env.AGENT_SIGNING_SECRET ||= randomUUID();
+process.env.AGENT_CALLER_SECRETS ||= JSON.stringify({ triage: process.env.AGENT_SIGNING_SECRET });
+process.env.ORDER_AGENT_URL ||= `http://localhost:${AGENT_PORTS.order}`;
+process.env.PAYMENT_AGENT_URL ||= `http://localhost:${AGENT_PORTS.payment}`;
+process.env.WAREHOUSE_AGENT_URL ||= `http://localhost:${AGENT_PORTS.warehouse}`;
+process.env.NOTIFICATION_AGENT_URL ||= `http://localhost:${AGENT_PORTS.notification}`;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Api-Key,X-Context-Id,Idempotency-Key'
+};
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length'];
+
+const table = createMemoryTable();
+const bus = createEventBus({ deliveryDelayMs: Number(process.env.LOCAL_EVENT_DELAY_MS || 1000) });
+const topics = createTopicHub();
+
+installMemoryDynamoDB(table);
+installEventBus(bus);
+installLocalBedrock();
+
+const updateStatus = await import('../functions/delivery/update-status.mjs');
+const demoReset = await import('../functions/demo/reset.mjs');
+const listNotifications = await import('../functions/notifications/list-notifications.mjs');
+const listDeliveryStatuses = await import('../functions/delivery/list-statuses.mjs');
+const getDelivery = await import('../functions/delivery/get-delivery.mjs');
+const getDeliveryResolution = await import('../functions/delivery/get-resolution.mjs');
+const getOrder = await import('../functions/orders/get-order.mjs');
+const listOrders = await import('../functions/orders/list-orders.mjs');
+const listOrderRefunds = await import('../functions/orders/list-order-refunds.mjs');
+const getInventory = await import('../functions/warehouse/get-inventory.mjs');
+const listTriageFailures = await import('../functions/triage/list-failures.mjs');
+const replayTriageFailure = await import('../functions/triage/replay-failure.mjs');
+const triageFailureRecorder = await import('../functions/triage/record-failure.mjs');
+const triage = await import('../functions/agents/triage.mjs');
+const allocationReaper = await import('../functions/warehouse/release-expired-allocations.mjs');
+const outboxSweeper = await import('../functions/delivery/sweep-outbox.mjs');
+const { publishPendingOutboxEvents } = await import('../functions/utils/outbox.mjs');
+const agents = {
+  order: await import('../functions/agents/order.mjs'),
+  payment: await import('../functions/agents/payment.mjs'),
+  warehouse: await import('../functions/agents/warehouse.mjs'),
+  notification: await import('../functions/agents/notification.mjs')
+};
+
+const apiRoutes = [
+  { method: 'POST', path: '/deliveries/{deliveryId}/statuses', handler: updateStatus.handler },
+  { method: 'POST', path: '/demo/reset', handler: demoReset.handler },
+  { method: 'GET', path: '/notifications', handler: listNotifications.handler },
+  { method: 'GET', path: '/deliveries/{deliveryId}', handler: getDelivery.handler },
+  { method: 'GET', path: '/deliveries/{deliveryId}/statuses', handler: listDeliveryStatuses.handler },
+  { method: 'GET', path: '/deliveries/{deliveryId}/resolution', handler: getDeliveryResolution.handler },
+  { method: 'GET', path: '/orders', handler: listOrders.handler },
+  { method: 'GET', path: '/orders/{orderId}', handler: getOrder.handler },
+  { method: 'GET', path: '/orders/{orderId}/refunds', handler: listOrderRefunds.handler },
+  { method: 'GET', path: '/inventory/{sku}', handler: getInventory.handler },
+  { method: 'GET', path: '/triage/failures', handler: listTriageFailures.handler },
+  { method: 'POST', path: '/triage/failures/{failureId}/replay', handler: replayTriageFailure.handler }
+];
+
+const matchRoute = (method, pathname) => {
+  for (const route of apiRoutes) {
+    if (route.method !== method) continue;
+    const names = [];
+    const pattern = route.path.replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const match = pathname.match(new RegExp(`^${pattern}$`));
+    if (match) {
+      const pathParameters = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+      return { route, pathParameters };
+    }
+  }
+  return null;
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return chunks.length ? Buffer.concat(chunks).toString('utf8') : null;
+};
+
+const requestHeaders = (req) => Object.fromEntries(
+  Object.entries(req.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+);
+
+const writeResponse = (res, result, extraHeaders = {}) => {
+  res.writeHead(result?.statusCode ?? 200, { ...extraHeaders, ...result?.headers });
+  res.end(result?.body ?? '');
+};
+
+// Mirrors the task events the A2A agents stream through Momento so ProcessingView can render them
+const publishTask = (contextId, agentId, agentName, state, text) => {
+  if (!contextId) return;
+  topics.publish(contextId, {
+    kind: 'task',
+    id: randomUUID(),
+    contextId,
+    status: {
+      state,
+      timestamp: new Date().toISOString(),
+      message: { kind: 'message', role: 'agent', messageId: randomUUID(), parts: [{ kind: 'text', text }] }
+    },
+    metadata: { agentId, agentName }
+  });
+};
+
+bus.addRule({
+  name: 'TriageAgent',
+  source: 'swiftship.delivery',
+  detailType: 'Delivery Status Update',
+  target: async (event) => {
+    const { contextId, deliveryId } = event.detail;
+    publishTask(contextId, 'triage', 'Triage Agent', 'working', `Analyzing delivery exception for ${deliveryId}`);
+    // Locally there are no retries: a run that throws goes straight to the OnFailure recorder
+    const result = await triage.handler(event).catch(async (error) => {
+      console.error('Local triage run failed:', error);
+      await triageFailureRecorder.handler({
+        requestContext: { condition: 'RetriesExhausted', approximateInvokeCount: 1 },
+        requestPayload: event,
+        responsePayload: { errorType: error.name, errorMessage: error.message }
+      }).catch(recordError => console.error('Local triage failure recorder failed:', recordError));
+    });
+    if (result?.statusCode === 200) {
+      publishTask(contextId, 'triage', 'Triage Agent', 'completed', JSON.parse(result.body).message);
+    } else {
+      publishTask(contextId, 'triage', 'Triage Agent', 'failed', 'Triage did not complete, see local server logs');
+    }
+  }
+});
+
+const apiServer = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+
+    const topicMatch = url.pathname.match(/^\/topics\/([^/]+)$/);
+    if (req.method === 'GET' && topicMatch) {
+      return topics.handleSubscription(req, res, decodeURIComponent(topicMatch[1]));
+    }
+
+    const matched = matchRoute(req.method, url.pathname);
+    if (!matched) {
+      return writeResponse(res, { statusCode: 404, body: JSON.stringify({ message: 'Not found' }) }, CORS_HEADERS);
+    }
+
+    // Stands in for the API Gateway tenant authorizer
+    const tenantId = await resolveCallerTenant(requestHeaders(req));
+    if (!tenantId) {
+      return writeResponse(res, { statusCode: 401, body: JSON.stringify({ message: 'Unauthorized' }) }, CORS_HEADERS);
+    }
+
+    const body = await readBody(req);
+    const event = {
+      resource: matched.route.path,
+      path: url.pathname,
+      httpMethod: req.method,
+      headers: requestHeaders(req),
+      queryStringParameters: url.searchParams.size ? Object.fromEntries(url.searchParams) : null,
+      pathParameters: Object.keys(matched.pathParameters).length ? matched.pathParameters : null,
+      body,
+      isBase64Encoded: false,
+      requestContext: {
+        stage: 'local',
+        requestId: randomUUID(),
+        httpMethod: req.method,
+        path: url.pathname,
+        resourcePath: matched.route.path,
+        authorizer: { tenantId }
+      }
+    };
+
+    writeResponse(res, await matched.route.handler(event), CORS_HEADERS);
+  } catch (error) {
+    console.error('Local API error:', error);
+    writeResponse(res, { statusCode: 500, body: JSON.stringify({ message: 'Something went wrong' }) }, CORS_HEADERS);
+  }
+});
+
+const createAgentServer = (name, port, agentModule) => http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const body = await readBody(req);
+    const event = {
+      version: '2.0',
+      rawPath: url.pathname,
+      rawQueryString: url.search.slice(1),
+      headers: { ...requestHeaders(req), 'x-forwarded-proto': 'http' },
+      body,
+      isBase64Encoded: false,
+      requestContext: {
+        domainName: `localhost:${port}`,
+        requestId: randomUUID(),
+        http: { method: req.method, path: url.pathname }
+      }
+    };
+
+    const result = await agentModule.handler(event);
+    writeResponse(res, result);
+
+    try {
+      const task = JSON.parse(result.body)?.result;
+      if (task?.kind === 'task') {
+        topics.publish(task.contextId, { ...task, metadata: { agentId: name, ...task.metadata } });
+      }
+    } catch {
+      // Agent card and other non-task responses are not mirrored
+    }
+  } catch (error) {
+    console.error(`Local ${name} agent error:`, error);
+    writeResponse(res, { statusCode: 500, body: JSON.stringify({ message: 'Something went wrong' }) });
+  }
+});
+
+const seedDemoData = async () => {
+  const result = await demoReset.handler({
+    body: JSON.stringify({ tenantId: DEMO_TENANT_ID, scenarioType: 'full' })
+  });
+  console.log(`Seeded demo data for ${DEMO_TENANT_ID}: ${result.body}`);
+};
+
+apiServer.listen(API_PORT, () => console.log(`SwiftShip local API listening on http://localhost:${API_PORT}`));
+for (const [name, port] of Object.entries(AGENT_PORTS)) {
+  createAgentServer(name, port, agents[name])
+    .listen(port, () => console.log(`${name} agent listening on http://localhost:${port}`));
+}
+
+// Stands in for the scheduled EventBridge rules that run the allocation reaper and the outbox sweeper
+setInterval(() => {
+  allocationReaper.handler().catch(error => console.error('Local allocation reaper failed:', error));
+  outboxSweeper.handler().catch(error => console.error('Local outbox sweeper failed:', error));
+}, REAPER_INTERVAL_MS).unref();
+
+// The memory table has no stream, so poll the outbox in place of the stream-driven publisher
+let pollingOutbox = false;
+setInterval(async () => {
+  if (pollingOutbox) return;
+  pollingOutbox = true;
+  try {
+    await publishPendingOutboxEvents({ olderThanSeconds: 0 });
+  } catch (error) {
+    console.error('Local outbox publisher failed:', error);
+  } finally {
+    pollingOutbox = false;
+  }
+}, OUTBOX_POLL_INTERVAL_MS).unref();
+
+await registerApiKey(DEMO_TENANT_ID, DEMO_API_KEY, 'local');
+console.log(`API key for ${DEMO_TENANT_ID}: ${DEMO_API_KEY}`);
+
+if (process.env.LOCAL_SEED !== 'false') {
+  await seedDemoData();
+}
@@ -0,0 +1,43 @@
+/**
+ * Create an in-memory stand-in for Momento topics.
+ * Subscribers receive every value published to a topic after they subscribe.
+ * @returns {Object} Hub with publish/subscribe helpers and an SSE request handler
+ */
+export const createTopicHub = () => {
+  const subscribers = new Map();
+
+  const publish = (topic, value) => {
+    const payload = typeof value === 'string' ? value : JSON.stringify(value);
+    for (const listener of subscribers.get(topic) ?? []) {
+      listener(payload);
+    }
+  };
+
+  const subscribe = (topic, listener) => {
+    if (!subscribers.has(topic)) {
+      subscribers.set(topic, new Set());
+    }
+    subscribers.get(topic).add(listener);
+    return () => {
+      subscribers.get(topic)?.delete(listener);
+    };
+  };
+
+  // Streams a topic to the browser as server-sent events
+  const handleSubscription = (req, res, topic) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': subscribed\n\n');
+
+    const unsubscribe = subscribe(topic, (payload) => {
+      res.write(`data: ${payload}\n\n`);
+    });
+    req.on('close', unsubscribe);
+  };
+
+  return { publish, subscribe, handleSubscription };
+};
@@ -0,0 +1,86 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { signJwt, verifyJwt } from '../functions/utils/jwt.mjs';
+import { authenticateAgentRequest, signAgentToken, withSignedAgentCalls } from '../functions/utils/agent-auth.mjs';
+import { TENANT_TOKEN_AUDIENCE } from '../functions/utils/tenants.mjs';
+import { handler as paymentHandler } from '../functions/agents/payment.mjs';
+
+const SECRET = 'triage-secret';
+
+const agentRequest = (token, { method = 'POST', path = '/' } = {}) => new Request(`https://payment.example.com${path}`, {
+  method,
+  headers: token ? { Authorization: `Bearer ${token}` } : {},
+  ...method === 'POST' && { body: '{}' }
+});
+
+describe('agent request authentication', () => {
+  before(() => {
+    process.env.AGENT_CALLER_SECRETS = JSON.stringify({ triage: SECRET });
+  });
+  after(() => delete process.env.AGENT_CALLER_SECRETS);
+
+  it('accepts the triage orchestrator with only the scopes the agent offers', () => {
+    const token = signAgentToken({ callerId: 'triage', audience: 'payment', tenantId: 'tenant-a' }, SECRET);
+
+    assert.deepEqual(authenticateAgentRequest(agentRequest(token), 'payment'), {
+      caller: { callerId: 'triage', scopes: ['payment:refund'], tenantId: 'tenant-a' }
+    });
+  });
+
+  it('keeps agent cards public', () => {
+    assert.deepEqual(authenticateAgentRequest(agentRequest(null, { method: 'GET', path: '/.well-known/agent.json' }), 'payment'), { caller: null });
+  });
+
+  it('rejects unsigned, forged, expired and misdirected calls', () => {
+    const forged = signAgentToken({ callerId: 'triage', audience: 'payment' }, 'guessed-secret');
+    const expired = signJwt({ iss: 'triage', aud: 'payment', scope: 'payment:refund' }, SECRET, { expiresInSeconds: -1 });
+    const forWarehouse = signAgentToken({ callerId: 'triage', audience: 'warehouse' }, SECRET);
+    const unknownCaller = signJwt({ iss: 'support-portal', aud: 'payment', scope: 'payment:refund' }, SECRET);
+    const tenantToken = signJwt({ iss: 'triage', aud: TENANT_TOKEN_AUDIENCE, scope: 'payment:refund', tenantId: 'tenant-a' }, SECRET);
+
+    for (const token of [null, forged, expired, forWarehouse, unknownCaller, tenantToken]) {
+      assert.equal(authenticateAgentRequest(agentRequest(token), 'payment').statusCode, 401);
+    }
+  });
+
+  it('forbids callers without a scope for the agent', () => {
+    const token = signJwt({ iss: 'triage', aud: 'payment', scope: 'order:write' }, SECRET);
+
+    assert.deepEqual(authenticateAgentRequest(agentRequest(token), 'payment'), {
+      statusCode: 403,
+      message: 'triage is not allowed to call the payment agent'
+    });
+  });
+
+  it('rejects unsigned calls before they reach the agent', async () => {
+    const response = await paymentHandler({
+      rawPath: '/',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'message/send', params: {} }),
+      requestContext: { domainName: 'payment.example.com', http: { method: 'POST' } }
+    });
+
+    assert.equal(response.statusCode, 401);
+  });
+});
+
+describe('signed agent calls', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('adds a token for the called agent and leaves other requests alone', async () => {
+    const sent = mock.method(globalThis, 'fetch', async () => new Response('{}'));
+    const agentUrls = { payment: 'https://payment.example.com/', order: 'https://order.example.com/' };
+
+    await withSignedAgentCalls({ callerId: 'triage', secret: SECRET, agentUrls, tenantId: 'tenant-a' }, async () => {
+      await fetch('https://payment.example.com/', { method: 'POST', body: '{}' });
+      await fetch('https://bedrock.example.com/');
+    });
+
+    const [signed] = sent.mock.calls[0].arguments;
+    const claims = verifyJwt(signed.headers.get('authorization').slice('Bearer '.length), SECRET);
+    assert.equal(claims.aud, 'payment');
+    assert.equal(claims.scope, 'payment:refund');
+    assert.equal(claims.tenantId, 'tenant-a');
+    assert.deepEqual(sent.mock.calls[1].arguments, ['https://bedrock.example.com/', undefined]);
+  });
+});
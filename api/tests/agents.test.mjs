@@ -0,0 +1,164 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScriptedProvider, setModelProvider } from '../functions/utils/model-providers.mjs';
+import { agentHandler as orderAgent } from '../functions/agents/order.mjs';
+import { agentHandler as paymentAgent } from '../functions/agents/payment.mjs';
+import { agentHandler as warehouseAgent } from '../functions/agents/warehouse.mjs';
+import { agentHandler as notificationAgent } from '../functions/agents/notification.mjs';
+import { changeOrderStatus } from '../functions/tools/change-order-status.mjs';
+import { duplicateOrder } from '../functions/tools/duplicate-order.mjs';
+import { processRefundTool } from '../functions/tools/process-refund.mjs';
+import { allocateInventory } from '../functions/tools/allocate-inventory.mjs';
+import { sendCustomerEmailTool } from '../functions/tools/send-email.mjs';
+import { bindContextToTenant, UNKNOWN_TENANT_MESSAGE } from '../functions/utils/tenants.mjs';
+import { runAsAgentCaller } from '../functions/utils/agent-auth.mjs';
+import { useMemoryTable } from './support/dynamodb.mjs';
+
+useMemoryTable();
+
+const userMessage = (text, tenantId = 'example-tenant') => ({ parts: [{ text }], metadata: { tenantId } });
+const toolTurn = (name, input) => [{ toolUse: { name, input } }];
+
+// Agents only run scoped tools for a caller whose verified token grants the scope
+const triageCaller = { callerId: 'triage', scopes: ['order:read', 'order:write', 'payment:refund', 'warehouse:allocate', 'notification:send'] };
+const asTriage = (fn) => runAsAgentCaller(triageCaller, fn);
+
+describe('agent flows', () => {
+  afterEach(() => {
+    setModelProvider(undefined);
+    mock.restoreAll();
+  });
+
+  it('Order Agent marks a failed delivery through changeOrderStatus', async () => {
+    const handler = mock.method(changeOrderStatus, 'handler', async () => 'Order ORD-DEMO-001 status changed');
+    setModelProvider(createScriptedProvider([
+      toolTurn('changeOrderStatus', { orderId: 'ORD-DEMO-001', newStatus: 'delivery_failed', notes: 'Customer not home' }),
+      'Order ORD-DEMO-001 is now delivery_failed'
+    ]));
+
+    const result = await asTriage(() => orderAgent(userMessage('Mark ORD-DEMO-001 as delivery failed')));
+
+    assert.equal(result.message, 'Order ORD-DEMO-001 is now delivery_failed');
+    assert.deepEqual(handler.mock.calls.map(call => call.arguments), [
+      ['example-tenant', { orderId: 'ORD-DEMO-001', newStatus: 'delivery_failed', notes: 'Customer not home' }, { contextId: undefined }]
+    ]);
+  });
+
+  it('Order Agent recreates an order through duplicateOrder', async () => {
+    const handler = mock.method(duplicateOrder, 'handler', async () => 'Order ORD-NEW created');
+    const shippingAddress = { street: '1 Main St', city: 'Las Vegas', state: 'NV', zipCode: '89101', country: 'US' };
+    setModelProvider(createScriptedProvider([
+      toolTurn('duplicateOrder', { originalOrderId: 'ORD-DEMO-001', shippingAddress }),
+      'Replacement order created'
+    ]));
+
+    await asTriage(() => orderAgent(userMessage('Recreate ORD-DEMO-001 for redelivery')));
+
+    assert.deepEqual(handler.mock.calls.map(call => call.arguments), [
+      ['example-tenant', { originalOrderId: 'ORD-DEMO-001', shippingAddress }, { contextId: undefined }]
+    ]);
+  });
+
+  it('Payment Agent issues refunds through processRefund', async () => {
+    const handler = mock.method(processRefundTool, 'handler', async () => 'Refund processed successfully');
+    setModelProvider(createScriptedProvider([
+      toolTurn('processRefund', { orderId: 'ORD-DEMO-002', refundAmount: 129.99, reason: 'damaged_package' }),
+      'Refunded $129.99'
+    ]));
+
+    await bindContextToTenant('ctx-2', 'example-tenant');
+    const result = await asTriage(() => paymentAgent(userMessage('Refund ORD-DEMO-002, package arrived damaged'), { task: { id: 'task-2', contextId: 'ctx-2' } }));
+
+    assert.equal(result.message, 'Refunded $129.99');
+    assert.deepEqual(handler.mock.calls.map(call => call.arguments), [
+      ['example-tenant', { orderId: 'ORD-DEMO-002', refundAmount: 129.99, reason: 'damaged_package' }, { contextId: 'ctx-2' }]
+    ]);
+  });
+
+  it('Warehouse Agent reserves stock through allocateInventory', async () => {
+    const handler = mock.method(allocateInventory, 'handler', async () => 'Successfully allocated 2 units');
+    setModelProvider(createScriptedProvider([
+      toolTurn('allocateInventory', { orderId: 'ORD-DEMO-003', productId: 'SKU-DEMO-001', quantity: 2 }),
+      'Allocated 2 units of SKU-DEMO-001'
+    ]));
+
+    const result = await asTriage(() => warehouseAgent(userMessage('Allocate 2 units of SKU-DEMO-001 for ORD-DEMO-003'), { task: { id: 'task-1' } }));
+
+    assert.equal(result, 'Allocated 2 units of SKU-DEMO-001');
+    assert.deepEqual(handler.mock.calls.map(call => call.arguments), [
+      ['example-tenant', { orderId: 'ORD-DEMO-003', productId: 'SKU-DEMO-001', quantity: 2 }, { contextId: undefined }]
+    ]);
+  });
+
+  it('Notification Agent notifies customers through sendCustomerEmail', async () => {
+    const handler = mock.method(sendCustomerEmailTool, 'handler', async () => 'Sent refund_issued notification');
+    setModelProvider(createScriptedProvider([
+      toolTurn('sendCustomerEmail', { orderId: 'ORD-DEMO-002', template: 'refund_issued' }),
+      'Customer notified of their refund'
+    ]));
+
+    const result = await asTriage(() => notificationAgent(userMessage('Tell the customer on ORD-DEMO-002 their refund was issued')));
+
+    assert.equal(result.message, 'Customer notified of their refund');
+    assert.deepEqual(handler.mock.calls.map(call => call.arguments), [
+      ['example-tenant', { orderId: 'ORD-DEMO-002', template: 'refund_issued' }, { contextId: undefined }]
+    ]);
+  });
+
+  it('runs tools under the tenant bound to the A2A context', async () => {
+    const handler = mock.method(changeOrderStatus, 'handler', async () => 'Order ORD-DEMO-001 status changed');
+    setModelProvider(createScriptedProvider([
+      toolTurn('changeOrderStatus', { orderId: 'ORD-DEMO-001', newStatus: 'delivery_failed' }),
+      'Done'
+    ]));
+    await bindContextToTenant('ctx-7', 'tenant-b');
+
+    await asTriage(() => orderAgent({ parts: [{ text: 'Mark ORD-DEMO-001 as delivery failed' }] }, { task: { id: 'task-7', contextId: 'ctx-7' } }));
+
+    assert.equal(handler.mock.calls[0].arguments[0], 'tenant-b');
+  });
+
+  it('refuses to act when the message metadata names a different tenant than the context', async () => {
+    const handler = mock.method(processRefundTool, 'handler', async () => 'Refund processed successfully');
+    await bindContextToTenant('ctx-8', 'tenant-b');
+
+    const result = await paymentAgent(userMessage('Refund ORD-DEMO-002', 'tenant-a'), { task: { id: 'task-8', contextId: 'ctx-8' } });
+
+    assert.equal(result.message, UNKNOWN_TENANT_MESSAGE);
+    assert.equal(handler.mock.callCount(), 0);
+  });
+
+  it('refuses to act without a tenant', async () => {
+    const result = await warehouseAgent({ parts: [{ text: 'Allocate 2 units of SKU-DEMO-001' }] }, { task: { id: 'task-9' } });
+
+    assert.equal(result, UNKNOWN_TENANT_MESSAGE);
+  });
+
+  it('only runs tools the caller is scoped for', async () => {
+    const handler = mock.method(changeOrderStatus, 'handler', async () => 'Order ORD-DEMO-001 status changed');
+    setModelProvider(createScriptedProvider([
+      toolTurn('changeOrderStatus', { orderId: 'ORD-DEMO-001', newStatus: 'delivery_failed' }),
+      'Not allowed'
+    ]));
+    const caller = { callerId: 'triage', scopes: ['order:read'], tenantId: 'example-tenant' };
+
+    const result = await runAsAgentCaller(caller, () => orderAgent(userMessage('Mark ORD-DEMO-001 as delivery failed')));
+
+    assert.equal(result.message, 'Not allowed');
+    assert.equal(handler.mock.callCount(), 0);
+  });
+
+  it('runs no scoped tools for a caller without scopes', async () => {
+    const handler = mock.method(processRefundTool, 'handler', async () => 'Refund processed successfully');
+    setModelProvider(createScriptedProvider([
+      toolTurn('processRefund', { orderId: 'ORD-DEMO-002', refundAmount: 129.99, reason: 'damaged_package' }),
+      'Not allowed'
+    ]));
+    const caller = { callerId: 'triage', tenantId: 'example-tenant' };
+
+    const result = await runAsAgentCaller(caller, () => paymentAgent(userMessage('Refund ORD-DEMO-002')));
+
+    assert.equal(result.message, 'Not allowed');
+    assert.equal(handler.mock.callCount(), 0);
+  });
+});
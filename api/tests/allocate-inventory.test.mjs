@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateInventory } from '../functions/tools/allocate-inventory.mjs';
+import { useMemoryTable, productRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+describe('allocateInventory', () => {
+  it('records the allocation and moves stock from available to allocated', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10, allocatedQuantity: 1 })]);
+
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+
+    assert.match(result, /Successfully allocated 3 units of SKU-001 for order ORD-001/);
+    const product = table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001');
+    assert.equal(product.availableQuantity, 7);
+    assert.equal(product.allocatedQuantity, 4);
+
+    const allocation = table.get(`${TEST_TENANT}#allocations`, 'ORD-001#SKU-001');
+    assert.equal(allocation.quantityAllocated, 3);
+    assert.equal(allocation.status, 'allocated');
+    assert.equal(allocation.GSI1PK, `${TEST_TENANT}#allocations#SKU-001`);
+  });
+
+  it('returns a structured insufficient stock result without writing anything', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 2 })]);
+
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+
+    assert.deepEqual(result, {
+      success: false,
+      error: 'INSUFFICIENT_STOCK',
+      orderId: 'ORD-001',
+      productId: 'SKU-001',
+      requestedQuantity: 3,
+      availableQuantity: 2,
+      message: 'Allocation failed: Product SKU-001 has insufficient inventory (2 available, 3 requested)'
+    });
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001').availableQuantity, 2);
+    assert.deepEqual(table.list(`${TEST_TENANT}#allocations`), []);
+  });
+
+  it('does not oversell when allocations race for the last units', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 1 })]);
+
+    const results = await Promise.all([
+      allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 1 }),
+      allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-002', productId: 'SKU-001', quantity: 1 })
+    ]);
+
+    assert.equal(results.filter(result => typeof result === 'string' && result.startsWith('Successfully')).length, 1);
+    assert.equal(results.filter(result => result.error === 'INSUFFICIENT_STOCK').length, 1);
+    const product = table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001');
+    assert.equal(product.availableQuantity, 0);
+    assert.equal(product.allocatedQuantity, 1);
+    assert.equal(table.list(`${TEST_TENANT}#allocations`).length, 1);
+  });
+
+  it('treats a repeated allocation for the same order and product as a no-op', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+
+    await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+    const retry = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+
+    assert.equal(retry, 'Allocation for order ORD-001 and product SKU-001 already exists (3 units, allocated); no additional stock reserved');
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001').availableQuantity, 7);
+    assert.equal(table.list(`${TEST_TENANT}#allocations`).length, 1);
+  });
+
+  it('reports unknown products', async () => {
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-404', quantity: 1 });
+
+    assert.match(result, /Product SKU-404 not found/);
+  });
+
+  it('only reads inventory from the caller tenant', async () => {
+    table.seed([productRecord('other-tenant', 'SKU-001')]);
+
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 1 });
+
+    assert.equal(result, 'Allocation failed: Product SKU-001 not found in inventory');
+    assert.deepEqual(table.list(`${TEST_TENANT}#allocations`), []);
+    assert.equal(table.get('other-tenant#inventory', 'product#SKU-001').availableQuantity, 10);
+  });
+
+  it('requires a tenant', async () => {
+    const result = await allocateInventory.handler(undefined, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 1 });
+
+    assert.equal(result, 'Unauthorized: Missing tenant context');
+  });
+});
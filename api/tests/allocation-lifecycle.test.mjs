@@ -0,0 +1,157 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { allocateInventory } from '../functions/tools/allocate-inventory.mjs';
+import { releaseAllocation } from '../functions/tools/release-allocation.mjs';
+import { fulfillAllocation } from '../functions/tools/fulfill-allocation.mjs';
+import { changeOrderStatus } from '../functions/tools/change-order-status.mjs';
+import { handler as releaseExpiredAllocations } from '../functions/warehouse/release-expired-allocations.mjs';
+import { useMemoryTable, orderRecord, productRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const product = () => table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001');
+const allocation = (orderId = 'ORD-001') => table.get(`${TEST_TENANT}#allocations`, `${orderId}#SKU-001`);
+const allocate = (orderId = 'ORD-001', quantity = 3) =>
+  allocateInventory.handler(TEST_TENANT, { orderId, productId: 'SKU-001', quantity });
+
+describe('allocation lifecycle', () => {
+  it('sets a hold expiry well before the record TTL', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001')]);
+
+    await allocate();
+
+    const { expiresAt, ttl } = allocation();
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.ok(Date.parse(expiresAt) / 1000 < ttl);
+  });
+
+  it('releases an allocation back to available stock once', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+    await allocate();
+
+    const result = await releaseAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', reason: 'order_cancelled' });
+    const repeat = await releaseAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', reason: 'order_cancelled' });
+
+    assert.equal(result, 'Released 3 units of SKU-001 from order ORD-001 back to available stock (Reason: order_cancelled)');
+    assert.equal(repeat, 'Allocation for order ORD-001 and product SKU-001 is already released and cannot be released');
+    assert.equal(product().availableQuantity, 10);
+    assert.equal(product().allocatedQuantity, 0);
+    assert.equal(allocation().status, 'released');
+    assert.equal(allocation().releaseReason, 'order_cancelled');
+  });
+
+  it('allocates the product again after its allocation was released', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+    await allocate();
+    await releaseAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', reason: 'order_cancelled' });
+
+    const result = await allocate('ORD-001', 2);
+
+    assert.equal(result, 'Successfully allocated 2 units of SKU-001 for order ORD-001');
+    assert.equal(product().availableQuantity, 8);
+    assert.equal(product().allocatedQuantity, 2);
+    assert.equal(allocation().status, 'allocated');
+    assert.equal(allocation().quantityAllocated, 2);
+    assert.equal(allocation().releaseReason, undefined);
+  });
+
+  it('reports missing allocations', async () => {
+    const result = await releaseAllocation.handler(TEST_TENANT, { orderId: 'ORD-404', productId: 'SKU-001', reason: 'order_cancelled' });
+
+    assert.equal(result, 'No allocation found for order ORD-404 and product SKU-001');
+  });
+
+  it('moves allocations through picked and shipped', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+    await allocate();
+
+    const picked = await fulfillAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', stage: 'picked' });
+    assert.equal(picked, 'Allocation of 3 units of SKU-001 for order ORD-001 marked picked');
+    assert.equal(product().allocatedQuantity, 3);
+    assert.equal(allocation().expiresAt, undefined);
+    assert.equal(allocation().ttl, undefined);
+
+    const shipped = await fulfillAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', stage: 'shipped', trackingNumber: 'TRK-1' });
+    assert.equal(shipped, 'Allocation of 3 units of SKU-001 for order ORD-001 marked shipped');
+    assert.equal(allocation().status, 'shipped');
+    assert.equal(allocation().trackingNumber, 'TRK-1');
+    assert.ok(allocation().pickedAt && allocation().shippedAt);
+    assert.equal(product().availableQuantity, 7);
+    assert.equal(product().allocatedQuantity, 0);
+  });
+
+  it('does not release shipped allocations or ship them twice', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+    await allocate();
+    await fulfillAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', stage: 'shipped' });
+
+    const release = await releaseAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', reason: 'order_cancelled' });
+    const reship = await fulfillAllocation.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', stage: 'shipped' });
+
+    assert.match(release, /is already shipped and cannot be released/);
+    assert.match(reship, /is shipped and cannot move to shipped/);
+    assert.equal(product().availableQuantity, 7);
+    assert.equal(product().allocatedQuantity, 0);
+  });
+
+  it('returns stock when the order is cancelled', async () => {
+    table.seed([
+      productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 }),
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'pending' })
+    ]);
+    await allocate();
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'cancelled' });
+
+    assert.equal(result, 'Order ORD-001 status changed from pending to cancelled. Released 1 inventory allocation(s) back to stock');
+    assert.equal(product().availableQuantity, 10);
+    assert.equal(allocation().status, 'released');
+  });
+
+  it('returns stock from every page of the order\'s allocations', async () => {
+    table.seed([
+      productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 }),
+      productRecord(TEST_TENANT, 'SKU-002', { availableQuantity: 10 }),
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'pending' })
+    ]);
+    await allocate();
+    await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-002', quantity: 4 });
+    const send = DynamoDBClient.prototype.send;
+    mock.method(DynamoDBClient.prototype, 'send', function (command) {
+      if (command instanceof QueryCommand) command.input.Limit = 1;
+      return send.call(this, command);
+    });
+
+    try {
+      await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'cancelled' });
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.equal(product().availableQuantity, 10);
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-002').availableQuantity, 10);
+    assert.equal(table.get(`${TEST_TENANT}#allocations`, 'ORD-001#SKU-002').status, 'released');
+  });
+
+  it('reaps expired and legacy allocations across tenants', async () => {
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    const longAgo = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000).toISOString();
+    table.seed([
+      productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 0, allocatedQuantity: 6 }),
+      productRecord('other-tenant', 'SKU-001', { availableQuantity: 0, allocatedQuantity: 2 }),
+      { pk: `${TEST_TENANT}#allocations`, sk: 'ORD-001#SKU-001', orderId: 'ORD-001', productId: 'SKU-001', quantityAllocated: 3, status: 'allocated', createdAt: past, expiresAt: past },
+      { pk: `${TEST_TENANT}#allocations`, sk: 'ORD-002#SKU-001', orderId: 'ORD-002', productId: 'SKU-001', quantityAllocated: 1, status: 'allocated', createdAt: longAgo },
+      { pk: `${TEST_TENANT}#allocations`, sk: 'ORD-003#SKU-001', orderId: 'ORD-003', productId: 'SKU-001', quantityAllocated: 2, status: 'picked', createdAt: longAgo, expiresAt: past },
+      { pk: 'other-tenant#allocations', sk: 'ORD-009#SKU-001', orderId: 'ORD-009', productId: 'SKU-001', quantityAllocated: 2, status: 'allocated', createdAt: past, expiresAt: past }
+    ]);
+
+    const result = await releaseExpiredAllocations();
+
+    assert.deepEqual(result, { released: 3, failed: 0 });
+    assert.equal(product().availableQuantity, 4);
+    assert.equal(product().allocatedQuantity, 2);
+    assert.equal(allocation('ORD-003').status, 'picked');
+    assert.equal(table.get('other-tenant#inventory', 'product#SKU-001').availableQuantity, 2);
+  });
+});
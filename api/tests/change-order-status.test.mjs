@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { changeOrderStatus } from '../functions/tools/change-order-status.mjs';
+import { useMemoryTable, orderRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+const ddb = new DynamoDBClient();
+
+const ordersByStatus = async (status) => {
+  const result = await ddb.send(new QueryCommand({
+    TableName: process.env.TABLE_NAME,
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :pk',
+    ExpressionAttributeValues: marshall({ ':pk': `${TEST_TENANT}#orders#${status}` })
+  }));
+  return result.Items.map(item => unmarshall(item).orderId);
+};
+
+describe('changeOrderStatus', () => {
+  it('updates the status, starts the history and moves the order between GSI1 partitions', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'shipped' })]);
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'delivery_failed', notes: 'Nobody home' });
+
+    assert.equal(result, 'Order ORD-001 status changed from shipped to delivery_failed. Notes: Nobody home');
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001');
+    assert.equal(order.status, 'delivery_failed');
+    assert.equal(order.statusHistory.length, 1);
+    assert.equal(order.statusHistory[0].status, 'delivery_failed');
+    assert.equal(order.statusHistory[0].notes, 'Nobody home');
+    assert.deepEqual(await ordersByStatus('delivery_failed'), ['ORD-001']);
+    assert.deepEqual(await ordersByStatus('shipped'), []);
+  });
+
+  it('appends to an existing status history', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', {
+      status: 'processing',
+      statusHistory: [{ status: 'processing', timestamp: '2025-01-01T00:00:00.000Z' }]
+    })]);
+
+    await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'shipped' });
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001');
+    assert.deepEqual(order.statusHistory.map(entry => entry.status), ['processing', 'shipped']);
+  });
+
+  it('rejects transitions outside the lifecycle and lists the allowed next statuses', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed' })]);
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'pending' });
+
+    assert.equal(result, 'Invalid status transition for order ORD-001: cannot change from delivery_failed to pending. Allowed next statuses: out_for_delivery, pending_customer_response, replacement_created, cancelled_undeliverable');
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').status, 'delivery_failed');
+  });
+
+  it('does not reopen orders in a final status', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'cancelled' })]);
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'shipped' });
+
+    assert.equal(result, 'Invalid status transition for order ORD-001: cannot change from cancelled to shipped. cancelled is a final status and cannot be changed');
+  });
+
+  it('walks a failed delivery through to cancelled_undeliverable', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'out_for_delivery' })]);
+
+    for (const newStatus of ['delivery_failed', 'pending_customer_response', 'cancelled_undeliverable']) {
+      assert.match(await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus }), /status changed/);
+    }
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001');
+    assert.deepEqual(order.statusHistory.map(entry => entry.status), ['delivery_failed', 'pending_customer_response', 'cancelled_undeliverable']);
+  });
+
+  it('fails instead of applying a transition validated against a stale status', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'shipped' })]);
+
+    const results = await Promise.all([
+      changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'delivered' }),
+      changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'delivery_failed' })
+    ]);
+
+    assert.equal(results.filter(result => result === 'Order ORD-001 not found or has been modified').length, 1);
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').statusHistory.length, 1);
+  });
+
+  it('leaves orders already in the requested status untouched', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'shipped' })]);
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'shipped' });
+
+    assert.equal(result, 'Order ORD-001 is already in shipped status');
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').statusHistory, undefined);
+  });
+
+  it('reports missing orders without creating them', async () => {
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-404', newStatus: 'shipped' });
+
+    assert.equal(result, 'Order ORD-404 not found');
+    assert.deepEqual(table.list(`${TEST_TENANT}#orders`), []);
+  });
+
+  it('requires a tenant', async () => {
+    const result = await changeOrderStatus.handler(undefined, { orderId: 'ORD-001', newStatus: 'shipped' });
+
+    assert.equal(result, 'Unauthorized: Missing tenant context');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { converse, convertToBedrockTools } from '../functions/utils/agents.mjs';
+import { createScriptedProvider, setModelProvider } from '../functions/utils/model-providers.mjs';
+
+const userMessage = (text) => ({ parts: [{ text }] });
+
+const recordingTool = (name, { isMultiTenant = true } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    definition: {
+      isMultiTenant,
+      name,
+      description: `Test tool ${name}`,
+      schema: z.object({ orderId: z.string() }),
+      handler: async (...args) => {
+        calls.push(args);
+        return `${name} done`;
+      }
+    }
+  };
+};
+
+describe('createScriptedProvider', () => {
+  it('replays turns in order and records each request', async () => {
+    const provider = createScriptedProvider(['first', [{ text: 'second' }]]);
+
+    const first = await provider.converse({ system: [{ text: 'prompt' }], messages: [] });
+    const second = await provider.converse({ system: [{ text: 'prompt' }], messages: [] });
+
+    assert.deepEqual(first.output.message.content, [{ text: 'first' }]);
+    assert.equal(first.stopReason, 'end_turn');
+    assert.deepEqual(second.output.message.content, [{ text: 'second' }]);
+    assert.equal(provider.requests.length, 2);
+  });
+
+  it('assigns tool use ids and reports tool_use stops', async () => {
+    const provider = createScriptedProvider([[{ toolUse: { name: 'processRefund', input: { orderId: 'ORD-1' } } }]]);
+
+    const response = await provider.converse({ system: [{ text: 'prompt' }], messages: [] });
+
+    assert.equal(response.stopReason, 'tool_use');
+    assert.equal(response.output.message.content[0].toolUse.toolUseId, 'scripted-tool-use-1');
+  });
+
+  it('selects turns by system prompt fragment', async () => {
+    const provider = createScriptedProvider({
+      'Payment Agent': ['refunded'],
+      'Order Agent': ['duplicated']
+    });
+
+    const order = await provider.converse({ system: [{ text: 'You are the Order Agent' }], messages: [] });
+    const payment = await provider.converse({ system: [{ text: 'You are the Payment Agent' }], messages: [] });
+
+    assert.equal(order.output.message.content[0].text, 'duplicated');
+    assert.equal(payment.output.message.content[0].text, 'refunded');
+  });
+
+  it('fails once the script is exhausted', async () => {
+    const provider = createScriptedProvider([]);
+
+    await assert.rejects(provider.converse({ system: [], messages: [] }), /no remaining turns/);
+  });
+});
+
+describe('converse', () => {
+  afterEach(() => setModelProvider(undefined));
+
+  it('runs scripted tool calls with the caller tenant and returns the final text', async () => {
+    const tool = recordingTool('changeOrderStatus');
+    const provider = createScriptedProvider([
+      [{ toolUse: { name: 'changeOrderStatus', input: { orderId: 'ORD-1' } } }],
+      'Order updated'
+    ]);
+
+    const response = await converse('model', 'prompt', userMessage('update ORD-1'), convertToBedrockTools([tool.definition]), {
+      tenantId: 'tenant-a',
+      contextId: 'ctx-1',
+      modelProvider: provider
+    });
+
+    assert.equal(response, 'Order updated');
+    assert.deepEqual(tool.calls, [['tenant-a', { orderId: 'ORD-1' }, { contextId: 'ctx-1' }]]);
+
+    const toolResult = provider.requests[1].messages.at(-1).content[0].toolResult;
+    assert.equal(toolResult.toolUseId, 'scripted-tool-use-1');
+    assert.deepEqual(toolResult.content, [{ text: JSON.stringify('changeOrderStatus done') }]);
+  });
+
+  it('omits the tenant for single-tenant tools', async () => {
+    const tool = recordingTool('lookup', { isMultiTenant: false });
+    setModelProvider(createScriptedProvider([
+      [{ toolUse: { name: 'lookup', input: { orderId: 'ORD-2' } } }],
+      'done'
+    ]));
+
+    await converse('model', 'prompt', userMessage('look up ORD-2'), convertToBedrockTools([tool.definition]), { tenantId: 'tenant-a' });
+
+    assert.deepEqual(tool.calls, [[{ orderId: 'ORD-2' }]]);
+  });
+
+  it('reports unknown tools back to the model as errors', async () => {
+    const provider = createScriptedProvider([
+      [{ toolUse: { name: 'missingTool', input: {} } }],
+      'gave up'
+    ]);
+
+    const response = await converse('model', 'prompt', userMessage('hi'), [], { modelProvider: provider });
+
+    assert.equal(response, 'gave up');
+    const toolResult = provider.requests[1].messages.at(-1).content[0].toolResult;
+    assert.deepEqual(JSON.parse(toolResult.content[0].text), { error: 'Unknown tool: missingTool' });
+  });
+
+  it('strips thinking tags from the final response', async () => {
+    const provider = createScriptedProvider(['<thinking>plan</thinking> Answer']);
+
+    const response = await converse('model', 'prompt', userMessage('hi'), [], { modelProvider: provider });
+
+    assert.equal(response, 'Answer');
+  });
+});
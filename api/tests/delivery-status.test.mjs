@@ -0,0 +1,255 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { handler as updateStatus } from '../functions/delivery/update-status.mjs';
+import { parseDeliveryStatusUpdate } from '../functions/utils/deliveries.mjs';
+import { hashRequest } from '../functions/utils/idempotency.mjs';
+import { useMemoryTable, listOutbox, orderRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const validUpdate = {
+  orderId: 'ORD-001',
+  status: 'failed',
+  timestamp: '2025-01-01T12:00:00Z',
+  location: { latitude: 36.1699, longitude: -115.1398, address: '1 Main St, Las Vegas, NV' },
+  driverId: 'DRV-001',
+  reason: 'Customer not home'
+};
+
+const postStatus = (body, { deliveryId = 'DEL-001', tenantId = TEST_TENANT, headers = {} } = {}) => updateStatus({
+  pathParameters: { deliveryId },
+  headers,
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+  requestContext: { authorizer: { tenantId } }
+}).then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+
+const outboxEvents = () => listOutbox(table);
+
+describe('POST /deliveries/{deliveryId}/statuses', () => {
+  it('stores the validated update with the driver\'s timestamp as reportedAt', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    const { statusCode } = await postStatus({ ...validUpdate, notes: 'not part of the schema' });
+
+    assert.equal(statusCode, 202);
+    const [stored] = table.list(`${TEST_TENANT}#delivery#DEL-001`);
+    assert.equal(stored.reportedAt, '2025-01-01T12:00:00Z');
+    assert.deepEqual(stored.location, validUpdate.location);
+    assert.equal(stored.notes, undefined);
+  });
+
+  it('stores a delivered update without a reason', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+    const { reason, ...delivered } = validUpdate;
+
+    const { statusCode } = await postStatus({ ...delivered, status: 'delivered' });
+
+    assert.equal(statusCode, 202);
+    assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`)[0].status, 'delivered');
+  });
+
+  it('rejects an invalid body with field-level issues and stores nothing', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    const { statusCode, body } = await postStatus({
+      ...validUpdate,
+      status: 'lost',
+      timestamp: 'yesterday',
+      location: { latitude: 120, longitude: -115.1398 },
+      reason: undefined
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'VALIDATION_FAILED');
+    assert.deepEqual(body.error.issues.map(issue => issue.path), ['status', 'timestamp', 'location.latitude']);
+    assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`).length, 0);
+    assert.equal(outboxEvents().length, 0);
+  });
+
+  it('requires a reason for failed updates', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    const { statusCode, body } = await postStatus({ ...validUpdate, reason: undefined });
+
+    assert.equal(statusCode, 400);
+    assert.deepEqual(body.error.issues, [{ path: 'reason', message: 'A reason is required for failed updates' }]);
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const { statusCode, body } = await postStatus('{"orderId":');
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'VALIDATION_FAILED');
+    assert.deepEqual(body.error.issues, [{ path: '', message: 'Request body must be a JSON object' }]);
+  });
+
+  it('rejects updates for an order the tenant does not have', async () => {
+    table.seed([orderRecord('other-tenant', 'ORD-001')]);
+
+    const { statusCode, body } = await postStatus(validUpdate);
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'UNKNOWN_DELIVERY');
+  });
+
+  it('rejects updates that move a delivery to a different order', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), orderRecord(TEST_TENANT, 'ORD-002')]);
+    await postStatus(validUpdate);
+
+    const { statusCode, body } = await postStatus({ ...validUpdate, orderId: 'ORD-002' });
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'UNKNOWN_DELIVERY');
+    assert.equal(body.error.message, 'Delivery DEL-001 belongs to order ORD-001, not ORD-002');
+  });
+
+  it('writes the triage event to the outbox along with the status', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    const { body } = await postStatus(validUpdate);
+
+    const [stored] = table.list(`${TEST_TENANT}#delivery#DEL-001`);
+    const [outboxEvent] = outboxEvents();
+    const detail = JSON.parse(outboxEvent.detail);
+    assert.equal(outboxEvent.detailType, 'Delivery Status Update');
+    assert.equal(detail.eventId, outboxEvent.eventId);
+    assert.equal(detail.contextId, body.notifications.contextId);
+    assert.equal(detail.status.timestamp, stored.timestamp);
+  });
+});
+
+describe('POST /deliveries/{deliveryId}/statuses with an Idempotency-Key', () => {
+  const withKey = (key) => ({ headers: { 'Idempotency-Key': key } });
+
+  it('stores a retried update and its event once and returns the original context', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    const first = await postStatus(validUpdate, withKey('retry-1'));
+    const retry = await postStatus(validUpdate, { headers: { 'idempotency-key': 'retry-1', 'X-Context-Id': 'ctx-other' } });
+
+    assert.equal(first.statusCode, 202);
+    assert.deepEqual(retry, first);
+    assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`).length, 1);
+    assert.equal(outboxEvents().length, 1);
+    assert.deepEqual(table.list('contexts').map(context => context.contextId), [first.body.notifications.contextId]);
+  });
+
+  it('republishes a retry that rewrites the outbox event under the same eventId', async () => {
+    // A claim whose first attempt died after writing, e.g. before the key could be completed
+    const staleClaim = () => ({
+      pk: `${TEST_TENANT}#idempotency`,
+      sk: 'delivery-status#DEL-001#retry-1',
+      state: 'in_progress',
+      lockedUntil: Math.floor(Date.now() / 1000) - 1,
+      requestHash: hashRequest(parseDeliveryStatusUpdate(validUpdate).update),
+      contextId: 'ctx-first',
+      receivedAt: '2025-01-01T12:00:01.000Z'
+    });
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), staleClaim()]);
+    await postStatus(validUpdate, withKey('retry-1'));
+    const [first] = outboxEvents();
+    table.seed([staleClaim()]);
+
+    await postStatus(validUpdate, withKey('retry-1'));
+
+    const [rewritten] = outboxEvents();
+    assert.equal(outboxEvents().length, 1);
+    assert.equal(rewritten.eventId, first.eventId);
+    assert.equal(JSON.parse(rewritten.detail).eventId, first.eventId);
+  });
+
+  it('treats the same key on another delivery as a separate update', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+
+    await postStatus(validUpdate, withKey('retry-1'));
+    const other = await postStatus(validUpdate, { deliveryId: 'DEL-002', ...withKey('retry-1') });
+
+    assert.equal(other.statusCode, 202);
+    assert.equal(outboxEvents().length, 2);
+  });
+
+  it('rejects a key reused for a different update', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+    await postStatus(validUpdate, withKey('retry-1'));
+
+    const { statusCode, body } = await postStatus({ ...validUpdate, reason: 'Gate locked' }, withKey('retry-1'));
+
+    assert.equal(statusCode, 422);
+    assert.equal(body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`).length, 1);
+  });
+
+  it('lets a retry take over a key whose first attempt died, without a second status', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001'),
+      {
+        pk: `${TEST_TENANT}#idempotency`,
+        sk: 'delivery-status#DEL-001#retry-1',
+        state: 'in_progress',
+        lockedUntil: Math.floor(Date.now() / 1000) - 1,
+        requestHash: hashRequest(parseDeliveryStatusUpdate(validUpdate).update),
+        contextId: 'ctx-first',
+        receivedAt: '2025-01-01T12:00:01.000Z'
+      },
+      { pk: `${TEST_TENANT}#delivery#DEL-001`, sk: 'status#2025-01-01T12:00:01.000Z', deliveryId: 'DEL-001', orderId: 'ORD-001', status: 'failed', timestamp: '2025-01-01T12:00:01.000Z', tenantId: TEST_TENANT }
+    ]);
+
+    const { statusCode, body } = await postStatus(validUpdate, withKey('retry-1'));
+
+    assert.equal(statusCode, 202);
+    assert.equal(body.notifications.contextId, 'ctx-first');
+    assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`).length, 1);
+    assert.equal(outboxEvents().length, 1);
+  });
+
+  it('reports a key that is still being processed', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001'),
+      {
+        pk: `${TEST_TENANT}#idempotency`,
+        sk: 'delivery-status#DEL-001#retry-1',
+        state: 'in_progress',
+        lockedUntil: Math.floor(Date.now() / 1000) + 30,
+        requestHash: hashRequest(parseDeliveryStatusUpdate(validUpdate).update),
+        contextId: 'ctx-1'
+      }
+    ]);
+
+    const { statusCode, body } = await postStatus(validUpdate, withKey('retry-1'));
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.error.code, 'IDEMPOTENCY_KEY_IN_USE');
+    assert.equal(outboxEvents().length, 0);
+  });
+
+  it('accepts the update when its key cannot be marked completed after it was stored', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+    const send = DynamoDBClient.prototype.send;
+    mock.method(DynamoDBClient.prototype, 'send', function (command) {
+      if (command.input.ExpressionAttributeValues?.[':completed']) {
+        return Promise.reject(new Error('Throughput exceeded'));
+      }
+      return send.call(this, command);
+    });
+    const warn = mock.method(console, 'warn', () => {});
+
+    try {
+      const { statusCode } = await postStatus(validUpdate, withKey('retry-1'));
+
+      assert.equal(statusCode, 202);
+      assert.equal(warn.mock.callCount(), 1);
+      assert.equal(table.list(`${TEST_TENANT}#delivery#DEL-001`).length, 1);
+      assert.equal(outboxEvents().length, 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('rejects a malformed key', async () => {
+    const { statusCode, body } = await postStatus(validUpdate, withKey('has spaces'));
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.issues[0].path, 'headers.Idempotency-Key');
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { handler } from '../functions/demo/reset.mjs';
+import { useMemoryTable, orderRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const partitionSizes = () => table.list().reduce((sizes, item) => {
+  sizes[item.pk] = (sizes[item.pk] ?? 0) + 1;
+  return sizes;
+}, {});
+
+// Everything except timestamps, which move with the time of the reset
+const snapshot = () => ({
+  orders: table.list(`${TEST_TENANT}#orders`).map(({ orderId, status, items, totalAmount, customerId }) => ({ orderId, status, items, totalAmount, customerId })),
+  products: table.list(`${TEST_TENANT}#inventory`).map(({ sku, availableQuantity, allocatedQuantity, weight, tags }) => ({ sku, availableQuantity, allocatedQuantity, weight, tags })),
+  payments: table.list(`${TEST_TENANT}#payments`).map(({ paymentId, status, paymentMethod, riskScore, authorizationCode }) => ({ paymentId, status, paymentMethod, riskScore, authorizationCode })),
+  exceptions: table.list(`${TEST_TENANT}#delivery-exceptions`).map(({ exceptionId, orderId, type }) => ({ exceptionId, orderId, type }))
+});
+
+describe('demo reset', () => {
+  it('seeds the full scenario under the tenant partitions', async () => {
+    const response = await handler({ body: JSON.stringify({ tenantId: TEST_TENANT }) });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.body).dataCreated, {
+      customers: 5, orders: 15, products: 10, payments: 15, deliveryExceptions: 5, deliveryStatuses: 0
+    });
+    assert.deepEqual(partitionSizes(), {
+      [`${TEST_TENANT}#customers`]: 5,
+      [`${TEST_TENANT}#orders`]: 15,
+      [`${TEST_TENANT}#inventory`]: 10,
+      [`${TEST_TENANT}#payments`]: 15,
+      [`${TEST_TENANT}#delivery-exceptions`]: 5
+    });
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-DEMO-001');
+    assert.equal(order.GSI1PK, `${TEST_TENANT}#orders#${order.status}`);
+    assert.equal(order.paymentId, 'PAY-DEMO-001');
+    assert.ok(order.statusHistory.length > 0);
+
+    const payment = table.get(`${TEST_TENANT}#payments`, 'payment#PAY-DEMO-001');
+    assert.equal(payment.orderId, 'ORD-DEMO-001');
+    assert.equal(payment.amount, order.totalAmount);
+  });
+
+  it('accepts direct invocations with the minimal scenario', async () => {
+    const response = await handler({ tenantId: TEST_TENANT, scenarioType: 'minimal' });
+
+    assert.equal(JSON.parse(response.body).dataCreated.orders, 1);
+    assert.equal(table.list(`${TEST_TENANT}#orders`).length, 1);
+  });
+
+  it('replaces existing tenant data and leaves other tenants alone', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-STALE'),
+      orderRecord('other-tenant', 'ORD-KEEP')
+    ]);
+
+    await handler({ tenantId: TEST_TENANT, scenarioType: 'minimal' });
+
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-STALE'), undefined);
+    assert.ok(table.get('other-tenant#orders', 'order#ORD-KEEP'));
+  });
+
+  it('removes existing tenant data that spans several scan pages', async () => {
+    table.seed([
+      orderRecord('other-tenant', 'ORD-KEEP'),
+      ...['ORD-STALE-1', 'ORD-STALE-2', 'ORD-STALE-3'].map(orderId => orderRecord(TEST_TENANT, orderId))
+    ]);
+    const send = DynamoDBClient.prototype.send;
+    let scans = 0;
+    mock.method(DynamoDBClient.prototype, 'send', function (command) {
+      if (command instanceof ScanCommand) {
+        // Rescanning the first page would never finish
+        if (++scans > 20) return Promise.reject(new Error('Scan did not advance'));
+        command.input.Limit = 1;
+      }
+      return send.call(this, command);
+    });
+
+    try {
+      const response = await handler({ tenantId: TEST_TENANT, scenarioType: 'minimal' });
+      assert.equal(response.statusCode, 200);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepEqual(table.list(`${TEST_TENANT}#orders`).map(order => order.orderId), ['ORD-DEMO-001']);
+    assert.ok(table.get('other-tenant#orders', 'order#ORD-KEEP'));
+  });
+
+  it('stages a damaged high-value order with replacement stock', async () => {
+    const response = await handler({ tenantId: TEST_TENANT, scenarioType: 'damaged_high_value' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).scenarioType, 'damaged_high_value');
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-DEMO-001');
+    assert.equal(order.status, 'delivery_failed');
+    assert.equal(order.GSI1PK, `${TEST_TENANT}#orders#delivery_failed`);
+    assert.ok(order.totalAmount > 200);
+    assert.equal(order.shippingMethod, 'express');
+
+    const payment = table.get(`${TEST_TENANT}#payments`, 'payment#PAY-DEMO-001');
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.amount, order.totalAmount);
+
+    for (const item of order.items) {
+      assert.ok(table.get(`${TEST_TENANT}#inventory`, `product#${item.sku}`).availableQuantity >= item.quantity);
+    }
+
+    const [status] = table.list(`${TEST_TENANT}#delivery#DEL-DEMO-001`);
+    assert.equal(status.status, 'exception');
+    const exception = table.get(`${TEST_TENANT}#delivery-exceptions`, 'exception#EXC-DEMO-001');
+    assert.equal(exception.type, 'package_damaged');
+    assert.equal(exception.orderId, 'ORD-DEMO-001');
+  });
+
+  it('stages three failed delivery attempts', async () => {
+    await handler({ tenantId: TEST_TENANT, scenarioType: 'third_failed_attempt' });
+
+    const statuses = table.list(`${TEST_TENANT}#delivery#DEL-DEMO-001`);
+    assert.deepEqual(statuses.map(status => status.status), ['failed', 'failed', 'failed']);
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-DEMO-001');
+    assert.equal(order.statusHistory.filter(entry => entry.status === 'delivery_failed').length, 3);
+
+    const exception = table.get(`${TEST_TENANT}#delivery-exceptions`, 'exception#EXC-DEMO-001');
+    assert.equal(exception.deliveryAttempts.length, 3);
+  });
+
+  it('stages a hazmat hold on an order with lithium batteries', async () => {
+    await handler({ tenantId: TEST_TENANT, scenarioType: 'hazmat_hold' });
+
+    const order = table.get(`${TEST_TENANT}#orders`, 'order#ORD-DEMO-001');
+    assert.equal(order.status, 'shipped');
+
+    const exception = table.get(`${TEST_TENANT}#delivery-exceptions`, 'exception#EXC-DEMO-001');
+    assert.equal(exception.type, 'hazmat_hold');
+    assert.equal(exception.hazmat.unNumber, 'UN3481');
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-DEMO-005').hazmat.unNumber, 'UN3481');
+  });
+
+  it('rejects unknown scenarios without touching existing data', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-KEEP')]);
+
+    const response = await handler({ tenantId: TEST_TENANT, scenarioType: 'toString' });
+
+    assert.equal(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error, /damaged_high_value, third_failed_attempt, hazmat_hold/);
+    assert.ok(table.get(`${TEST_TENANT}#orders`, 'order#ORD-KEEP'));
+  });
+
+  it('recreates the same data set from the same seed', async () => {
+    const first = await handler({ tenantId: TEST_TENANT, scenarioType: 'full', seed: 20240611 });
+    const firstSnapshot = snapshot();
+    const second = await handler({ tenantId: TEST_TENANT, scenarioType: 'full', seed: 20240611 });
+
+    assert.equal(JSON.parse(first.body).seed, 20240611);
+    assert.equal(JSON.parse(second.body).seed, 20240611);
+    assert.deepEqual(snapshot(), firstSnapshot);
+
+    await handler({ tenantId: TEST_TENANT, scenarioType: 'full', seed: 7 });
+    assert.notDeepEqual(snapshot(), firstSnapshot);
+  });
+
+  it('echoes a generated seed that recreates the data set', async () => {
+    const response = await handler({ body: JSON.stringify({ tenantId: TEST_TENANT }) });
+    const { seed } = JSON.parse(response.body);
+    const original = snapshot();
+
+    assert.ok(Number.isInteger(seed));
+    await handler({ body: JSON.stringify({ tenantId: TEST_TENANT, seed }) });
+    assert.deepEqual(snapshot(), original);
+  });
+
+  it('rejects seeds that are not 32-bit unsigned integers', async () => {
+    for (const seed of [-1, 1.5, '42', 2 ** 32]) {
+      const response = await handler({ tenantId: TEST_TENANT, seed });
+      assert.equal(response.statusCode, 400);
+    }
+  });
+});
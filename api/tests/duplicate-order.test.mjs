@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateOrder } from '../functions/tools/duplicate-order.mjs';
+import { getOrderLineage } from '../functions/tools/get-order-lineage.mjs';
+import { processRefundTool } from '../functions/tools/process-refund.mjs';
+import { useMemoryTable, orderRecord, paymentRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const newOrders = () => table.list(`${TEST_TENANT}#orders`).filter(order => order.orderId !== 'ORD-001');
+
+describe('duplicateOrder', () => {
+  it('creates a pending copy of the original order in the same partition', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed' })]);
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    const [copy] = newOrders();
+    assert.equal(result, 'Order ORD-001-R1 created as duplicate of ORD-001 (value $50, not charged)');
+    assert.equal(copy.sk, 'order#ORD-001-R1');
+    assert.equal(copy.status, 'pending');
+    assert.equal(copy.GSI1PK, `${TEST_TENANT}#orders#pending`);
+    assert.deepEqual(copy.items, [{ sku: 'SKU-001', name: 'Widget', quantity: 2, price: 25, total: 50 }]);
+    assert.equal(copy.totalAmount, 0);
+    assert.equal(copy.uncharged, true);
+    assert.equal(copy.replacementValue, 50);
+    assert.equal(copy.statusHistory[0].notes, 'Duplicated from order ORD-001');
+  });
+
+  it('links the replacement and the original in both directions', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed' }),
+      { pk: `${TEST_TENANT}#refunds`, sk: 'refund#ref_1', GSI1PK: `${TEST_TENANT}#orders#ORD-001`, GSI1SK: 'refund#2025-01-02', refundId: 'ref_1', status: 'completed' },
+      { pk: `${TEST_TENANT}#allocations`, sk: 'ORD-001#SKU-001', allocationId: 'alloc-1', productId: 'SKU-001', status: 'allocated' },
+      { pk: `${TEST_TENANT}#allocations`, sk: 'ORD-001#SKU-002', allocationId: 'alloc-2', productId: 'SKU-002', status: 'released' }
+    ]);
+
+    await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    const copy = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1');
+    assert.equal(copy.replacementOf, 'ORD-001');
+    assert.equal(copy.rootOrderId, 'ORD-001');
+    assert.equal(copy.replacementDepth, 1);
+    assert.deepEqual(copy.refundIds, ['ref_1']);
+    assert.deepEqual(copy.allocationIds, ['alloc-1']);
+
+    const original = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001');
+    assert.equal(original.status, 'replacement_created');
+    assert.equal(original.GSI1PK, `${TEST_TENANT}#orders#replacement_created`);
+    assert.deepEqual(original.replacements.map(({ orderId, refundIds, allocationIds }) => ({ orderId, refundIds, allocationIds })), [
+      { orderId: 'ORD-001-R1', refundIds: ['ref_1'], allocationIds: ['alloc-1'] }
+    ]);
+    assert.equal(original.statusHistory.at(-1).notes, 'Replaced by order ORD-001-R1');
+  });
+
+  it('does not carry the original payment, so the replacement cannot be refunded against it', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed' }),
+      paymentRecord(TEST_TENANT, 'PAY-001', { orderId: 'ORD-001', amount: 100 })
+    ]);
+    await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 50, reason: 'damaged_package' });
+    await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    const result = await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001-R1', refundAmount: 100, reason: 'damaged_package' });
+
+    const replacement = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1');
+    assert.equal(replacement.paymentId, undefined);
+    assert.equal(replacement.totalAmount, 0);
+    assert.equal(replacement.uncharged, true);
+    assert.equal(result, 'Refund rejected: Order ORD-001-R1 replaces order ORD-001 and was not charged; refund order ORD-001 instead');
+    assert.equal(table.get(`${TEST_TENANT}#payments`, 'payment#PAY-001').refundAmount, 50);
+  });
+
+  it('records explicitly provided refunds and allocations', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivered' })]);
+
+    await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001', refundIds: ['ref_9'], allocationIds: ['alloc-9'] });
+
+    const copy = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1');
+    assert.deepEqual(copy.refundIds, ['ref_9']);
+    assert.deepEqual(copy.allocationIds, ['alloc-9']);
+  });
+
+  it('walks the replacement chain from any order in it', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed' })]);
+
+    await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+    table.seed([{ ...table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1'), status: 'delivery_failed' }]);
+    await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001-R1' });
+
+    const lineage = await getOrderLineage.handler(TEST_TENANT, { orderId: 'ORD-001-R1' });
+
+    assert.equal(lineage.chain, 'ORD-001 -> ORD-001-R1 -> ORD-001-R2');
+    assert.deepEqual(lineage.orders.map(order => [order.orderId, order.replacementOf, order.replacementDepth]), [
+      ['ORD-001', null, 0],
+      ['ORD-001-R1', 'ORD-001', 1],
+      ['ORD-001-R2', 'ORD-001-R1', 2]
+    ]);
+  });
+
+  it('caps how many times one order can be replaced', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001-R3', { status: 'delivery_failed', rootOrderId: 'ORD-001', replacementDepth: 3 })]);
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001-R3' });
+
+    assert.match(result, /^Replacement limit reached: order ORD-001 has already been replaced 3 times/);
+    assert.equal(table.list(`${TEST_TENANT}#orders`).length, 1);
+  });
+
+  it('only replaces orders whose lifecycle allows it', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'replacement_created' })]);
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    assert.match(result, /^Cannot replace order ORD-001\. .*replacement_created is a final status/);
+    assert.equal(table.list(`${TEST_TENANT}#orders`).length, 1);
+  });
+
+  it('applies customer and shipping address overrides', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+    const shippingAddress = { street: '9 Elm St', city: 'Reno', state: 'NV', zipCode: '89501', country: 'US' };
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001', customerId: 'CUST-002', shippingAddress });
+
+    const [copy] = newOrders();
+    assert.match(result, /with customer ID CUST-002 with updated shipping address \(value \$50, not charged\)$/);
+    assert.equal(copy.customerId, 'CUST-002');
+    assert.deepEqual(copy.shippingAddress, shippingAddress);
+  });
+
+  describe('shipping and item overrides', () => {
+    const items = [
+      { sku: 'SKU-001', name: 'Watch', quantity: 1, price: 249.99 },
+      { sku: 'SKU-002', name: 'Bag', quantity: 3, price: 89.99 }
+    ];
+
+    it('replaces only the selected lines and recomputes the total', async () => {
+      table.seed([orderRecord(TEST_TENANT, 'ORD-001', { items, totalAmount: 519.96, shippingMethod: 'standard' })]);
+
+      const result = await duplicateOrder.handler(TEST_TENANT, {
+        originalOrderId: 'ORD-001',
+        shippingMethod: 'priority',
+        items: [{ sku: 'SKU-002', quantity: 2 }]
+      });
+
+      assert.equal(result, 'Order ORD-001-R1 created as duplicate of ORD-001 with priority shipping for 1 of 2 line items (value $179.98, not charged)');
+      const copy = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1');
+      assert.equal(copy.shippingMethod, 'priority');
+      assert.deepEqual(copy.items, [{ sku: 'SKU-002', name: 'Bag', quantity: 2, price: 89.99, total: 179.98 }]);
+      assert.equal(copy.replacementValue, 179.98);
+    });
+
+    it('ships no-charge lines at zero price and remembers the original price', async () => {
+      table.seed([orderRecord(TEST_TENANT, 'ORD-001', { items })]);
+
+      await duplicateOrder.handler(TEST_TENANT, {
+        originalOrderId: 'ORD-001',
+        items: [{ sku: 'SKU-001', noCharge: true }, { sku: 'SKU-002', quantity: 1 }]
+      });
+
+      const copy = table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1');
+      assert.deepEqual(copy.items[0], { sku: 'SKU-001', name: 'Watch', quantity: 1, price: 0, total: 0, originalPrice: 249.99 });
+      assert.equal(copy.replacementValue, 89.99);
+    });
+
+    it('rejects lines that are not on the original order or exceed its quantity', async () => {
+      table.seed([orderRecord(TEST_TENANT, 'ORD-001', { items })]);
+
+      const unknown = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001', items: [{ sku: 'SKU-404' }] });
+      const tooMany = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001', items: [{ sku: 'SKU-001', quantity: 2 }] });
+
+      assert.equal(unknown, 'Cannot replace order ORD-001: item SKU-404 is not on the original order');
+      assert.equal(tooMany, 'Cannot replace order ORD-001: item SKU-001 was ordered 1 time(s), cannot replace 2');
+      assert.equal(table.list(`${TEST_TENANT}#orders`).length, 1);
+      assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').status, 'shipped');
+    });
+  });
+
+  it('reports missing originals', async () => {
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-404' });
+
+    assert.equal(result, 'Original order ORD-404 not found');
+    assert.deepEqual(table.list(`${TEST_TENANT}#orders`), []);
+  });
+
+  it('does not read orders from other tenants', async () => {
+    table.seed([orderRecord('other-tenant', 'ORD-001')]);
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    assert.equal(result, 'Original order ORD-001 not found');
+    assert.equal(table.list('other-tenant#orders').length, 1);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEntityType, parseEntity, validateEntity } from '../functions/utils/entity-schemas.mjs';
+import { validateOrderData } from '../functions/demo/scenario-generators.mjs';
+import { DEMO_SCENARIOS } from '../functions/demo/scenarios.mjs';
+import { createSeededRandom } from '../functions/utils/random.mjs';
+import { changeOrderStatus } from '../functions/tools/change-order-status.mjs';
+import { duplicateOrder } from '../functions/tools/duplicate-order.mjs';
+import { processRefundTool } from '../functions/tools/process-refund.mjs';
+import { useMemoryTable, orderRecord, paymentRecord, productRecord, customerRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+describe('entity schemas', () => {
+  it('accepts the records the tools and test fixtures write', () => {
+    assert.equal(validateEntity('order', orderRecord(TEST_TENANT, 'ORD-001')), null);
+    assert.equal(validateEntity('payment', paymentRecord(TEST_TENANT, 'PAY-001')), null);
+    assert.equal(validateEntity('product', productRecord(TEST_TENANT, 'SKU-001')), null);
+    assert.equal(validateEntity('customer', customerRecord(TEST_TENANT, 'CUST-001')), null);
+  });
+
+  it('reports every failing field with its path', () => {
+    const result = validateEntity('order', orderRecord(TEST_TENANT, 'ORD-001', {
+      status: 'lost',
+      items: [{ sku: 'SKU-001', quantity: 0, price: 25 }]
+    }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'VALIDATION_FAILED');
+    assert.equal(result.entity, 'order');
+    assert.equal(result.id, 'ORD-001');
+    assert.deepEqual(result.issues.map(issue => issue.path).sort(), ['items.0.quantity', 'status']);
+    assert.match(result.message, /^Order ORD-001 failed validation: /);
+  });
+
+  it('requires keys to agree with the fields they are derived from', () => {
+    const result = validateEntity('order', orderRecord(TEST_TENANT, 'ORD-001', { sk: 'order#ORD-002', GSI1PK: `${TEST_TENANT}#orders#pending` }));
+
+    assert.deepEqual(result.issues, [
+      { path: 'sk', message: 'Expected order#ORD-001' },
+      { path: 'GSI1PK', message: `Expected ${TEST_TENANT}#orders#shipped` }
+    ]);
+    assert.equal(validateEntity('order', { ...orderRecord(TEST_TENANT, 'ORD-001'), pk: `${TEST_TENANT}#payments` }).issues[0].path, 'pk');
+  });
+
+  it('rejects payments refunded beyond the amount charged', () => {
+    const result = validateEntity('payment', paymentRecord(TEST_TENANT, 'PAY-001', { amount: 50, refundAmount: 60 }));
+
+    assert.deepEqual(result.issues.map(issue => issue.path), ['refundAmount']);
+  });
+
+  it('throws from parseEntity and the generator validators', () => {
+    const order = orderRecord(TEST_TENANT, 'ORD-001', { currency: 'dollars' });
+
+    assert.throws(() => parseEntity('order', order), error => error.code === 'VALIDATION_FAILED' && error.validation.issues[0].path === 'currency');
+    assert.throws(() => validateOrderData(order), { code: 'VALIDATION_FAILED' });
+    assert.equal(validateOrderData(orderRecord(TEST_TENANT, 'ORD-001')).orderId, 'ORD-001');
+  });
+
+  it('finds the entity type from the partition key', () => {
+    assert.equal(getEntityType({ pk: `${TEST_TENANT}#refunds` }), 'refund');
+    assert.equal(getEntityType({ pk: `${TEST_TENANT}#delivery#DEL-001` }), 'deliveryStatus');
+    assert.equal(getEntityType({ pk: `${TEST_TENANT}#delivery#DEL-001`, sk: 'resolution#2025-01-01T00:00:00.000Z' }), 'resolution');
+    assert.equal(getEntityType({ pk: `${TEST_TENANT}#delivery-exceptions` }), 'deliveryException');
+    assert.equal(getEntityType({ pk: 'contexts' }), null);
+  });
+
+  it('accepts every record the demo scenarios generate', () => {
+    for (const [name, scenario] of Object.entries(DEMO_SCENARIOS)) {
+      const data = scenario.generate(TEST_TENANT, createSeededRandom(7));
+
+      for (const record of Object.values(data).flat()) {
+        assert.equal(validateEntity(getEntityType(record), record), null, `${name}: ${record.pk} ${record.sk}`);
+      }
+    }
+  });
+});
+
+describe('write paths', () => {
+  it('changeOrderStatus returns the validation error and leaves a malformed order untouched', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { items: [] })]);
+
+    const result = await changeOrderStatus.handler(TEST_TENANT, { orderId: 'ORD-001', newStatus: 'delivered' });
+
+    assert.equal(result.error, 'VALIDATION_FAILED');
+    assert.deepEqual(result.issues.map(issue => issue.path), ['items']);
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').status, 'shipped');
+  });
+
+  it('duplicateOrder does not create a replacement that would fail validation', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed', shippingAddress: { street: '1 Main St' } })]);
+
+    const result = await duplicateOrder.handler(TEST_TENANT, { originalOrderId: 'ORD-001' });
+
+    assert.equal(result.error, 'VALIDATION_FAILED');
+    assert.equal(result.id, 'ORD-001-R1');
+    assert.ok(result.issues.every(issue => issue.path.startsWith('shippingAddress.')));
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001-R1'), undefined);
+    assert.equal(table.get(`${TEST_TENANT}#orders`, 'order#ORD-001').status, 'delivery_failed');
+  });
+
+  it('processRefund validates the refund and the updated payment before writing either', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001'),
+      paymentRecord(TEST_TENANT, 'PAY-001', { currency: undefined })
+    ]);
+
+    const result = await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 10, reason: 'damaged_package' });
+
+    assert.match(result, /^Refund rejected: Payment PAY-001 failed validation: currency /);
+    assert.equal(table.list(`${TEST_TENANT}#refunds`).length, 0);
+    assert.equal(table.get(`${TEST_TENANT}#payments`, 'payment#PAY-001').refundAmount, 0);
+  });
+});
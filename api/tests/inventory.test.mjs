@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { inventoryRecordSchema, normalizeInventoryRecord } from '../functions/utils/inventory.mjs';
+import { handler as migrateInventory } from '../functions/warehouse/migrate-inventory.mjs';
+import { handler as resetDemo } from '../functions/demo/reset.mjs';
+import { allocateInventory } from '../functions/tools/allocate-inventory.mjs';
+import { useMemoryTable, productRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+// Shape written by the demo seeders before the canonical model
+const legacyProduct = (tenantId, sku, overrides = {}) => ({
+  pk: `${tenantId}#inventory`,
+  sk: `product#${sku}`,
+  GSI1PK: `${tenantId}#inventory#available`,
+  GSI1SK: `electronics#${sku}`,
+  sku,
+  name: `Product ${sku}`,
+  category: 'electronics',
+  stockLevel: 12,
+  reservedStock: 2,
+  availableStock: 10,
+  ...overrides
+});
+
+describe('inventory records', () => {
+  it('normalizes legacy stock attributes into the canonical model', () => {
+    const record = normalizeInventoryRecord(legacyProduct(TEST_TENANT, 'SKU-001'));
+
+    assert.equal(record.availableQuantity, 10);
+    assert.equal(record.allocatedQuantity, 2);
+    assert.equal(record.GSI1PK, `${TEST_TENANT}#inventory`);
+    for (const attribute of ['stockLevel', 'reservedStock', 'availableStock']) {
+      assert.equal(attribute in record, false);
+    }
+    assert.ok(inventoryRecordSchema.safeParse(record).success);
+  });
+
+  it('leaves canonical records unchanged', () => {
+    const record = productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 4, allocatedQuantity: 1 });
+
+    assert.equal(normalizeInventoryRecord(record), record);
+  });
+
+  it('seeds demo data that the warehouse tools can allocate from', async () => {
+    await resetDemo({ tenantId: TEST_TENANT, scenarioType: 'damaged_high_value', seed: 1 });
+
+    for (const product of table.list(`${TEST_TENANT}#inventory`)) {
+      assert.ok(inventoryRecordSchema.safeParse(product).success, product.sku);
+    }
+
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-REPLACEMENT', productId: 'SKU-DEMO-001', quantity: 1 });
+
+    assert.match(result, /Successfully allocated 1 units of SKU-DEMO-001/);
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-DEMO-001').availableQuantity, 24);
+  });
+
+  it('migrates a legacy product the first time it is allocated', async () => {
+    table.seed([legacyProduct(TEST_TENANT, 'SKU-001')]);
+
+    const result = await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+
+    assert.match(result, /Successfully allocated 3 units/);
+    const product = table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001');
+    assert.equal(product.availableQuantity, 7);
+    assert.equal(product.allocatedQuantity, 5);
+    assert.equal(product.stockLevel, undefined);
+  });
+
+  it('migrates legacy items for one tenant and skips canonical ones', async () => {
+    table.seed([
+      legacyProduct(TEST_TENANT, 'SKU-001'),
+      productRecord(TEST_TENANT, 'SKU-002'),
+      legacyProduct('other-tenant', 'SKU-001')
+    ]);
+
+    assert.deepEqual(await migrateInventory({ tenantId: TEST_TENANT, dryRun: true }), { migrated: 1, skipped: 1, failed: 0, dryRun: true });
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001').stockLevel, 12);
+
+    assert.deepEqual(await migrateInventory({ tenantId: TEST_TENANT }), { migrated: 1, skipped: 1, failed: 0, dryRun: false });
+    assert.equal(table.get(`${TEST_TENANT}#inventory`, 'product#SKU-001').availableQuantity, 10);
+    assert.equal(table.get('other-tenant#inventory', 'product#SKU-001').stockLevel, 12);
+
+    assert.deepEqual(await migrateInventory(), { migrated: 1, skipped: 2, failed: 0, dryRun: false });
+    assert.equal(table.get('other-tenant#inventory', 'product#SKU-001').allocatedQuantity, 2);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+  QueryCommand,
+  UpdateItemCommand,
+  TransactWriteItemsCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { useMemoryTable } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+const ddb = new DynamoDBClient();
+
+describe('in-memory DynamoDB', () => {
+  it('rejects puts that fail their ConditionExpression', async () => {
+    table.seed([{ pk: 't#orders', sk: 'order#1', status: 'pending' }]);
+
+    await assert.rejects(ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Item: marshall({ pk: 't#orders', sk: 'order#1', status: 'shipped' }),
+      ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+    })), { name: 'ConditionalCheckFailedException' });
+
+    assert.equal(table.get('t#orders', 'order#1').status, 'pending');
+  });
+
+  it('returns the existing item on condition failure when asked', async () => {
+    table.seed([{ pk: 't#inventory', sk: 'product#A', availableQuantity: 1 }]);
+
+    const error = await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: 't#inventory', sk: 'product#A' }),
+      UpdateExpression: 'SET availableQuantity = availableQuantity - :qty',
+      ConditionExpression: 'availableQuantity >= :qty',
+      ExpressionAttributeValues: marshall({ ':qty': 2 }),
+      ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+    })).catch(err => err);
+
+    assert.equal(error.name, 'ConditionalCheckFailedException');
+    assert.equal(unmarshall(error.Item).availableQuantity, 1);
+  });
+
+  it('applies list_append with if_not_exists to missing and existing lists', async () => {
+    table.seed([{ pk: 't#orders', sk: 'order#1' }]);
+    const append = (entry) => ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: 't#orders', sk: 'order#1' }),
+      UpdateExpression: 'SET #history = list_append(if_not_exists(#history, :empty), :entry), #count = if_not_exists(#count, :zero) + :one',
+      ExpressionAttributeNames: { '#history': 'history', '#count': 'count' },
+      ExpressionAttributeValues: marshall({ ':empty': [], ':entry': [entry], ':zero': 0, ':one': 1 })
+    }));
+
+    await append('first');
+    await append('second');
+
+    const item = table.get('t#orders', 'order#1');
+    assert.deepEqual(item.history, ['first', 'second']);
+    assert.equal(item.count, 2);
+  });
+
+  it('queries GSI1 in sort key order', async () => {
+    table.seed([
+      { pk: 't#refunds', sk: 'refund#b', GSI1PK: 't#orders#1', GSI1SK: 'refund#2025-01-02', amount: 2 },
+      { pk: 't#refunds', sk: 'refund#a', GSI1PK: 't#orders#1', GSI1SK: 'refund#2025-01-01', amount: 1 },
+      { pk: 't#refunds', sk: 'refund#c', GSI1PK: 't#orders#2', GSI1SK: 'refund#2025-01-03', amount: 3 },
+      { pk: 't#refunds', sk: 'refund#d', amount: 4 }
+    ]);
+
+    const result = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :prefix)',
+      ExpressionAttributeValues: marshall({ ':pk': 't#orders#1', ':prefix': 'refund#' }),
+      ScanIndexForward: false
+    }));
+
+    assert.deepEqual(result.Items.map(item => unmarshall(item).amount), [2, 1]);
+  });
+
+  it('applies transactions atomically', async () => {
+    table.seed([{ pk: 't#inventory', sk: 'product#A', availableQuantity: 1 }]);
+
+    const error = await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: process.env.TABLE_NAME,
+            Item: marshall({ pk: 't#allocations', sk: 'ORD-1#A', quantity: 5 })
+          }
+        },
+        {
+          Update: {
+            TableName: process.env.TABLE_NAME,
+            Key: marshall({ pk: 't#inventory', sk: 'product#A' }),
+            UpdateExpression: 'SET availableQuantity = availableQuantity - :qty',
+            ConditionExpression: 'availableQuantity >= :qty',
+            ExpressionAttributeValues: marshall({ ':qty': 5 })
+          }
+        }
+      ]
+    })).catch(err => err);
+
+    assert.equal(error.name, 'TransactionCanceledException');
+    assert.deepEqual(error.CancellationReasons.map(reason => reason.Code), ['None', 'ConditionalCheckFailed']);
+    assert.equal(table.get('t#allocations', 'ORD-1#A'), undefined);
+    assert.equal(table.get('t#inventory', 'product#A').availableQuantity, 1);
+  });
+
+  it('returns nothing for missing items', async () => {
+    const result = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: 't#orders', sk: 'order#missing' })
+    }));
+
+    assert.equal(result.Item, undefined);
+  });
+});
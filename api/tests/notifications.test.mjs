@@ -0,0 +1,239 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SESv2Client } from '@aws-sdk/client-sesv2';
+import { SNSClient } from '@aws-sdk/client-sns';
+import { sendCustomerEmailTool } from '../functions/tools/send-email.mjs';
+import { handler as listNotifications } from '../functions/notifications/list-notifications.mjs';
+import { renderNotification } from '../functions/utils/notification-templates.mjs';
+import { useMemoryTable, orderRecord, customerRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const notify = (input) => sendCustomerEmailTool.handler(TEST_TENANT, { orderId: 'ORD-001', ...input });
+
+describe('renderNotification', () => {
+  it('fills placeholders and escapes values in the html body', () => {
+    const message = renderNotification('access_info_needed', 'en', {
+      customerName: 'Jamie <Rivera>',
+      orderId: 'ORD-001',
+      deliveryAddress: '1 Main St'
+    });
+
+    assert.equal(message.subject, 'We need access details to deliver order ORD-001');
+    assert.match(message.text, /^Hi Jamie <Rivera>,/);
+    assert.match(message.html, /<p>Hi Jamie &lt;Rivera&gt;,<\/p>/);
+  });
+
+  it('falls back to English for unsupported locales', () => {
+    const message = renderNotification('refund_issued', 'fr-CA', { customerName: 'Jamie', orderId: 'ORD-001', refundAmount: '$10.00' });
+
+    assert.equal(message.locale, 'en');
+  });
+
+  it('reports every missing variable', () => {
+    const message = renderNotification('replacement_shipped', 'en', { customerName: 'Jamie', orderId: 'ORD-001' });
+
+    assert.deepEqual(message, { error: 'Missing values for replacement_shipped: replacementOrderId, shippingMethod' });
+  });
+});
+
+describe('sendCustomerEmail', () => {
+  let send;
+
+  beforeEach(() => {
+    send = mock.method(SESv2Client.prototype, 'send', async () => ({ MessageId: 'msg-1' }));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.NOTIFICATION_TRANSPORT;
+  });
+
+  const sentEmail = () => send.mock.calls[0].arguments[0].input;
+
+  it('sends to the email on file for the order\'s customer', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001', { trackingNumber: 'TRK-001' }),
+      customerRecord(TEST_TENANT, 'CUST-001')
+    ]);
+
+    const result = await notify({ template: 'delivery_rescheduled', deliveryDate: 'Friday, June 6' });
+
+    assert.equal(result, 'Sent delivery_rescheduled notification (en) for order ORD-001 to customer CUST-001 via ses: "Your order ORD-001 has been rescheduled"');
+    assert.deepEqual(sentEmail().Destination, { ToAddresses: ['jamie@example.com'] });
+    assert.match(sentEmail().Content.Simple.Body.Text.Data, /another delivery attempt for Friday, June 6/);
+    assert.match(sentEmail().Content.Simple.Body.Text.Data, /tracking number TRK-001/);
+  });
+
+  it('uses the customer\'s preferred language', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001'),
+      customerRecord(TEST_TENANT, 'CUST-001', { preferences: { communicationMethod: 'email', language: 'es-MX' } })
+    ]);
+
+    const result = await notify({ template: 'access_info_needed' });
+
+    assert.match(result, /\(es\)/);
+    assert.equal(sentEmail().Content.Simple.Subject.Data, 'Necesitamos datos de acceso para entregar el pedido ORD-001');
+    assert.match(sentEmail().Content.Simple.Body.Text.Data, /1 Main St, Las Vegas, NV 89101/);
+  });
+
+  it('fills refund and replacement details from the order records', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'replacement_created', replacements: [{ orderId: 'ORD-001-R1' }] }),
+      orderRecord(TEST_TENANT, 'ORD-001-R1', { status: 'processing', shippingMethod: 'priority' }),
+      customerRecord(TEST_TENANT, 'CUST-001'),
+      {
+        pk: `${TEST_TENANT}#refunds`,
+        sk: 'refund#ref_1',
+        GSI1PK: `${TEST_TENANT}#orders#ORD-001`,
+        GSI1SK: 'refund#2025-01-02T00:00:00.000Z',
+        refundId: 'ref_1',
+        orderId: 'ORD-001',
+        refundAmount: 25,
+        status: 'completed'
+      }
+    ]);
+
+    await notify({ template: 'refund_issued' });
+    await notify({ template: 'replacement_shipped' });
+
+    assert.match(send.mock.calls[0].arguments[0].input.Content.Simple.Body.Text.Data, /refund of \$25\.00 for your order ORD-001/);
+    assert.match(send.mock.calls[1].arguments[0].input.Content.Simple.Body.Text.Data, /replacement order ORD-001-R1, which will ship via priority shipping/);
+  });
+
+  it('does not send when template values are missing', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001')]);
+
+    const result = await notify({ template: 'refund_issued' });
+
+    assert.equal(result, 'Unable to send refund_issued notification for order ORD-001: Missing values for refund_issued: refundAmount');
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('does not send when the customer has no email on file', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001', { email: undefined })]);
+
+    const result = await notify({ template: 'access_info_needed' });
+
+    assert.equal(result, 'Unable to notify customer for order ORD-001: no email address on file for customer CUST-001');
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('texts the customer\'s phone number with the sms transport', async () => {
+    process.env.NOTIFICATION_TRANSPORT = 'sms';
+    const publish = mock.method(SNSClient.prototype, 'send', async () => ({ MessageId: 'sms-1' }));
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001')]);
+
+    const result = await notify({ template: 'access_info_needed' });
+
+    assert.match(result, /via sms/);
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal(publish.mock.calls[0].arguments[0].input.PhoneNumber, '+1-555-0100');
+    assert.match(publish.mock.calls[0].arguments[0].input.Message, /^We need access details to deliver order ORD-001\n\nHi Jamie Rivera,/);
+  });
+
+  it('posts the rendered message with the webhook transport', async () => {
+    process.env.NOTIFICATION_TRANSPORT = 'webhook';
+    process.env.NOTIFICATION_WEBHOOK_URL = 'https://hooks.example.com/notifications';
+    const post = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 202 }));
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001')]);
+
+    await notify({ template: 'access_info_needed' });
+
+    const [url, init] = post.mock.calls[0].arguments;
+    assert.equal(url, 'https://hooks.example.com/notifications');
+    assert.deepEqual(JSON.parse(init.body).to, { email: 'jamie@example.com', phone: '+1-555-0100' });
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+  });
+
+  it('writes rendered messages to disk with the outbox transport', async () => {
+    process.env.NOTIFICATION_TRANSPORT = 'outbox';
+    process.env.NOTIFICATION_OUTBOX_DIR = await mkdtemp(join(tmpdir(), 'swiftship-outbox-'));
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001')]);
+
+    try {
+      await notify({ template: 'access_info_needed' });
+
+      const directory = join(process.env.NOTIFICATION_OUTBOX_DIR, TEST_TENANT, 'ORD-001');
+      const [file] = await readdir(directory);
+      const message = JSON.parse(await readFile(join(directory, file), 'utf8'));
+      assert.equal(message.subject, 'We need access details to deliver order ORD-001');
+      assert.equal(send.mock.callCount(), 0);
+    } finally {
+      await rm(process.env.NOTIFICATION_OUTBOX_DIR, { recursive: true, force: true });
+      delete process.env.NOTIFICATION_OUTBOX_DIR;
+    }
+  });
+
+  it('records failed deliveries', async () => {
+    send.mock.mockImplementation(async () => { throw new Error('Email address is not verified'); });
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), customerRecord(TEST_TENANT, 'CUST-001')]);
+
+    const result = await notify({ template: 'access_info_needed' });
+
+    assert.equal(result, 'Unable to send notification due to an error');
+    const [record] = table.list(`${TEST_TENANT}#notifications`);
+    assert.equal(record.status, 'failed');
+    assert.equal(record.error, 'Email address is not verified');
+  });
+
+  it('requires a tenant', async () => {
+    mock.method(console, 'error', () => {});
+
+    const result = await sendCustomerEmailTool.handler(undefined, { orderId: 'ORD-001', template: 'access_info_needed' });
+
+    assert.equal(result, 'Unauthorized: Missing tenant context');
+    assert.equal(send.mock.callCount(), 0);
+    assert.deepEqual(table.list(), []);
+  });
+});
+
+describe('GET /notifications', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.NOTIFICATION_TRANSPORT;
+  });
+
+  it('lists what was sent for an order', async () => {
+    process.env.NOTIFICATION_TRANSPORT = 'outbox';
+    table.seed([
+      orderRecord('example-tenant', 'ORD-001', { trackingNumber: 'TRK-001' }),
+      orderRecord('example-tenant', 'ORD-002'),
+      customerRecord('example-tenant', 'CUST-001')
+    ]);
+    await sendCustomerEmailTool.handler('example-tenant', { orderId: 'ORD-001', template: 'access_info_needed' });
+    await sendCustomerEmailTool.handler('example-tenant', { orderId: 'ORD-001', template: 'delivery_rescheduled', deliveryDate: 'tomorrow' });
+    await sendCustomerEmailTool.handler('example-tenant', { orderId: 'ORD-002', template: 'access_info_needed' });
+
+    const response = await listNotifications({
+      queryStringParameters: { orderId: 'ORD-001' },
+      requestContext: { authorizer: { tenantId: 'example-tenant' } }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.equal(body.orderId, 'ORD-001');
+    assert.deepEqual(body.notifications.map(notification => [notification.template, notification.transport, notification.status]), [
+      ['access_info_needed', 'outbox', 'sent'],
+      ['delivery_rescheduled', 'outbox', 'sent']
+    ]);
+    assert.match(body.notifications[1].text, /another delivery attempt for tomorrow/);
+  });
+
+  it('requires an orderId', async () => {
+    const response = await listNotifications({
+      queryStringParameters: null,
+      requestContext: { authorizer: { tenantId: 'example-tenant' } }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).error.code, 'INVALID_REQUEST_FORMAT');
+  });
+
+  it('does not accept a recipient from the model', () => {
+    assert.equal(sendCustomerEmailTool.schema.safeParse({ orderId: 'ORD-001', template: 'refund_issued', toEmail: 'x@example.com' }).data.toEmail, undefined);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { handler as publishOutbox } from '../functions/delivery/publish-outbox.mjs';
+import { handler as sweepOutbox } from '../functions/delivery/sweep-outbox.mjs';
+import { buildOutboxItem, claimOutboxEvent, completeOutboxEvent, releaseOutboxEvent } from '../functions/utils/outbox.mjs';
+import { useMemoryTable, listOutbox, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const outboxItem = (createdAt, deliveryId = 'DEL-001') => buildOutboxItem({
+  tenantId: TEST_TENANT,
+  source: 'swiftship.delivery',
+  detailType: 'Delivery Status Update',
+  detail: { deliveryId, tenantId: TEST_TENANT, status: { status: 'failed' } },
+  createdAt,
+  dedupeKey: `${TEST_TENANT}#${deliveryId}`
+});
+
+const streamRecord = (item, { eventName = 'INSERT', sequenceNumber = '1' } = {}) => ({
+  eventName,
+  dynamodb: { Keys: marshall({ pk: item.pk, sk: item.sk }), NewImage: marshall(item), SequenceNumber: sequenceNumber }
+});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('outbox stream publisher', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('publishes new outbox events and removes them from the outbox', async () => {
+    const item = outboxItem(minutesAgo(0));
+    table.seed([item]);
+    const publish = mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 0 }));
+
+    const result = await publishOutbox({ Records: [streamRecord(item)] });
+
+    assert.deepEqual(result, { batchItemFailures: [] });
+    const [entry] = publish.mock.calls[0].arguments[0].input.Entries;
+    assert.equal(entry.DetailType, 'Delivery Status Update');
+    assert.equal(JSON.parse(entry.Detail).eventId, item.eventId);
+    assert.equal(listOutbox(table).length, 0);
+  });
+
+  it('reports events EventBridge rejected so the stream retries them', async () => {
+    const item = outboxItem(minutesAgo(0));
+    table.seed([item]);
+    mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 1, Entries: [{ ErrorMessage: 'throttled' }] }));
+
+    const result = await publishOutbox({ Records: [streamRecord(item, { sequenceNumber: '42' })] });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: '42' }] });
+    assert.equal(listOutbox(table).length, 1);
+  });
+
+  it('ignores other table changes', async () => {
+    const publish = mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 0 }));
+    const status = { pk: `${TEST_TENANT}#delivery#DEL-001`, sk: 'status#2025-01-01T00:00:00.000Z' };
+
+    await publishOutbox({ Records: [streamRecord(status), { eventName: 'REMOVE', dynamodb: { Keys: marshall({ pk: 'outbox#0', sk: 'event#x' }) } }] });
+
+    assert.equal(publish.mock.callCount(), 0);
+  });
+
+  it('keeps an event that was rewritten while it was being published', async () => {
+    const published = outboxItem(minutesAgo(0));
+    const rewritten = { ...published, eventId: 'evt-rewritten' };
+    table.seed([rewritten]);
+    mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 0 }));
+
+    await publishOutbox({ Records: [streamRecord(published)] });
+
+    assert.equal(listOutbox(table)[0].eventId, 'evt-rewritten');
+  });
+});
+
+describe('outbox sweeper', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('republishes stuck events and reports them as a metric', async () => {
+    table.seed([outboxItem(minutesAgo(10), 'DEL-001'), outboxItem(minutesAgo(0), 'DEL-002')]);
+    const publish = mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 0 }));
+    const log = mock.method(console, 'log', () => {});
+
+    const summary = await sweepOutbox();
+
+    assert.equal(summary.pending, 1);
+    assert.equal(summary.published, 1);
+    assert.equal(publish.mock.callCount(), 1);
+    assert.deepEqual(listOutbox(table).map(item => JSON.parse(item.detail).deliveryId), ['DEL-002']);
+    const metrics = JSON.parse(log.mock.calls[0].arguments[0]);
+    assert.equal(metrics.StuckOutboxEvents, 1);
+    assert.ok(metrics.OldestOutboxEventAgeSeconds >= 600);
+    assert.equal(metrics._aws.CloudWatchMetrics[0].Namespace, 'SwiftShip/Outbox');
+  });
+
+  it('spreads events over the outbox shards and sweeps every shard', async () => {
+    const items = Array.from({ length: 12 }, (_, index) => outboxItem(minutesAgo(10), `DEL-${index}`));
+    table.seed(items);
+    const publish = mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 0 }));
+    mock.method(console, 'log', () => {});
+
+    const summary = await sweepOutbox();
+
+    assert.ok(new Set(items.map(item => item.pk)).size > 1);
+    assert.equal(summary.published, 12);
+    assert.equal(publish.mock.callCount(), 12);
+    assert.equal(listOutbox(table).length, 0);
+  });
+
+  it('leaves events in the outbox when publishing still fails', async () => {
+    table.seed([outboxItem(minutesAgo(10))]);
+    mock.method(EventBridgeClient.prototype, 'send', async () => ({ FailedEntryCount: 1 }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const summary = await sweepOutbox();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(listOutbox(table).length, 1);
+  });
+});
+
+describe('claimOutboxEvent', () => {
+  it('lets each consumer handle an event once', async () => {
+    assert.equal(await claimOutboxEvent('triage', 'evt-1'), true);
+    assert.equal(await claimOutboxEvent('triage', 'evt-1'), false);
+    assert.equal(await claimOutboxEvent('audit', 'evt-1'), true);
+  });
+
+  it('lets a redelivery take over a leased claim whose consumer never finished', async () => {
+    assert.equal(await claimOutboxEvent('triage', 'evt-1', { leaseSeconds: 300 }), true);
+    assert.equal(await claimOutboxEvent('triage', 'evt-1', { leaseSeconds: 300 }), false);
+
+    const [claim] = table.list('processed-events');
+    table.seed([{ ...claim, leaseExpiresAt: Math.floor(Date.now() / 1000) - 1 }]);
+
+    assert.equal(await claimOutboxEvent('triage', 'evt-1', { leaseSeconds: 300 }), true);
+  });
+
+  it('skips completed events for good and frees released ones at once', async () => {
+    await claimOutboxEvent('triage', 'evt-1', { leaseSeconds: 300 });
+    await claimOutboxEvent('triage', 'evt-2', { leaseSeconds: 300 });
+
+    await completeOutboxEvent('triage', 'evt-1');
+    await releaseOutboxEvent('triage', 'evt-2');
+
+    assert.equal(await claimOutboxEvent('triage', 'evt-1', { leaseSeconds: 300 }), false);
+    assert.equal(await claimOutboxEvent('triage', 'evt-2', { leaseSeconds: 300 }), true);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { processRefundTool } from '../functions/tools/process-refund.mjs';
+import { useMemoryTable, orderRecord, paymentRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+const ddb = new DynamoDBClient();
+
+const refund = (refundAmount, reason = 'damaged_package') =>
+  processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount, reason });
+const payment = () => table.get(`${TEST_TENANT}#payments`, 'payment#PAY-001');
+
+const seedOrder = (paymentOverrides = {}) => table.seed([
+  orderRecord(TEST_TENANT, 'ORD-001'),
+  paymentRecord(TEST_TENANT, 'PAY-001', { orderId: 'ORD-001', amount: 100, ...paymentOverrides })
+]);
+
+describe('processRefund', () => {
+  it('stores the refund under the refunds partition and indexes it by order', async () => {
+    seedOrder();
+
+    const result = await refund(49.99);
+
+    assert.equal(result, 'Refund processed successfully: $49.99 for order ORD-001 (Reason: damaged_package). Payment PAY-001 is now partially_refunded ($49.99 of $100 refunded)');
+    const [record] = table.list(`${TEST_TENANT}#refunds`);
+    assert.equal(record.sk, `refund#${record.refundId}`);
+    assert.equal(record.refundAmount, 49.99);
+    assert.equal(record.paymentId, 'PAY-001');
+    assert.equal(record.status, 'completed');
+
+    const byOrder = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :prefix)',
+      ExpressionAttributeValues: marshall({ ':pk': `${TEST_TENANT}#orders#ORD-001`, ':prefix': 'refund#' })
+    }));
+    assert.deepEqual(byOrder.Items.map(item => unmarshall(item).refundId), [record.refundId]);
+  });
+
+  it('marks the payment refunded once the full amount has been returned', async () => {
+    seedOrder();
+
+    await refund(60);
+    const result = await refund(40, 'customer_request');
+
+    assert.match(result, /Payment PAY-001 is now refunded \(\$100 of \$100 refunded\)$/);
+    assert.equal(payment().status, 'refunded');
+    assert.equal(payment().refundAmount, 100);
+    assert.equal(payment().GSI1PK, `${TEST_TENANT}#payments#refunded`);
+  });
+
+  it('rejects refunds beyond the remaining refundable amount', async () => {
+    seedOrder();
+    await refund(70);
+
+    const result = await refund(30.01);
+
+    assert.equal(result, 'Refund rejected: $30.01 exceeds the remaining refundable amount of $30 for order ORD-001 ($70 of $100 already refunded on payment PAY-001)');
+    assert.equal(table.list(`${TEST_TENANT}#refunds`).length, 1);
+    assert.equal(payment().refundAmount, 70);
+  });
+
+  it('counts refunds made through any order that shares the payment', async () => {
+    seedOrder();
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001-R1', { replacementOf: 'ORD-001' })]);
+    await refund(50);
+
+    const result = await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001-R1', refundAmount: 100, reason: 'damaged_package' });
+
+    assert.equal(result, 'Refund rejected: $100 exceeds the remaining refundable amount of $50 for order ORD-001-R1 ($50 of $100 already refunded on payment PAY-001)');
+    assert.equal(payment().refundAmount, 50);
+  });
+
+  it('rejects refunds on failed payments', async () => {
+    seedOrder({ status: 'failed' });
+
+    const result = await refund(10);
+
+    assert.equal(result, 'Refund rejected: Payment PAY-001 is failed and cannot be refunded');
+    assert.deepEqual(table.list(`${TEST_TENANT}#refunds`), []);
+  });
+
+  it('rejects refunds for unknown orders and payments', async () => {
+    assert.equal(await refund(10), 'Refund rejected: Order ORD-001 not found');
+
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001')]);
+    assert.equal(await refund(10), 'Refund rejected: Payment PAY-001 for order ORD-001 not found');
+  });
+
+  it('does not let concurrent refunds exceed the payment', async () => {
+    seedOrder();
+
+    const results = await Promise.all([refund(80), refund(80, 'customer_request')]);
+
+    assert.equal(results.filter(result => result.startsWith('Refund processed')).length, 1);
+    assert.equal(table.list(`${TEST_TENANT}#refunds`).length, 1);
+    assert.equal(payment().refundAmount, 80);
+  });
+
+  it('returns the original result when the same triage context retries a refund', async () => {
+    seedOrder();
+    const retry = () => processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 60, reason: 'damaged_package' }, { contextId: 'ctx-1' });
+
+    const first = await retry();
+    const second = await retry();
+
+    assert.equal(second, first);
+    assert.equal(table.list(`${TEST_TENANT}#refunds`).length, 1);
+    assert.equal(payment().refundAmount, 60);
+  });
+
+  it('falls back to the delivery id when there is no context', async () => {
+    seedOrder();
+    const retry = () => processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 60, reason: 'delivery_failed', deliveryId: 'DEL-1' });
+
+    const results = await Promise.all([retry(), retry()]);
+
+    assert.equal(results[0], results[1]);
+    const [record] = table.list(`${TEST_TENANT}#refunds`);
+    assert.equal(record.idempotencyKey, 'DEL-1#ORD-001#delivery_failed');
+    assert.equal(payment().refundAmount, 60);
+  });
+
+  it('treats a different reason in the same context as a new refund', async () => {
+    seedOrder();
+
+    await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 20, reason: 'damaged_package' }, { contextId: 'ctx-1' });
+    await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 20, reason: 'customer_request' }, { contextId: 'ctx-1' });
+
+    assert.equal(table.list(`${TEST_TENANT}#refunds`).length, 2);
+    assert.equal(payment().refundAmount, 40);
+  });
+
+  it('requires a tenant', async () => {
+    const result = await processRefundTool.handler(undefined, { orderId: 'ORD-001', refundAmount: 10, reason: 'customer_request' });
+
+    assert.equal(result, 'Unauthorized: Missing tenant context');
+    assert.deepEqual(table.list(), []);
+  });
+});
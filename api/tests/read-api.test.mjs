@@ -0,0 +1,222 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler as getOrder } from '../functions/orders/get-order.mjs';
+import { handler as listOrders } from '../functions/orders/list-orders.mjs';
+import { handler as listOrderRefunds } from '../functions/orders/list-order-refunds.mjs';
+import { handler as listDeliveryStatuses } from '../functions/delivery/list-statuses.mjs';
+import { handler as getDelivery } from '../functions/delivery/get-delivery.mjs';
+import { handler as resetDemo } from '../functions/demo/reset.mjs';
+import { handler as getInventory } from '../functions/warehouse/get-inventory.mjs';
+import { processRefundTool } from '../functions/tools/process-refund.mjs';
+import { allocateInventory } from '../functions/tools/allocate-inventory.mjs';
+import { useMemoryTable, orderRecord, paymentRecord, productRecord, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const request = (handler, { pathParameters = null, queryStringParameters = null, tenantId = TEST_TENANT } = {}) =>
+  handler({ pathParameters, queryStringParameters, requestContext: { authorizer: tenantId ? { tenantId } : {} } })
+    .then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+
+const deliveryStatus = (tenantId, deliveryId, status, timestamp, overrides = {}) => ({
+  pk: `${tenantId}#delivery#${deliveryId}`,
+  sk: `status#${timestamp}`,
+  deliveryId,
+  status,
+  timestamp,
+  location: '1 Main St, Las Vegas, NV',
+  driverId: 'DRV-001',
+  tenantId,
+  ...overrides
+});
+
+describe('GET /orders/{orderId}', () => {
+  it('returns the order without its table keys', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001', { ttl: 123 })]);
+
+    const { statusCode, body } = await request(getOrder, { pathParameters: { orderId: 'ORD-001' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.orderId, 'ORD-001');
+    assert.equal(body.items[0].sku, 'SKU-001');
+    for (const attribute of ['pk', 'sk', 'GSI1PK', 'GSI1SK', 'ttl']) {
+      assert.equal(attribute in body, false);
+    }
+  });
+
+  it('does not return another tenant\'s order', async () => {
+    table.seed([orderRecord('other-tenant', 'ORD-001')]);
+
+    const { statusCode, body } = await request(getOrder, { pathParameters: { orderId: 'ORD-001' } });
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'NOT_FOUND');
+  });
+
+  it('requires a tenant', async () => {
+    const { statusCode } = await request(getOrder, { pathParameters: { orderId: 'ORD-001' }, tenantId: null });
+
+    assert.equal(statusCode, 401);
+  });
+});
+
+describe('GET /orders', () => {
+  it('lists orders in a status newest first, one page at a time', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001', { status: 'delivery_failed', GSI1SK: '2025-01-01T00:00:00.000Z#ORD-001' }),
+      orderRecord(TEST_TENANT, 'ORD-002', { status: 'delivery_failed', GSI1SK: '2025-01-03T00:00:00.000Z#ORD-002' }),
+      orderRecord(TEST_TENANT, 'ORD-003', { status: 'delivery_failed', GSI1SK: '2025-01-02T00:00:00.000Z#ORD-003' }),
+      orderRecord(TEST_TENANT, 'ORD-004', { status: 'shipped' }),
+      orderRecord('other-tenant', 'ORD-005', { status: 'delivery_failed' })
+    ]);
+
+    const first = await request(listOrders, { queryStringParameters: { status: 'delivery_failed', limit: '2' } });
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(first.body.orders.map(order => order.orderId), ['ORD-002', 'ORD-003']);
+    assert.ok(first.body.nextToken);
+
+    const second = await request(listOrders, { queryStringParameters: { status: 'delivery_failed', limit: '2', nextToken: first.body.nextToken } });
+    assert.deepEqual(second.body.orders.map(order => order.orderId), ['ORD-001']);
+    assert.equal(second.body.nextToken, undefined);
+  });
+
+  it('lists every order when no status is given', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), orderRecord(TEST_TENANT, 'ORD-002', { status: 'pending' })]);
+
+    const { body } = await request(listOrders);
+
+    assert.deepEqual(body.orders.map(order => order.orderId), ['ORD-001', 'ORD-002']);
+  });
+
+  it('rejects unknown statuses, bad limits and tokens issued for another query', async () => {
+    table.seed([orderRecord(TEST_TENANT, 'ORD-001'), orderRecord(TEST_TENANT, 'ORD-002')]);
+    const { body: page } = await request(listOrders, { queryStringParameters: { limit: '1' } });
+
+    for (const queryStringParameters of [{ status: 'lost' }, { limit: '0' }, { limit: 'ten' }, { nextToken: 'not-a-token' }, { status: 'shipped', nextToken: page.nextToken }]) {
+      const { statusCode, body } = await request(listOrders, { queryStringParameters });
+      assert.equal(statusCode, 400, JSON.stringify(queryStringParameters));
+      assert.equal(body.error.code, 'INVALID_REQUEST_FORMAT');
+    }
+
+    const otherTenant = await request(listOrders, { queryStringParameters: { nextToken: page.nextToken }, tenantId: 'other-tenant' });
+    assert.equal(otherTenant.statusCode, 400);
+  });
+
+  it('rejects a token that does not hold a table key', async () => {
+    const nextToken = Buffer.from(JSON.stringify({ pk: 'x' })).toString('base64url');
+
+    const { statusCode, body } = await request(listOrders, { queryStringParameters: { nextToken } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'INVALID_REQUEST_FORMAT');
+  });
+});
+
+describe('GET /orders/{orderId}/refunds', () => {
+  it('lists the refunds and the total refunded', async () => {
+    table.seed([
+      orderRecord(TEST_TENANT, 'ORD-001'),
+      paymentRecord(TEST_TENANT, 'PAY-001', { amount: 100 })
+    ]);
+    await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 20, reason: 'damaged_package' });
+    await processRefundTool.handler(TEST_TENANT, { orderId: 'ORD-001', refundAmount: 10.5, reason: 'customer_request' });
+
+    const { statusCode, body } = await request(listOrderRefunds, { pathParameters: { orderId: 'ORD-001' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.totalRefunded, 30.5);
+    // Both refunds can share a millisecond, so compare them by amount rather than by position
+    assert.deepEqual(body.refunds.map(refund => [refund.refundAmount, refund.reason, refund.status]).sort((a, b) => b[0] - a[0]), [
+      [20, 'damaged_package', 'completed'],
+      [10.5, 'customer_request', 'completed']
+    ]);
+  });
+
+  it('returns 404 for an unknown order', async () => {
+    const { statusCode } = await request(listOrderRefunds, { pathParameters: { orderId: 'ORD-404' } });
+
+    assert.equal(statusCode, 404);
+  });
+});
+
+describe('GET /deliveries/{deliveryId}/statuses', () => {
+  it('lists status updates oldest first', async () => {
+    table.seed([
+      deliveryStatus(TEST_TENANT, 'DEL-001', 'exception', '2025-01-02T10:00:00.000Z', { reason: 'Box crushed' }),
+      deliveryStatus(TEST_TENANT, 'DEL-001', 'failed', '2025-01-01T10:00:00.000Z', { reason: 'Nobody home' }),
+      deliveryStatus('other-tenant', 'DEL-001', 'delivered', '2025-01-03T10:00:00.000Z')
+    ]);
+
+    const { statusCode, body } = await request(listDeliveryStatuses, { pathParameters: { deliveryId: 'DEL-001' } });
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.statuses.map(status => [status.status, status.reason]), [['failed', 'Nobody home'], ['exception', 'Box crushed']]);
+  });
+
+  it('returns 404 when nothing was reported for the delivery', async () => {
+    const { statusCode } = await request(listDeliveryStatuses, { pathParameters: { deliveryId: 'DEL-404' } });
+
+    assert.equal(statusCode, 404);
+  });
+});
+
+describe('GET /deliveries/{deliveryId}', () => {
+  it('summarizes the status updates into a tracking timeline', async () => {
+    table.seed([
+      deliveryStatus(TEST_TENANT, 'DEL-001', 'failed', '2025-01-01T10:00:00.000Z', { orderId: 'ORD-001', reason: 'Nobody home' }),
+      deliveryStatus(TEST_TENANT, 'DEL-001', 'exception', '2025-01-01T18:00:00.000Z', { orderId: 'ORD-001', location: undefined, driverId: 'DRV-002', reason: 'Held at depot' }),
+      deliveryStatus(TEST_TENANT, 'DEL-001', 'failed', '2025-01-02T10:00:00.000Z', { orderId: 'ORD-001', location: '2 Side St, Las Vegas, NV', reason: 'Gate locked' })
+    ]);
+
+    const { statusCode, body } = await request(getDelivery, { pathParameters: { deliveryId: 'DEL-001' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.orderId, 'ORD-001');
+    assert.equal(body.currentStatus, 'failed');
+    assert.equal(body.updatedAt, '2025-01-02T10:00:00.000Z');
+    assert.equal(body.attemptCount, 2);
+    assert.deepEqual(body.lastKnownLocation, { location: '2 Side St, Las Vegas, NV', timestamp: '2025-01-02T10:00:00.000Z' });
+    assert.equal(body.driverId, 'DRV-001');
+    assert.deepEqual(body.events.map(event => event.status), ['failed', 'exception', 'failed']);
+  });
+
+  it('reads the timeline staged by the third failed attempt scenario', async () => {
+    await resetDemo({ tenantId: TEST_TENANT, scenarioType: 'third_failed_attempt', seed: 1 });
+
+    const { body } = await request(getDelivery, { pathParameters: { deliveryId: 'DEL-DEMO-001' } });
+
+    assert.equal(body.orderId, 'ORD-DEMO-001');
+    assert.equal(body.currentStatus, 'failed');
+    assert.equal(body.attemptCount, 3);
+    assert.equal(body.driverId, 'DRV-DEMO-001');
+  });
+
+  it('returns 404 for a delivery with no updates', async () => {
+    const { statusCode, body } = await request(getDelivery, { pathParameters: { deliveryId: 'DEL-404' } });
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'NOT_FOUND');
+  });
+});
+
+describe('GET /inventory/{sku}', () => {
+  it('returns stock levels and the allocations made against the product', async () => {
+    table.seed([productRecord(TEST_TENANT, 'SKU-001', { availableQuantity: 10 })]);
+    await allocateInventory.handler(TEST_TENANT, { orderId: 'ORD-001', productId: 'SKU-001', quantity: 3 });
+
+    const { statusCode, body } = await request(getInventory, { pathParameters: { sku: 'SKU-001' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.availableQuantity, 7);
+    assert.equal(body.allocatedQuantity, 3);
+    assert.equal(body.onHandQuantity, 10);
+    assert.equal(body.openAllocations, 1);
+    assert.deepEqual(body.allocations.map(allocation => [allocation.orderId, allocation.quantityAllocated, allocation.status]), [['ORD-001', 3, 'allocated']]);
+  });
+
+  it('returns 404 for an unknown product', async () => {
+    const { statusCode, body } = await request(getInventory, { pathParameters: { sku: 'SKU-404' } });
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'NOT_FOUND');
+  });
+});
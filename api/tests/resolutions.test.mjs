@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler as getResolution } from '../functions/delivery/get-resolution.mjs';
+import { parseResolutionSummary, saveResolution } from '../functions/utils/resolutions.mjs';
+import { useMemoryTable, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const resolutionBlock = (overrides = {}) => `\`\`\`json
+${JSON.stringify({
+    classification: 'damaged_or_lost',
+    agentsInvoked: ['PaymentAgent', 'WarehouseAgent', 'OrderAgent', 'NotificationAgent'],
+    actionsCompleted: ['Refunded $49.99', 'Created replacement order ORD-001-R1'],
+    currentStatus: 'resolved',
+    customerImpact: 'Refund in 3-5 business days; replacement ships tomorrow',
+    ...overrides
+  })}
+\`\`\``;
+
+const orchestratorResponse = (overrides) => `Exception Classification: Damaged/Lost
+Agents Invoked: PaymentAgent, WarehouseAgent, OrderAgent, NotificationAgent
+
+${resolutionBlock(overrides)}`;
+
+const eventDetail = (overrides = {}) => ({
+  eventId: 'evt-001',
+  contextId: 'ctx-001',
+  tenantId: TEST_TENANT,
+  deliveryId: 'DEL-001',
+  orderId: 'ORD-001',
+  status: { status: 'exception', reason: 'Package damaged', timestamp: '2025-01-01T12:00:00.000Z' },
+  ...overrides
+});
+
+const get = (deliveryId, tenantId = TEST_TENANT) => getResolution({
+  pathParameters: { deliveryId },
+  requestContext: { authorizer: { tenantId } }
+}).then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+
+describe('parseResolutionSummary', () => {
+  it('reads the last json block of the summary', () => {
+    const text = `Tool output:\n${resolutionBlock({ currentStatus: 'pending' })}\n\n${orchestratorResponse()}`;
+
+    assert.equal(parseResolutionSummary(text).currentStatus, 'resolved');
+  });
+
+  it('accepts enum values written as words', () => {
+    const parsed = parseResolutionSummary(orchestratorResponse({ classification: 'Simple Retry', currentStatus: 'Requires Follow-Up' }));
+
+    assert.equal(parsed.classification, 'simple_retry');
+    assert.equal(parsed.currentStatus, 'requires_follow_up');
+  });
+
+  it('returns null for a summary without a valid resolution', () => {
+    assert.equal(parseResolutionSummary('Refund issued, customer notified.'), null);
+    assert.equal(parseResolutionSummary('```json\n{"classification": \n```'), null);
+    assert.equal(parseResolutionSummary(orchestratorResponse({ currentStatus: 'done' })), null);
+  });
+});
+
+describe('saveResolution', () => {
+  it('stores the resolution in the delivery partition, indexed under the order', async () => {
+    await saveResolution(eventDetail(), orchestratorResponse());
+
+    const [stored] = table.list(`${TEST_TENANT}#delivery#DEL-001`);
+    assert.equal(stored.sk, 'resolution#2025-01-01T12:00:00.000Z');
+    assert.equal(stored.GSI1PK, `${TEST_TENANT}#orders#ORD-001`);
+    assert.equal(stored.classification, 'damaged_or_lost');
+    assert.deepEqual(stored.exception, { status: 'exception', reason: 'Package damaged' });
+    assert.equal(stored.summaryParsed, true);
+  });
+
+  it('keeps an unreadable summary for review', async () => {
+    const resolution = await saveResolution(eventDetail(), 'I could not classify this exception.');
+
+    assert.equal(resolution.classification, 'unclassified');
+    assert.equal(resolution.currentStatus, 'requires_follow_up');
+    assert.equal(resolution.summary, 'I could not classify this exception.');
+    assert.equal(resolution.summaryParsed, false);
+  });
+
+  it('overwrites the resolution when the same exception is triaged again', async () => {
+    await saveResolution(eventDetail(), orchestratorResponse({ currentStatus: 'pending' }));
+    await saveResolution(eventDetail({ eventId: 'evt-002' }), orchestratorResponse());
+
+    const stored = table.list(`${TEST_TENANT}#delivery#DEL-001`);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].currentStatus, 'resolved');
+  });
+});
+
+describe('GET /deliveries/{deliveryId}/resolution', () => {
+  it('returns the resolution of the latest exception', async () => {
+    await saveResolution(eventDetail(), orchestratorResponse({ currentStatus: 'pending' }));
+    await saveResolution(eventDetail({
+      status: { status: 'failed', reason: 'Customer not home', timestamp: '2025-01-02T12:00:00.000Z' }
+    }), orchestratorResponse({ classification: 'simple_retry' }));
+
+    const { statusCode, body } = await get('DEL-001');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.classification, 'simple_retry');
+    assert.equal(body.statusTimestamp, '2025-01-02T12:00:00.000Z');
+    assert.equal(body.pk, undefined);
+  });
+
+  it('ignores status updates and reports a delivery without a resolution as not found', async () => {
+    table.seed([{ pk: `${TEST_TENANT}#delivery#DEL-001`, sk: 'status#2025-01-01T12:00:00.000Z', deliveryId: 'DEL-001', status: 'failed', timestamp: '2025-01-01T12:00:00.000Z', tenantId: TEST_TENANT }]);
+
+    const { statusCode, body } = await get('DEL-001');
+
+    assert.equal(statusCode, 404);
+    assert.equal(body.error.code, 'NOT_FOUND');
+  });
+
+  it('does not return another tenant\'s resolution', async () => {
+    await saveResolution(eventDetail({ tenantId: 'other-tenant' }), orchestratorResponse());
+
+    const { statusCode } = await get('DEL-001');
+
+    assert.equal(statusCode, 404);
+  });
+});
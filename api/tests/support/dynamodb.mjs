@@ -0,0 +1,83 @@
+import { before, after, beforeEach } from 'node:test';
+import { createMemoryTable, installMemoryDynamoDB } from '../../local/memory-dynamodb.mjs';
+import { isOutboxPartition } from '../../functions/utils/outbox.mjs';
+
+export const TEST_TENANT = 'test-tenant';
+
+/**
+ * Back every DynamoDBClient in the current test file with a fresh in-memory table.
+ * The table is emptied before each test.
+ * @returns {Object} The in-memory table, for seeding and inspecting items
+ */
+export const useMemoryTable = () => {
+  const table = createMemoryTable();
+  let restore;
+
+  before(() => {
+    process.env.TABLE_NAME = 'swiftship-test';
+    restore = installMemoryDynamoDB(table);
+  });
+  after(() => restore());
+  beforeEach(() => table.clear());
+
+  return table;
+};
+
+// Pending events from every outbox shard, oldest first
+export const listOutbox = (table) => table.list()
+  .filter(item => isOutboxPartition(item.pk))
+  .sort((a, b) => a.sk.localeCompare(b.sk));
+
+export const orderRecord = (tenantId, orderId, overrides = {}) => ({
+  pk: `${tenantId}#orders`,
+  sk: `order#${orderId}`,
+  GSI1PK: `${tenantId}#orders#${overrides.status ?? 'shipped'}`,
+  GSI1SK: `2025-01-01T00:00:00.000Z#${orderId}`,
+  orderId,
+  customerId: 'CUST-001',
+  status: 'shipped',
+  items: [{ sku: 'SKU-001', name: 'Widget', quantity: 2, price: 25 }],
+  totalAmount: 50,
+  currency: 'USD',
+  paymentId: 'PAY-001',
+  shippingAddress: { street: '1 Main St', city: 'Las Vegas', state: 'NV', zipCode: '89101', country: 'US' },
+  ...overrides
+});
+
+export const productRecord = (tenantId, sku, overrides = {}) => ({
+  pk: `${tenantId}#inventory`,
+  sk: `product#${sku}`,
+  GSI1PK: `${tenantId}#inventory`,
+  GSI1SK: `general#${sku}`,
+  sku,
+  name: `Product ${sku}`,
+  availableQuantity: 10,
+  allocatedQuantity: 0,
+  ...overrides
+});
+
+export const paymentRecord = (tenantId, paymentId, overrides = {}) => ({
+  pk: `${tenantId}#payments`,
+  sk: `payment#${paymentId}`,
+  GSI1PK: `${tenantId}#payments#${overrides.status ?? 'completed'}`,
+  GSI1SK: `2025-01-01T00:00:00.000Z#${paymentId}`,
+  paymentId,
+  orderId: 'ORD-001',
+  amount: 50,
+  currency: 'USD',
+  paymentMethod: 'credit_card',
+  status: 'completed',
+  refundAmount: 0,
+  ...overrides
+});
+
+export const customerRecord = (tenantId, customerId, overrides = {}) => ({
+  pk: `${tenantId}#customers`,
+  sk: `customer#${customerId}`,
+  customerId,
+  name: 'Jamie Rivera',
+  email: 'jamie@example.com',
+  phone: '+1-555-0100',
+  preferences: { communicationMethod: 'email' },
+  ...overrides
+});
@@ -0,0 +1,153 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { signJwt, verifyJwt } from '../functions/utils/jwt.mjs';
+import { bindContextToTenant, registerApiKey, resolveAgentTenantId, resolveCallerTenant, TENANT_TOKEN_AUDIENCE } from '../functions/utils/tenants.mjs';
+import { handler as authorizer } from '../functions/auth/authorizer.mjs';
+import { handler as updateStatus } from '../functions/delivery/update-status.mjs';
+import { handler as demoReset } from '../functions/demo/reset.mjs';
+import { useMemoryTable, listOutbox, orderRecord } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+const SECRET = 'test-secret';
+
+describe('JWT', () => {
+  it('round-trips signed claims', () => {
+    const claims = verifyJwt(signJwt({ tenantId: 'tenant-a' }, SECRET), SECRET);
+
+    assert.equal(claims.tenantId, 'tenant-a');
+  });
+
+  it('rejects tampered, wrongly signed and expired tokens', () => {
+    const token = signJwt({ tenantId: 'tenant-a' }, SECRET);
+    const [header, , signature] = token.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ tenantId: 'tenant-b' })).toString('base64url')}.${signature}`;
+
+    assert.equal(verifyJwt(forged, SECRET), null);
+    assert.equal(verifyJwt(token, 'other-secret'), null);
+    assert.equal(verifyJwt(signJwt({ tenantId: 'tenant-a' }, SECRET, { expiresInSeconds: -1 }), SECRET), null);
+  });
+
+  it('rejects a token without an expiry', () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ tenantId: 'tenant-a' })).toString('base64url');
+    const signature = createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+
+    assert.equal(verifyJwt(`${header}.${payload}.${signature}`, SECRET), null);
+  });
+
+  it('rejects a token addressed to another audience', () => {
+    const token = signJwt({ aud: 'payment', tenantId: 'tenant-a' }, SECRET);
+
+    assert.equal(verifyJwt(token, SECRET, { audience: TENANT_TOKEN_AUDIENCE }), null);
+    assert.equal(verifyJwt(token, SECRET, { audience: 'payment' }).tenantId, 'tenant-a');
+  });
+});
+
+describe('caller tenant resolution', () => {
+  afterEach(() => delete process.env.TENANT_JWT_SECRET);
+
+  it('maps API keys to their tenant without storing the raw key', async () => {
+    await registerApiKey('tenant-a', 'key-a');
+
+    assert.equal(await resolveCallerTenant({ 'X-Api-Key': 'key-a' }), 'tenant-a');
+    assert.equal(await resolveCallerTenant({ 'x-api-key': 'unknown' }), null);
+    assert.ok(table.list('apikeys').every(record => !JSON.stringify(record).includes('key-a')));
+  });
+
+  it('reads the tenant from a bearer token', async () => {
+    process.env.TENANT_JWT_SECRET = SECRET;
+
+    assert.equal(await resolveCallerTenant({ Authorization: `Bearer ${signJwt({ aud: TENANT_TOKEN_AUDIENCE, tenantId: 'tenant-b' }, SECRET)}` }), 'tenant-b');
+    assert.equal(await resolveCallerTenant({ Authorization: 'Bearer not-a-token' }), null);
+  });
+
+  it('does not take an agent token as a tenant token', async () => {
+    process.env.TENANT_JWT_SECRET = SECRET;
+    const agentToken = signJwt({ iss: 'triage', aud: 'payment', scope: 'payment:refund', tenantId: 'tenant-b' }, SECRET);
+
+    assert.equal(await resolveCallerTenant({ Authorization: `Bearer ${agentToken}` }), null);
+  });
+
+  it('authorizes API Gateway requests with the tenant in the context', async () => {
+    await registerApiKey('tenant-a', 'key-a');
+    const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:abc123/api/POST/deliveries/DEL-1/statuses';
+
+    const result = await authorizer({ methodArn, headers: { 'X-Api-Key': 'key-a' } });
+
+    assert.deepEqual(result.context, { tenantId: 'tenant-a' });
+    assert.equal(result.policyDocument.Statement[0].Resource, 'arn:aws:execute-api:us-east-1:123456789012:abc123/api/*');
+    await assert.rejects(authorizer({ methodArn, headers: {} }), { message: 'Unauthorized' });
+  });
+});
+
+describe('A2A context tenancy', () => {
+  it('will not rebind a context to another tenant', async () => {
+    assert.equal(await bindContextToTenant('ctx-1', 'tenant-a'), true);
+    assert.equal(await bindContextToTenant('ctx-1', 'tenant-a'), true);
+    assert.equal(await bindContextToTenant('ctx-1', 'tenant-b'), false);
+  });
+
+  it('prefers the context binding and rejects conflicting metadata', async () => {
+    await bindContextToTenant('ctx-1', 'tenant-a');
+
+    assert.equal(await resolveAgentTenantId({ metadata: {} }, { contextId: 'ctx-1' }), 'tenant-a');
+    assert.equal(await resolveAgentTenantId({ metadata: { tenantId: 'tenant-a' } }, { contextId: 'ctx-1' }), 'tenant-a');
+    assert.equal(await resolveAgentTenantId({ metadata: { tenantId: 'tenant-b' } }, { contextId: 'ctx-1' }), null);
+    assert.equal(await resolveAgentTenantId({ metadata: { tenantId: 'tenant-b' } }, { contextId: 'ctx-unbound' }), 'tenant-b');
+  });
+});
+
+describe('tenant-scoped REST handlers', () => {
+  const statusUpdate = (tenantId, contextId) => updateStatus({
+    pathParameters: { deliveryId: 'DEL-1' },
+    headers: { 'X-Context-Id': contextId },
+    body: JSON.stringify({
+      orderId: 'ORD-1',
+      status: 'failed',
+      timestamp: '2025-01-01T12:00:00Z',
+      location: { latitude: 36.17, longitude: -115.14 },
+      driverId: 'DRV-1',
+      reason: 'Customer not home'
+    }),
+    requestContext: { authorizer: { tenantId } }
+  });
+
+  it('stores and publishes delivery updates under the caller\'s tenant', async () => {
+    table.seed([orderRecord('tenant-a', 'ORD-1')]);
+
+    const response = await statusUpdate('tenant-a', 'ctx-1');
+
+    assert.equal(response.statusCode, 202);
+    assert.equal(table.list('tenant-a#delivery#DEL-1').length, 1);
+    const detail = JSON.parse(listOutbox(table)[0].detail);
+    assert.equal(detail.tenantId, 'tenant-a');
+    assert.equal(detail.orderId, 'ORD-1');
+  });
+
+  it('rejects a context id that belongs to another tenant', async () => {
+    table.seed([orderRecord('tenant-a', 'ORD-1'), orderRecord('tenant-b', 'ORD-1')]);
+    await statusUpdate('tenant-a', 'ctx-1');
+
+    const response = await statusUpdate('tenant-b', 'ctx-1');
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(table.list('tenant-b#delivery#DEL-1').length, 0);
+  });
+
+  it('rejects unauthenticated delivery updates', async () => {
+    const response = await statusUpdate(undefined, 'ctx-1');
+
+    assert.equal(response.statusCode, 401);
+  });
+
+  it('only resets the caller\'s own tenant', async () => {
+    const response = await demoReset({
+      body: JSON.stringify({ tenantId: 'tenant-b', scenarioType: 'minimal' }),
+      requestContext: { authorizer: { tenantId: 'tenant-a' } }
+    });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(table.list('tenant-b#orders').length, 0);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler as listFailures } from '../functions/triage/list-failures.mjs';
+import { handler as recordFailure } from '../functions/triage/record-failure.mjs';
+import { handler as replayFailure } from '../functions/triage/replay-failure.mjs';
+import { claimOutboxEvent } from '../functions/utils/outbox.mjs';
+import { markTriageFailureReplayed, recordTriageFailure } from '../functions/utils/triage-failures.mjs';
+import { useMemoryTable, listOutbox, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const eventDetail = (overrides = {}) => ({
+  eventId: 'evt-001',
+  contextId: 'ctx-001',
+  tenantId: TEST_TENANT,
+  deliveryId: 'DEL-001',
+  orderId: 'ORD-001',
+  status: { status: 'failed', reason: 'Customer not home' },
+  ...overrides
+});
+
+const call = (handler, { tenantId = TEST_TENANT, pathParameters = null, queryStringParameters = null } = {}) => handler({
+  pathParameters,
+  queryStringParameters,
+  requestContext: { authorizer: { tenantId } }
+}).then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+
+const replay = (failureId, options = {}) => call(replayFailure, { pathParameters: { failureId }, ...options });
+
+const failuresInOutbox = () => listOutbox(table).map(item => JSON.parse(item.detail));
+
+describe('recordTriageFailure', () => {
+  it('keeps the event detail and the error', async () => {
+    const error = Object.assign(new Error('Bedrock throttled'), { name: 'ThrottlingException' });
+
+    const failureId = await recordTriageFailure(eventDetail(), error);
+
+    const [failure] = table.list(`${TEST_TENANT}#triage-failures`);
+    assert.equal(failure.failureId, failureId);
+    assert.equal(failure.status, 'open');
+    assert.equal(failure.contextId, 'ctx-001');
+    assert.deepEqual(failure.detail, eventDetail());
+    assert.deepEqual(failure.error, { name: 'ThrottlingException', message: 'Bedrock throttled' });
+  });
+
+  it('reopens the replayed failure when a replay fails again', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('first'));
+
+    const again = await recordTriageFailure(eventDetail({ eventId: 'evt-002', replayOf: failureId }), new Error('second'));
+
+    assert.equal(again, failureId);
+    const failures = table.list(`${TEST_TENANT}#triage-failures`);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].error.message, 'second');
+    assert.equal(failures[0].detail.eventId, 'evt-001');
+  });
+
+  it('records nothing for an event without a tenant', async () => {
+    assert.equal(await recordTriageFailure(eventDetail({ tenantId: undefined }), new Error('boom')), null);
+  });
+});
+
+describe('triage OnFailure destination', () => {
+  it('keeps a run that timed out and stops redeliveries of its event', async () => {
+    mock.method(console, 'warn', () => {});
+    await claimOutboxEvent('triage', 'evt-001', { leaseSeconds: 330 });
+
+    const { failureId } = await recordFailure({
+      requestContext: { condition: 'RetriesExhausted', approximateInvokeCount: 3 },
+      requestPayload: { source: 'swiftship.delivery', 'detail-type': 'Delivery Status Update', detail: eventDetail() },
+      responsePayload: { errorType: 'Sandbox.Timedout', errorMessage: 'Task timed out after 300.00 seconds' }
+    });
+    mock.restoreAll();
+
+    const [failure] = table.list(`${TEST_TENANT}#triage-failures`);
+    assert.equal(failure.failureId, failureId);
+    assert.deepEqual(failure.detail, eventDetail());
+    assert.deepEqual(failure.error, { name: 'Sandbox.Timedout', message: 'Task timed out after 300.00 seconds' });
+    assert.equal(table.list('processed-events')[0].state, 'completed');
+  });
+});
+
+describe('GET /triage/failures', () => {
+  it('lists the tenant\'s failures newest first', async () => {
+    const first = await recordTriageFailure(eventDetail(), new Error('first'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await recordTriageFailure(eventDetail({ eventId: 'evt-002' }), new Error('second'));
+    await recordTriageFailure(eventDetail({ tenantId: 'other-tenant' }), new Error('other'));
+
+    const { statusCode, body } = await call(listFailures);
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.failures.map(failure => failure.failureId), [second, first]);
+    assert.equal(body.failures[0].pk, undefined);
+  });
+
+  it('filters by status and pages with nextToken', async () => {
+    const replayed = await recordTriageFailure(eventDetail(), new Error('first'));
+    await recordTriageFailure(eventDetail({ eventId: 'evt-002' }), new Error('second'));
+    await recordTriageFailure(eventDetail({ eventId: 'evt-003' }), new Error('third'));
+    await markTriageFailureReplayed(TEST_TENANT, replayed);
+
+    const page = await call(listFailures, { queryStringParameters: { status: 'open', limit: '1' } });
+    const next = await call(listFailures, { queryStringParameters: { status: 'open', nextToken: page.body.nextToken } });
+
+    assert.equal(page.body.failures.length, 1);
+    assert.equal(next.body.failures.length, 1);
+    assert.equal(next.body.nextToken, undefined);
+    assert.ok([...page.body.failures, ...next.body.failures].every(failure => failure.status === 'open'));
+  });
+
+  it('rejects an unknown status', async () => {
+    const { statusCode, body } = await call(listFailures, { queryStringParameters: { status: 'lost' } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'INVALID_REQUEST_FORMAT');
+  });
+
+  it('rejects a token that does not hold a table key', async () => {
+    const nextToken = Buffer.from(JSON.stringify({ pk: 'x' })).toString('base64url');
+
+    const { statusCode, body } = await call(listFailures, { queryStringParameters: { nextToken } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.error.code, 'INVALID_REQUEST_FORMAT');
+  });
+});
+
+describe('POST /triage/failures/{failureId}/replay', () => {
+  it('sends the original event back to triage with the original context', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('boom'));
+
+    const { statusCode, body } = await replay(failureId);
+
+    assert.equal(statusCode, 202);
+    assert.equal(body.contextId, 'ctx-001');
+    assert.equal(body.replayCount, 1);
+    const [detail] = failuresInOutbox();
+    assert.equal(detail.replayOf, failureId);
+    assert.equal(detail.contextId, 'ctx-001');
+    assert.notEqual(detail.eventId, 'evt-001');
+    assert.equal(table.list(`${TEST_TENANT}#triage-failures`)[0].status, 'replaying');
+    assert.equal(table.list('contexts')[0].tenantId, TEST_TENANT);
+  });
+
+  it('refuses a second replay while the first is in progress', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('boom'));
+    await replay(failureId);
+
+    const { statusCode, body } = await replay(failureId);
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.error.code, 'REPLAY_IN_PROGRESS');
+    assert.equal(failuresInOutbox().length, 1);
+  });
+
+  it('allows another replay after a replay fails', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('boom'));
+    await replay(failureId);
+    await recordTriageFailure({ ...failuresInOutbox()[0] }, new Error('boom again'));
+
+    const { statusCode, body } = await replay(failureId);
+
+    assert.equal(statusCode, 202);
+    assert.equal(body.replayCount, 2);
+  });
+
+  it('refuses to replay a failure that was already replayed', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('boom'));
+    await markTriageFailureReplayed(TEST_TENANT, failureId);
+
+    const { statusCode, body } = await replay(failureId);
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.error.code, 'ALREADY_REPLAYED');
+  });
+
+  it('does not replay another tenant\'s failure', async () => {
+    const failureId = await recordTriageFailure(eventDetail({ tenantId: 'other-tenant' }), new Error('boom'));
+
+    const { statusCode } = await replay(failureId);
+
+    assert.equal(statusCode, 404);
+    assert.equal(failuresInOutbox().length, 0);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { AmazonBedrockOrchestrator } from 'momento-a2a-agent';
+import { handler as triage } from '../functions/agents/triage.mjs';
+import { recordTriageFailure } from '../functions/utils/triage-failures.mjs';
+import { useMemoryTable, TEST_TENANT } from './support/dynamodb.mjs';
+
+const table = useMemoryTable();
+
+const eventDetail = (overrides = {}) => ({
+  eventId: 'evt-001',
+  contextId: 'ctx-001',
+  tenantId: TEST_TENANT,
+  deliveryId: 'DEL-001',
+  orderId: 'ORD-001',
+  status: { status: 'failed', reason: 'Customer not home', timestamp: '2025-01-01T12:00:00.000Z' },
+  ...overrides
+});
+
+describe('triage agent', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('completes a replay whose failure cannot be marked replayed', async () => {
+    const failureId = await recordTriageFailure(eventDetail(), new Error('boom'));
+    mock.method(AmazonBedrockOrchestrator.prototype, 'registerAgents', () => {});
+    mock.method(AmazonBedrockOrchestrator.prototype, 'sendMessage', async () => 'Delivery rescheduled');
+    const send = DynamoDBClient.prototype.send;
+    mock.method(DynamoDBClient.prototype, 'send', function (command) {
+      if (command.input.ExpressionAttributeValues?.[':replayed']) {
+        return Promise.reject(new Error('Throughput exceeded'));
+      }
+      return send.call(this, command);
+    });
+    mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+
+    const response = await triage({ detail: eventDetail({ eventId: 'evt-002', replayOf: failureId }) });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(error.mock.callCount(), 1);
+    const failures = table.list(`${TEST_TENANT}#triage-failures`);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].error.message, 'boom');
+    assert.equal(table.list('processed-events')[0].state, 'completed');
+  });
+});
@@ -79,12 +79,37 @@ try {
 
     Write-Host "API URL: $apiUrl" -ForegroundColor Green
 
+    # Register an API key for the demo tenant. The API derives the tenant from it and only stores its hash.
+    Write-Host "`nRegistering demo API key..." -ForegroundColor Yellow
+    $tableName = ($outputs | Where-Object { $_.OutputKey -eq "SwiftshipTableName" }).OutputValue
+
+    $keyBytes = New-Object byte[] 24
+    [System.Security.Cryptography.RandomNumberGenerator]::Create().GetBytes($keyBytes)
+    $apiKey = ($keyBytes | ForEach-Object { $_.ToString("x2") }) -join ""
+    $hashBytes = [System.Security.Cryptography.SHA256]::Create().ComputeHash([System.Text.Encoding]::UTF8.GetBytes($apiKey))
+    $apiKeyHash = ($hashBytes | ForEach-Object { $_.ToString("x2") }) -join ""
+
+    $item = @{
+        pk = @{ S = "apikeys" }
+        sk = @{ S = "key#$apiKeyHash" }
+        tenantId = @{ S = "example-tenant" }
+        name = @{ S = "demo" }
+    } | ConvertTo-Json -Compress
+    $itemFile = New-TemporaryFile
+    $item | Out-File -FilePath $itemFile -Encoding ascii -NoNewline
+    aws dynamodb put-item --table-name $tableName --item "file://$itemFile"
+    Remove-Item $itemFile
+
+    if ($LASTEXITCODE -ne 0) {
+        throw "Could not register the demo API key"
+    }
+
     # Update the .env file
     Pop-Location
 
     Write-Host "`nUpdating .env file..." -ForegroundColor Yellow
 
-    $envContent = "VITE_API_BASE_URL=$apiUrl"
+    $envContent = "VITE_API_BASE_URL=$apiUrl`nVITE_API_KEY=$apiKey"
 
     if ($MomentoApiKey) {
         $envContent += "`nVITE_MOMENTO_API_KEY=$MomentoApiKey"
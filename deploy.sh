@@ -75,6 +75,21 @@ fi
 
 echo "API URL: $API_URL"
 
+# Register an API key for the demo tenant. The API derives the tenant from it and only stores its hash.
+echo ""
+echo "Registering demo API key..."
+TABLE_NAME=$(aws cloudformation describe-stacks \
+    --stack-name "$STACK_NAME" \
+    --query "Stacks[0].Outputs[?OutputKey=='SwiftshipTableName'].OutputValue" \
+    --output text)
+
+API_KEY=$(openssl rand -hex 24)
+API_KEY_HASH=$(printf '%s' "$API_KEY" | openssl dgst -sha256 | awk '{print $NF}')
+
+aws dynamodb put-item \
+    --table-name "$TABLE_NAME" \
+    --item "{\"pk\":{\"S\":\"apikeys\"},\"sk\":{\"S\":\"key#$API_KEY_HASH\"},\"tenantId\":{\"S\":\"example-tenant\"},\"name\":{\"S\":\"demo\"}}"
+
 # Update the .env file
 cd ..
 
@@ -83,6 +98,7 @@ echo "Updating .env file..."
 
 cat > .env << EOF
 VITE_API_BASE_URL=$API_URL
+VITE_API_KEY=$API_KEY
 EOF
 
 if [ -n "$MOMENTO_API_KEY" ]; then
@@ -6,6 +6,12 @@ export const API_CONFIG = {
   // Demo tenant ID for consistent testing
   DEMO_TENANT_ID: 'example-tenant',
 
+  // Delivery staged by the named demo scenarios, shown in the Customer Portal
+  DEMO_DELIVERY_ID: 'DEL-DEMO-001',
+
+  // Tenant API key sent as X-Api-Key; the API derives the tenant from it
+  API_KEY: import.meta.env.VITE_API_KEY,
+
   // Request timeout in milliseconds
   REQUEST_TIMEOUT: 30000,
 
@@ -22,6 +28,9 @@ export const MOMENTO_CONFIG = {
   // Cache name for topic subscriptions
   CACHE_NAME: 'mcp',
 
+  // Topic stream exposed by the local offline runtime (api/local/server.mjs), e.g. http://localhost:3001/topics
+  LOCAL_TOPICS_URL: import.meta.env.VITE_LOCAL_TOPICS_URL,
+
   // Topic name pattern - uses contextId/sessionId
   getTopicName: (contextId, sessionId) => `${contextId}-${sessionId}`,
 
@@ -1,4 +1,24 @@
-import React, { useMemo, useRef, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { deliveryService } from '../services/deliveryService.js'
+import { API_CONFIG } from '../config.js'
+
+// How each driver-reported delivery status appears on the tracking timeline
+const STATUS_DISPLAY = {
+  delivered: { title: 'Delivered', tone: 'done', badge: '✓ Delivered', badgeClass: 'status-green' },
+  failed: { title: 'Delivery Failed', tone: 'warn', badge: '⚠️ Delivery Failed', badgeClass: 'status-amber' },
+  exception: { title: 'Delivery Exception', tone: 'warn', badge: '⚠️ Delivery Exception', badgeClass: 'status-amber' }
+}
+
+// Utility: format an event timestamp for the timeline, e.g. "Oct 23, 2:15 PM"
+function formatEventDate(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+}
+
+// Utility: describe where a status was reported; older updates carry a plain address string
+function formatEventLocation(location) {
+  if (!location || typeof location === 'string') return location
+  return location.address ?? `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`
+}
 
 // Utility: format timestamp as YYYY-MM-DD HH:mm:ss UTC
 function formatIsoUtc(date) {
@@ -53,9 +73,31 @@ export default function CustomerPortal() {
   const [successMsg, setSuccessMsg] = useState('')
   const [generatedPrompt, setGeneratedPrompt] = useState('')
   const [shake, setShake] = useState(false)
+  const [tracking, setTracking] = useState(null)
+  const [trackingState, setTrackingState] = useState('loading')
   const promptBlockRef = useRef(null)
   const submitBtnRef = useRef(null)
 
+  useEffect(() => {
+    let cancelled = false
+    deliveryService.getDeliveryTimeline(API_CONFIG.DEMO_DELIVERY_ID)
+      .then((result) => {
+        if (cancelled) return
+        setTracking(result)
+        setTrackingState(result ? 'ready' : 'empty')
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Failed to load delivery timeline:', err)
+        if (!cancelled) setTrackingState('error')
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  const orderId = tracking?.orderId ?? 'ORD-DEMO-001'
+  const attemptCount = tracking?.attemptCount ?? 0
+  const currentStatus = STATUS_DISPLAY[tracking?.currentStatus]
+
   const nearLimit = charCount > 450
 
   function handleInput(e) {
@@ -71,7 +113,7 @@ export default function CustomerPortal() {
     const lines = [
       'CUSTOMER SUPPORT TICKET - ORDER TRACKING',
       '',
-      'Order ID: C789',
+      `Order ID: ${orderId}`,
       'Customer Tier: VIP Platinum',
       'Issue Type: Delivery Failure',
       `Timestamp: ${ts}`,
@@ -79,7 +121,7 @@ export default function CustomerPortal() {
       'Customer Comment:',
       `"${text}"`,
       '',
-      'Previous Delivery Attempts: 3',
+      `Previous Delivery Attempts: ${attemptCount}`,
       'Account History: Member since 2019, $8,450 lifetime value',
       '',
       'Execute appropriate triage action.'
@@ -116,13 +158,16 @@ export default function CustomerPortal() {
     setTimeout(() => promptBlockRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' }), 50)
   }
 
-  // Derived timeline items
-  const timeline = useMemo(() => ([
-    { status: 'done', date: 'Oct 20', title: 'Order Placed' },
-    { status: 'done', date: 'Oct 21', title: 'Shipped from warehouse' },
-    { status: 'done', date: 'Oct 22', title: 'Out for delivery' },
-    { status: 'warn', date: 'Oct 23', title: 'Delivery Failed', sub: 'Carrier note: Customer not available' },
-  ]), [])
+  // Derived timeline items, one per driver-reported status update
+  const timeline = useMemo(() => (tracking?.events ?? []).map((event) => {
+    const display = STATUS_DISPLAY[event.status] ?? { title: event.status, tone: 'warn' }
+    return {
+      status: display.tone,
+      date: formatEventDate(event.timestamp),
+      title: display.title,
+      sub: [event.reason && `Carrier note: ${event.reason}`, formatEventLocation(event.location)].filter(Boolean).join(' · ')
+    }
+  }), [tracking])
 
   return (
     <>
@@ -141,16 +186,21 @@ export default function CustomerPortal() {
 
       {/* Order Header */}
       <header className="order-header">
-        <h2 id="tracking-title" className="order-title">Order #C789</h2>
-        <span className="status-badge status-amber" aria-label="Delivery Exception">⚠️ Delivery Exception</span>
+        <h2 id="tracking-title" className="order-title">Order #{orderId}</h2>
+        {currentStatus && (
+          <span className={`status-badge ${currentStatus.badgeClass}`} aria-label={currentStatus.title}>{currentStatus.badge}</span>
+        )}
       </header>
 
       {/* Timeline */}
-      <section className="timeline" aria-label="Delivery timeline">
+      <section className="timeline" aria-label="Delivery timeline" aria-busy={trackingState === 'loading'}>
+        {trackingState === 'loading' && <div className="timeline-sub" role="status">Loading tracking history...</div>}
+        {trackingState === 'empty' && <div className="timeline-sub" role="status">No tracking updates yet.</div>}
+        {trackingState === 'error' && <div className="error" role="alert">Tracking history is unavailable right now.</div>}
         <ol className="timeline-list">
           {timeline.map((item, idx) => (
             <li
-              key={`${item.date}-${item.title}`}
+              key={`${idx}-${item.title}`}
               className={`timeline-item ${item.status}`}
               style={{ animationDelay: `${idx * 100}ms` }}
             >
@@ -175,7 +225,7 @@ export default function CustomerPortal() {
 
       {/* Metadata */}
       <section className="meta-grid" aria-label="Account details">
-        <div className="meta-item" title="Previous delivery attempts"><span className="meta-ico">🔄</span> Previous delivery attempts: 3</div>
+        <div className="meta-item" title="Previous delivery attempts"><span className="meta-ico">🔄</span> Previous delivery attempts: {attemptCount}</div>
         <div className="meta-item" title="Member since"><span className="meta-ico">📅</span> Member since: 2019</div>
         <div className="meta-item" title="Account value"><span className="meta-ico">💎</span> Account value: $8,450</div>
       </section>
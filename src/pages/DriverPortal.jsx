@@ -66,10 +66,16 @@ export default function DriverPortal() {
 
     setDeliveryData({
       deliveryId,
+      idempotencyKey: crypto.randomUUID(),
       payload: {
         orderId: 'ORD-DEMO-001',
         status: statusMap[exceptionType] || 'exception',
-        location: '123 Demo Street, Las Vegas, NV',
+        timestamp: new Date().toISOString(),
+        location: {
+          latitude: 36.1699,
+          longitude: -115.1398,
+          address: '123 Demo Street, Las Vegas, NV'
+        },
         driverId: 'DRV-DEMO-001',
         reason: notes
       }
@@ -28,7 +28,8 @@ export default function ProcessingView({ deliveryData, onBack }) {
             if (!cancelled && notification.kind === 'task') {
               setDiagramEvents(prev => [...prev, notification])
             }
-          }
+          },
+          deliveryData.idempotencyKey
         )
 
         if (!cancelled) {
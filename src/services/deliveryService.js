@@ -1,25 +1,32 @@
 import { momentoService } from './momentoService.js'
+import { API_CONFIG, MOMENTO_CONFIG } from '../config.js'
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000'
 
 export class DeliveryService {
-  async updateDeliveryStatus(deliveryId, statusData, onNotification) {
+  async updateDeliveryStatus(deliveryId, statusData, onNotification, idempotencyKey) {
     try {
       const response = await fetch(`${API_BASE_URL}/deliveries/${deliveryId}/statuses`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(API_CONFIG.API_KEY && { 'X-Api-Key': API_CONFIG.API_KEY }),
+          // Resending the same key returns the original response instead of triaging the update again
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
         },
         body: JSON.stringify(statusData)
       })
 
       if (!response.ok) {
-        throw new Error(`Failed to update delivery status: ${response.statusText}`)
+        // Rejected updates explain themselves, e.g. VALIDATION_FAILED lists the offending fields
+        const failure = await response.json().catch(() => null)
+        throw new Error(`Failed to update delivery status: ${failure?.error?.message ?? response.statusText}`)
       }
 
       const result = await response.json()
 
-      if (result.notifications?.authToken && result.notifications?.contextId) {
+      const canSubscribe = result.notifications?.authToken || MOMENTO_CONFIG.LOCAL_TOPICS_URL
+      if (canSubscribe && result.notifications?.contextId) {
         await this.subscribeToNotifications(
           result.notifications.authToken,
           result.notifications.contextId,
@@ -34,6 +41,24 @@ export class DeliveryService {
     }
   }
 
+  async getDeliveryTimeline(deliveryId) {
+    const response = await fetch(`${API_BASE_URL}/deliveries/${encodeURIComponent(deliveryId)}`, {
+      headers: {
+        ...(API_CONFIG.API_KEY && { 'X-Api-Key': API_CONFIG.API_KEY })
+      }
+    })
+
+    if (response.status === 404) {
+      return null
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to load delivery ${deliveryId}: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
   async subscribeToNotifications(authToken, contextId, onNotification) {
     try {
       await momentoService.subscribeToTopic(
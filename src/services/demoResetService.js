@@ -12,19 +12,22 @@ export class DemoResetService {
 
   /**
    * Reset demo data to predefined scenario
-   * @param {string} scenarioType - Type of scenario ('full' or 'minimal')
+   * @param {string} scenarioType - Scenario to seed: 'full', 'minimal', 'damaged_high_value', 'third_failed_attempt' or 'hazmat_hold'
+   * @param {number} [seed] - Seed from an earlier reset to recreate the same data set
    * @returns {Promise<Object>} Reset operation result
    */
-  async resetDemo(scenarioType = 'full') {
+  async resetDemo(scenarioType = 'full', seed) {
     try {
       const response = await fetch(`${this.baseUrl}/demo/reset`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(API_CONFIG.API_KEY && { 'X-Api-Key': API_CONFIG.API_KEY })
         },
         body: JSON.stringify({
           tenantId: this.tenantId,
-          scenarioType
+          scenarioType,
+          ...(seed !== undefined && { seed })
         }),
         signal: AbortSignal.timeout(API_CONFIG.REQUEST_TIMEOUT)
       })
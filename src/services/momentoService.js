@@ -33,6 +33,10 @@ export class MomentoService {
   }
 
   async subscribeToTopic(contextId, onEventReceived, onError, customAuthToken = null) {
+    if (MOMENTO_CONFIG.LOCAL_TOPICS_URL) {
+      return this.createLocalSubscription(contextId, onEventReceived, onError)
+    }
+
     let clientToUse = this.client
 
     if (customAuthToken) {
@@ -116,6 +120,30 @@ export class MomentoService {
     await Promise.allSettled(promises)
   }
 
+  // Subscription against the local offline runtime, which streams topics as server-sent events
+  createLocalSubscription(contextId, onEventReceived, onError) {
+    const source = new EventSource(`${MOMENTO_CONFIG.LOCAL_TOPICS_URL}/${encodeURIComponent(contextId)}`)
+
+    source.onmessage = (message) => {
+      try {
+        onEventReceived(JSON.parse(message.data))
+      } catch (error) {
+        console.error('Failed to parse A2A event:', error)
+        if (onError) {
+          onError(error)
+        }
+      }
+    }
+
+    const subscription = {
+      unsubscribe: () => source.close()
+    }
+    this.activeSubscriptions.set(contextId, subscription)
+
+    console.log(`Subscribed to local topic: ${contextId}`)
+    return subscription
+  }
+
   // Mock subscription for development/testing when Momento is not configured
   createMockSubscription(contextId, onEventReceived) {
     console.log(`Creating mock subscription for topic: ${contextId}`)
@@ -133,7 +133,11 @@ export class TriageService {
       orderId: orderId.toUpperCase(),
       status: 'exception',
       timestamp: new Date().toISOString(),
-      location: 'Customer delivery address',
+      location: {
+        latitude: 40.7128,
+        longitude: -74.0060,
+        address: 'Customer delivery address'
+      },
       driverId: 'DRV-847',
       reason: `${exceptionType}: ${notes}`
     }
@@ -151,11 +155,13 @@ export class TriageService {
       throw new Error('Driver notes must be under 500 characters')
     }
 
-    // Submit to delivery status endpoint with retry logic
+    // Submit to delivery status endpoint with retry logic. Every attempt sends the same idempotency key,
+    // so a retry after a lost response does not start the triage a second time
+    const idempotencyKey = crypto.randomUUID()
     let lastError
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeRequest(deliveryId, statusPayload, contextId, onEventReceived)
+        const response = await this.makeRequest(deliveryId, statusPayload, contextId, onEventReceived, idempotencyKey)
         return response
       } catch (error) {
         lastError = error
@@ -170,7 +176,7 @@ export class TriageService {
     throw lastError
   }
 
-  async makeRequest(deliveryId, statusPayload, contextId, onEventReceived) {
+  async makeRequest(deliveryId, statusPayload, contextId, onEventReceived, idempotencyKey) {
     const controller = new AbortController()
     const timeoutId = setTimeout(() => controller.abort(), this.timeout)
 
@@ -195,11 +201,19 @@ export class TriageService {
         'Accept': 'application/json'
       }
 
+      if (API_CONFIG.API_KEY) {
+        headers['X-Api-Key'] = API_CONFIG.API_KEY
+      }
+
       // Add context ID header if provided
       if (contextId) {
         headers['X-Context-Id'] = contextId
       }
 
+      if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey
+      }
+
       const response = await fetch(`${this.baseUrl}/deliveries/${deliveryId}/statuses`, {
         method: 'POST',
         headers,